@@ -9,6 +9,9 @@ const logger = require('./config/logger');
 const errorHandler = require('./middleware/errorHandler');
 const { requestLogger, errorRequestLogger } = require('./middleware/requestLogger');
 const { apiLimiter } = require('./middleware/rateLimiter');
+const { identifyApiKey } = require('./middleware/auth');
+const bioJobQueue = require('./services/bioJobQueue');
+const aiService = require('./services/aiService');
 
 const apiRoutes = require('./routes/index');
 const app = express();
@@ -16,11 +19,23 @@ const app = express();
 
 connectDB();
 
+// Background bio generation worker; disable to run workers in a separate process
+if (process.env.BIO_WORKER_ENABLED !== 'false') {
+  bioJobQueue.start();
+}
+
+// Background AI provider health probes; they reorder the fallback chain and feed /ai/status
+if (process.env.AI_HEALTH_CHECKS_ENABLED !== 'false') {
+  aiService.startHealthChecks();
+}
+
 app.use(helmet());
 
 // Rate limiting
 app.use(cors());
 
+// API keys are identified before rate limiting, which counts their requests per key
+app.use('/api', identifyApiKey);
 app.use('/api', apiLimiter);
 
 app.use(express.json({ limit: '10mb' }));
@@ -66,11 +81,15 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  bioJobQueue.stop();
+  aiService.stopHealthChecks();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received. Shutting down gracefully...');
+  bioJobQueue.stop();
+  aiService.stopHealthChecks();
   process.exit(0);
 });
 
@@ -0,0 +1,57 @@
+const logger = require('./logger');
+
+// USD per 1M tokens. Override or extend with AI_PRICING, e.g.
+// AI_PRICING='{"gpt-4o-mini":{"input":0.15,"output":0.6},"llama3":{"input":0,"output":0}}'
+const DEFAULT_PRICING = {
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'mock-template-v1': { input: 0, output: 0 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-004': { input: 0, output: 0 },
+  'hashing-v1-256': { input: 0, output: 0 }
+};
+
+/**
+ * Load the model price table
+ * @returns {Object} Prices per model in USD per 1M tokens
+ */
+const loadPricing = () => {
+  const raw = process.env.AI_PRICING;
+  if (!raw || raw.trim() === '') {
+    return { ...DEFAULT_PRICING };
+  }
+
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(raw) };
+  } catch (error) {
+    logger.error(`AI_PRICING is not valid JSON, using default prices: ${error.message}`);
+    return { ...DEFAULT_PRICING };
+  }
+};
+
+const pricing = loadPricing();
+
+/**
+ * Estimate the cost of a call
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @returns {number|null} Cost in USD, or null when the model has no price
+ */
+const estimateCost = (model, promptTokens, completionTokens) => {
+  const price = pricing[model];
+  if (!price) {
+    return null;
+  }
+  return (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1000000;
+};
+
+module.exports = {
+  pricing,
+  estimateCost
+};
@@ -0,0 +1,137 @@
+const logger = require('./logger');
+
+/**
+ * Read a numeric setting; 0 is a valid value, unlike with `Number(value) || default`
+ * @param {string} name - Environment variable
+ * @param {number} defaultValue - Value when the variable is unset, empty or not a number
+ * @returns {number} Setting
+ */
+const numberFromEnv = (name, defaultValue) => {
+  const raw = process.env[name];
+  const value = raw === undefined || raw.trim() === '' ? NaN : Number(raw);
+  return Number.isFinite(value) ? value : defaultValue;
+};
+
+// Built-in defaults used when AI_PROVIDERS is not set. Each entry is only
+// registered if its provider reports itself as configured (e.g. has an API key).
+const defaultProviders = () => [
+  ...(process.env.AI_MOCK_ENABLED === 'true' ? [{
+    name: 'mock',
+    type: 'mock',
+    priority: numberFromEnv('AI_MOCK_PRIORITY', 99),
+    retries: 3,
+    params: {},
+    simulate: {
+      latencyMs: Number(process.env.AI_MOCK_LATENCY_MS) || 0,
+      failure: process.env.AI_MOCK_FAILURE || null,
+      failTimes: Number(process.env.AI_MOCK_FAIL_TIMES) || 0,
+      malformedTimes: Number(process.env.AI_MOCK_MALFORMED_TIMES) || 0
+    }
+  }] : []),
+  {
+    name: 'openai',
+    type: 'openai',
+    model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
+    priority: 1,
+    retries: 3,
+    params: {
+      temperature: 0.7,
+      maxTokens: 250,
+      topP: 1
+    }
+  },
+  {
+    name: 'gemini',
+    type: 'gemini',
+    model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+    priority: 2,
+    retries: 1,
+    params: {}
+  },
+  {
+    name: 'local',
+    type: 'openai-compatible',
+    baseURL: process.env.LOCAL_LLM_BASE_URL,
+    model: process.env.LOCAL_LLM_MODEL,
+    priority: 3,
+    retries: 1,
+    params: {
+      temperature: 0.7,
+      maxTokens: 250
+    }
+  }
+];
+
+/**
+ * Load AI provider definitions
+ * Reads a JSON array from AI_PROVIDERS, e.g.
+ * [{ "name": "ollama", "type": "openai-compatible", "baseURL": "http://localhost:11434/v1",
+ *    "model": "llama3", "priority": 1, "params": { "temperature": 0.5 } }]
+ * and falls back to the built-in OpenAI -> Gemini -> local chain (plus the
+ * offline mock provider when AI_MOCK_ENABLED=true).
+ * @returns {Array<Object>} Provider definitions
+ */
+const loadProviderConfig = () => {
+  const raw = process.env.AI_PROVIDERS;
+
+  if (!raw || raw.trim() === '') {
+    return defaultProviders();
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`AI_PROVIDERS is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw new Error('AI_PROVIDERS must be a JSON array of provider definitions');
+  }
+
+  const names = new Set();
+  return parsed
+    .filter(definition => definition.enabled !== false)
+    .map((definition, index) => {
+      if (!definition.type) {
+        throw new Error(`AI_PROVIDERS[${index}] is missing "type"`);
+      }
+
+      const name = definition.name || definition.type;
+      if (names.has(name)) {
+        throw new Error(`AI_PROVIDERS contains duplicate provider name "${name}"`);
+      }
+      names.add(name);
+
+      return {
+        ...definition,
+        name,
+        priority: Number.isFinite(definition.priority) ? definition.priority : index + 1,
+        retries: Number.isInteger(definition.retries) && definition.retries > 0 ? definition.retries : 1,
+        retryDelayMs: Number.isFinite(definition.retryDelayMs) ? definition.retryDelayMs : undefined,
+        params: definition.params || {}
+      };
+    });
+};
+
+/**
+ * Resolve the API key for a provider definition
+ * Prefers an explicit apiKeyEnv indirection so secrets can stay out of AI_PROVIDERS.
+ * @param {Object} definition - Provider definition
+ * @param {string} fallbackEnv - Environment variable to use when none is configured
+ * @returns {string|undefined} API key
+ */
+const resolveApiKey = (definition, fallbackEnv) => {
+  if (definition.apiKeyEnv) {
+    if (!process.env[definition.apiKeyEnv]) {
+      logger.warn(`Environment variable ${definition.apiKeyEnv} for AI provider "${definition.name}" is not set`);
+    }
+    return process.env[definition.apiKeyEnv];
+  }
+  return definition.apiKey || (fallbackEnv ? process.env[fallbackEnv] : undefined);
+};
+
+module.exports = {
+  loadProviderConfig,
+  resolveApiKey
+};
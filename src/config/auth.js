@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+/**
+ * Secret used to sign access tokens
+ * Required in production; elsewhere a random per-process secret keeps development working,
+ * at the cost of tokens not surviving a restart or being shared between processes.
+ * @returns {string} Signing secret
+ */
+const resolveJwtSecret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET environment variable is not defined');
+  }
+
+  logger.warn('JWT_SECRET is not set; using a random secret, so access tokens are only valid in this process until it restarts');
+  return crypto.randomBytes(32).toString('hex');
+};
+
+const AUTH_CONFIG = {
+  jwtSecret: resolveJwtSecret(),
+  // Access token lifetime in the jsonwebtoken format: seconds, or a string such as "15m" or "1h"
+  jwtExpiresIn: /^\d+$/.test(process.env.JWT_EXPIRES_IN || '') ? Number(process.env.JWT_EXPIRES_IN) : (process.env.JWT_EXPIRES_IN || '15m'),
+  jwtIssuer: process.env.JWT_ISSUER || 'node-ai-integration',
+  refreshTokenTtlMs: Number(process.env.REFRESH_TOKEN_TTL_MS) || 7 * 24 * 60 * 60 * 1000,
+  bcryptRounds: Number(process.env.BCRYPT_ROUNDS) || 12
+};
+
+// bcrypt only hashes the first 72 bytes of a password
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 72;
+
+module.exports = {
+  AUTH_CONFIG,
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_MAX_LENGTH
+};
@@ -0,0 +1,72 @@
+// Supported bio generation options and how they translate into prompt text
+
+const TONES = {
+  formal: 'formal and professional',
+  friendly: 'warm and friendly',
+  playful: 'playful and light-hearted'
+};
+
+const LENGTHS = {
+  short: { words: '50-80 words', minWords: 50, maxWords: 80, maxTokens: 150 },
+  medium: { words: '100-200 words', minWords: 100, maxWords: 200, maxTokens: 300 },
+  long: { words: '250-350 words', minWords: 250, maxWords: 350, maxTokens: 600 }
+};
+
+// Longest bio that can be stored on a user (a long bio runs to roughly 2,300 characters)
+const MAX_BIO_CHARACTERS = 2500;
+
+const POINTS_OF_VIEW = {
+  first: 'first person',
+  third: 'third person'
+};
+
+const MAX_HIGHLIGHTS = 10;
+
+// Upper bound for the number of bio candidates generated in one request
+const MAX_BIO_VARIANTS = 5;
+
+const DEFAULT_BIO_OPTIONS = {
+  tone: 'formal',
+  length: 'medium',
+  pointOfView: 'third',
+  language: 'English',
+  highlights: []
+};
+
+/**
+ * Apply defaults to caller-supplied bio options
+ * @param {Object} [options] - Options from the request
+ * @returns {Object} Complete bio options
+ */
+const normalizeBioOptions = (options = {}) => ({
+  tone: options.tone || DEFAULT_BIO_OPTIONS.tone,
+  length: options.length || DEFAULT_BIO_OPTIONS.length,
+  pointOfView: options.pointOfView || DEFAULT_BIO_OPTIONS.pointOfView,
+  language: options.language || DEFAULT_BIO_OPTIONS.language,
+  highlights: Array.isArray(options.highlights) ? options.highlights.slice(0, MAX_HIGHLIGHTS) : []
+});
+
+/**
+ * Template variables derived from bio options
+ * @param {Object} options - Normalized bio options
+ * @returns {Object} Variables for prompt templates
+ */
+const bioOptionVariables = (options) => ({
+  tone: TONES[options.tone],
+  length: LENGTHS[options.length].words,
+  pointOfView: POINTS_OF_VIEW[options.pointOfView],
+  language: options.language,
+  highlights: options.highlights.join(', ')
+});
+
+module.exports = {
+  TONES,
+  LENGTHS,
+  POINTS_OF_VIEW,
+  MAX_HIGHLIGHTS,
+  MAX_BIO_VARIANTS,
+  MAX_BIO_CHARACTERS,
+  DEFAULT_BIO_OPTIONS,
+  normalizeBioOptions,
+  bioOptionVariables
+};
@@ -0,0 +1,50 @@
+// Locales bios can be stored in, and how a locale maps to the language named in prompts
+
+/**
+ * Canonicalize a locale code (de-de -> de-DE), or return null if it is not a valid tag
+ * @param {string} locale - Locale code
+ * @returns {string|null} Canonical locale
+ */
+const canonicalLocale = (locale) => {
+  try {
+    return Intl.getCanonicalLocales(String(locale).trim())[0] || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parse a comma-separated locale list, dropping invalid tags and duplicates
+ * @param {string} value - Locale list
+ * @returns {Array<string>} Canonical locales
+ */
+const parseLocales = (value) => [...new Set(value.split(',').map(canonicalLocale).filter(Boolean))];
+
+// Locale of User.bio; every other locale is stored as a translation
+const DEFAULT_LOCALE = canonicalLocale(process.env.BIO_DEFAULT_LOCALE || 'en') || 'en';
+
+const SUPPORTED_LOCALES = [...new Set([DEFAULT_LOCALE, ...parseLocales(process.env.BIO_LOCALES || 'en,de,es,fr')])];
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * English name of a locale's language, as used in bio prompts (de -> German, pt-BR -> Brazilian Portuguese)
+ * @param {string} locale - Locale code
+ * @returns {string} Language name
+ */
+const localeLanguage = (locale) => languageNames.of(locale) || locale;
+
+/**
+ * Whether bios can be stored in a locale
+ * @param {string} locale - Locale code
+ * @returns {boolean} True if supported
+ */
+const isSupportedLocale = (locale) => SUPPORTED_LOCALES.includes(canonicalLocale(locale));
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  canonicalLocale,
+  localeLanguage,
+  isSupportedLocale
+};
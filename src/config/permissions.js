@@ -0,0 +1,83 @@
+// Permissions a role can grant, and the permission sets of the built-in roles.
+// A permission ending in ":own" grants the same action only on the caller's own user
+// (the :id of a /api/users/:id route), e.g. users:update:own lets a user edit their profile.
+
+const PERMISSIONS = {
+  'users:read': 'List, search and view users, their bio history and the status options',
+  'users:read:own': 'View your own user and bio history',
+  'users:create': 'Create users',
+  'users:update': 'Edit any user, including role and status, and manage their bios',
+  'users:update:own': 'Edit your own profile and bio (not your role or status)',
+  'users:delete': 'Delete users',
+  'bios:feedback': 'Rate any user\'s bio',
+  'bios:feedback:own': 'Rate your own bio',
+  'roles:read': 'List roles',
+  'roles:create': 'Create roles',
+  'roles:update': 'Change a role\'s description, permissions and whether it is active',
+  'ai:read': 'View AI provider status',
+  'ai:generate': 'Generate bios with the AI (test, stream, regenerate, translate, natural-language queries)',
+  'ai:manage': 'Reset provider circuit breakers and rebuild the search index',
+  'prompts:read': 'View prompt templates',
+  'prompts:manage': 'Create, edit, restore and delete prompt templates',
+  'jobs:read': 'View bio generation jobs',
+  'jobs:manage': 'Retry bio generation jobs',
+  'bulk:read': 'View bulk regenerations',
+  'bulk:manage': 'Start and cancel bulk regenerations',
+  'usage:read': 'View AI usage and cost reports',
+  'experiments:read': 'View experiments and their reports',
+  'experiments:manage': 'Create, change, start and stop experiments',
+  'apiKeys:manage': 'Issue, list and revoke API keys',
+  'audit:read': 'View the audit log of changes to users, roles, API keys, prompt templates, experiments and bulk regenerations'
+};
+
+const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+// Permissions an API key can be scoped to; keys act for no user, so ":own" permissions do not apply
+const API_KEY_SCOPES = PERMISSION_NAMES.filter(permission => !permission.endsWith(':own'));
+
+// Seeded by Role.initializeDefaultRoles; re-running it resets the built-in roles to these sets
+const DEFAULT_ROLE_PERMISSIONS = {
+  ADMIN: API_KEY_SCOPES,
+  MANAGER: [
+    'users:read', 'users:create', 'users:update',
+    'bios:feedback',
+    'roles:read',
+    'ai:read', 'ai:generate',
+    'prompts:read',
+    'jobs:read', 'jobs:manage',
+    'bulk:read', 'bulk:manage',
+    'usage:read',
+    'experiments:read'
+  ],
+  MODERATOR: [
+    'users:read', 'users:update',
+    'bios:feedback',
+    'roles:read',
+    'ai:read', 'ai:generate',
+    'prompts:read',
+    'jobs:read'
+  ],
+  DEVELOPER: [
+    'users:read', 'users:update:own',
+    'bios:feedback',
+    'roles:read',
+    'ai:read', 'ai:generate',
+    'prompts:read', 'prompts:manage',
+    'jobs:read', 'jobs:manage',
+    'usage:read',
+    'experiments:read', 'experiments:manage'
+  ],
+  USER: [
+    'users:read:own', 'users:update:own',
+    'bios:feedback:own',
+    'roles:read',
+    'ai:generate'
+  ]
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  API_KEY_SCOPES,
+  DEFAULT_ROLE_PERMISSIONS
+};
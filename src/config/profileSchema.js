@@ -0,0 +1,167 @@
+// Structured profile returned by the model in structured mode, and how it is validated
+
+const PROFILE_LIMITS = {
+  headlineMaxLength: 120,
+  shortBioMaxLength: 300,
+  minSkills: 3,
+  maxSkills: 12,
+  maxKeywords: 12,
+  maxTagLength: 40
+};
+
+// JSON schema sent to providers (OpenAI json_schema response format, Gemini responseSchema).
+// Count and length limits stay in the descriptions because strict modes reject those keywords;
+// validateProfile enforces them.
+const PROFILE_SCHEMA = {
+  type: 'object',
+  properties: {
+    headline: {
+      type: 'string',
+      description: `One-line professional headline, at most ${PROFILE_LIMITS.headlineMaxLength} characters`
+    },
+    shortBio: {
+      type: 'string',
+      description: `One or two sentence summary, at most ${PROFILE_LIMITS.shortBioMaxLength} characters`
+    },
+    longBio: {
+      type: 'string',
+      description: 'The full bio, following every requirement of the prompt'
+    },
+    skills: {
+      type: 'array',
+      items: { type: 'string' },
+      description: `${PROFILE_LIMITS.minSkills} to ${PROFILE_LIMITS.maxSkills} short skill tags`
+    },
+    keywords: {
+      type: 'array',
+      items: { type: 'string' },
+      description: `Up to ${PROFILE_LIMITS.maxKeywords} search keywords`
+    }
+  },
+  required: ['headline', 'shortBio', 'longBio', 'skills', 'keywords'],
+  additionalProperties: false
+};
+
+const PROFILE_SCHEMA_NAME = 'user_profile';
+
+// Appended to the bio prompt so providers without native schema support still return the right shape
+const PROFILE_INSTRUCTIONS = [
+  'Respond with a single JSON object and nothing else, with these fields:',
+  `- headline: ${PROFILE_SCHEMA.properties.headline.description}`,
+  `- shortBio: ${PROFILE_SCHEMA.properties.shortBio.description}`,
+  '- longBio: the bio described above',
+  `- skills: ${PROFILE_SCHEMA.properties.skills.description}`,
+  `- keywords: ${PROFILE_SCHEMA.properties.keywords.description}`
+].join('\n');
+
+// Token headroom for the fields around longBio
+const PROFILE_EXTRA_TOKENS = 250;
+
+/**
+ * Trim, de-duplicate (case-insensitively) and cap a list of tags
+ * @param {Array<string>} tags - Raw tags
+ * @param {number} max - Most tags kept
+ * @returns {Array<string>} Clean tags
+ */
+const normalizeTags = (tags, max) => {
+  const seen = new Set();
+  const result = [];
+
+  for (const tag of tags) {
+    const value = tag.trim().replace(/\s+/g, ' ');
+    const key = value.toLowerCase();
+    if (value && !seen.has(key)) {
+      seen.add(key);
+      result.push(value);
+    }
+  }
+  return result.slice(0, max);
+};
+
+/**
+ * Check a parsed profile against the schema and normalize its fields
+ * Extra skills and keywords are dropped rather than rejected.
+ * @param {*} value - Parsed model output
+ * @returns {{profile: ?Object, errors: Array<string>}} Normalized profile and schema errors
+ */
+const validateProfile = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { profile: null, errors: ['Output is not a JSON object'] };
+  }
+
+  const errors = [];
+  const text = (field) => {
+    if (typeof value[field] !== 'string' || !value[field].trim()) {
+      errors.push(`${field} must be a non-empty string`);
+      return '';
+    }
+    return value[field].trim();
+  };
+  const list = (field) => {
+    if (!Array.isArray(value[field]) || value[field].some(item => typeof item !== 'string')) {
+      errors.push(`${field} must be an array of strings`);
+      return [];
+    }
+    return value[field];
+  };
+
+  const profile = {
+    headline: text('headline'),
+    shortBio: text('shortBio'),
+    longBio: text('longBio'),
+    skills: normalizeTags(list('skills'), PROFILE_LIMITS.maxSkills),
+    keywords: normalizeTags(list('keywords'), PROFILE_LIMITS.maxKeywords)
+  };
+
+  if (/\n/.test(profile.headline)) {
+    errors.push('headline must be a single line');
+  }
+  if (profile.headline.length > PROFILE_LIMITS.headlineMaxLength) {
+    errors.push(`headline exceeds ${PROFILE_LIMITS.headlineMaxLength} characters`);
+  }
+  if (profile.shortBio.length > PROFILE_LIMITS.shortBioMaxLength) {
+    errors.push(`shortBio exceeds ${PROFILE_LIMITS.shortBioMaxLength} characters`);
+  }
+  if (Array.isArray(value.skills) && profile.skills.length < PROFILE_LIMITS.minSkills) {
+    errors.push(`skills must contain at least ${PROFILE_LIMITS.minSkills} tags`);
+  }
+
+  const longTags = [...profile.skills, ...profile.keywords].filter(tag => tag.length > PROFILE_LIMITS.maxTagLength);
+  if (longTags.length > 0) {
+    errors.push(`Tags cannot exceed ${PROFILE_LIMITS.maxTagLength} characters: ${longTags.join(', ')}`);
+  }
+
+  return { profile, errors };
+};
+
+/**
+ * Parse raw model output as a profile
+ * Tolerates a markdown code fence around the JSON, which some models add anyway.
+ * @param {string} text - Raw model output
+ * @returns {{profile: ?Object, errors: Array<string>}} Normalized profile and schema errors
+ */
+const parseProfile = (text) => {
+  const json = String(text || '')
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    return { profile: null, errors: [`Output is not valid JSON (${error.message})`] };
+  }
+
+  return validateProfile(value);
+};
+
+module.exports = {
+  PROFILE_LIMITS,
+  PROFILE_SCHEMA,
+  PROFILE_SCHEMA_NAME,
+  PROFILE_INSTRUCTIONS,
+  PROFILE_EXTRA_TOKENS,
+  validateProfile,
+  parseProfile
+};
@@ -0,0 +1,71 @@
+// Rate limit policies, one per limiter in middleware/rateLimiter. Each policy's window and limit
+// can be set from the environment; an API key can override the limit for its own requests
+// (ApiKey rateLimits, keyed by policy name).
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Where the counters are kept: mongo (shared by every instance) or memory (per process)
+const RATE_LIMIT_STORES = ['mongo', 'memory'];
+
+/**
+ * Read a positive integer setting
+ * @param {string} name - Environment variable
+ * @param {number} defaultValue - Value when the variable is unset or empty
+ * @returns {number} Setting
+ */
+const readPositiveInt = (name, defaultValue) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') {
+    return defaultValue;
+  }
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${name} must be a positive integer (got "${raw}")`);
+  }
+  return value;
+};
+
+const resolveStore = () => {
+  const store = (process.env.RATE_LIMIT_STORE || 'mongo').trim().toLowerCase();
+  if (!RATE_LIMIT_STORES.includes(store)) {
+    throw new Error(`RATE_LIMIT_STORE must be one of: ${RATE_LIMIT_STORES.join(', ')} (got "${process.env.RATE_LIMIT_STORE}")`);
+  }
+  return store;
+};
+
+const RATE_LIMIT_POLICIES = {
+  // Every /api request
+  api: {
+    windowMs: readPositiveInt('RATE_LIMIT_WINDOW_MS', HOUR_MS),
+    max: readPositiveInt('RATE_LIMIT_MAX_REQUESTS', 10000),
+    message: 'Too many requests'
+  },
+  // POST /api/users
+  createUser: {
+    windowMs: readPositiveInt('CREATE_USER_LIMIT_WINDOW_MS', HOUR_MS),
+    max: readPositiveInt('CREATE_USER_LIMIT_MAX', 10),
+    message: 'Too many user creation attempts'
+  },
+  // AI status, test and stream endpoints, natural-language queries, bio regeneration and translation
+  ai: {
+    windowMs: readPositiveInt('AI_SERVICE_LIMIT_WINDOW_MS', MINUTE_MS),
+    max: readPositiveInt('AI_SERVICE_LIMIT_MAX', 10),
+    message: 'Too many AI service requests'
+  },
+  // Login and token refresh, against password guessing
+  auth: {
+    windowMs: readPositiveInt('AUTH_LIMIT_WINDOW_MS', 15 * MINUTE_MS),
+    max: readPositiveInt('AUTH_LIMIT_MAX', 20),
+    message: 'Too many authentication attempts'
+  }
+};
+
+const RATE_LIMIT_STORE = resolveStore();
+
+module.exports = {
+  RATE_LIMIT_POLICIES,
+  RATE_LIMIT_STORE,
+  RATE_LIMIT_STORES
+};
@@ -0,0 +1,157 @@
+// Filter returned by the model for a natural-language users query, and how it is validated
+
+// Fields the list can be sorted by (the sortBy values validateGetAllUsers accepts)
+const USER_QUERY_SORT_FIELDS = ['name', 'email', 'role', 'status', 'createdAt', 'updatedAt'];
+
+// Date fields accept a calendar date (YYYY-MM-DD) or a full ISO 8601 timestamp
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// JSON schema sent to providers. Every field is a required string so strict schema modes
+// accept it; an empty string (or null, from providers without empty enum values) means the
+// filter is not set.
+const USER_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    status: {
+      type: 'string',
+      enum: ['', 'ACTIVE', 'INACTIVE'],
+      description: 'User status, or empty for any status'
+    },
+    role: {
+      type: 'string',
+      description: 'Exactly one of the listed role names, or empty for any role'
+    },
+    search: {
+      type: 'string',
+      description: 'Free text matched against name, email and role, or empty'
+    },
+    skill: {
+      type: 'string',
+      description: 'A single skill tag the user must have, or empty'
+    },
+    createdFrom: {
+      type: 'string',
+      description: 'Earliest creation date as YYYY-MM-DD, or empty'
+    },
+    createdTo: {
+      type: 'string',
+      description: 'Latest creation date as YYYY-MM-DD (inclusive), or empty'
+    },
+    sortBy: {
+      type: 'string',
+      enum: ['', ...USER_QUERY_SORT_FIELDS],
+      description: 'Field to sort by, or empty for the newest first'
+    },
+    sortOrder: {
+      type: 'string',
+      enum: ['', 'asc', 'desc'],
+      description: 'Sort direction, or empty for the default'
+    }
+  },
+  required: ['status', 'role', 'search', 'skill', 'createdFrom', 'createdTo', 'sortBy', 'sortOrder'],
+  additionalProperties: false
+};
+
+const USER_QUERY_SCHEMA_NAME = 'user_list_filter';
+
+const USER_QUERY_FIELDS = Object.keys(USER_QUERY_SCHEMA.properties);
+
+/**
+ * Build the instructions that turn a question into a filter
+ * @param {Object} options - Query context
+ * @param {Array<string>} options.roles - Role names the model may choose from
+ * @param {string} options.today - Current date (YYYY-MM-DD), for relative dates
+ * @returns {string} Instructions
+ */
+const buildUserQueryInstructions = ({ roles, today }) => [
+  'Convert the request into a filter for a list of users.',
+  `Today is ${today}. Resolve relative dates ("last 30 days", "this year") against it.`,
+  `Roles: ${roles.length > 0 ? roles.join(', ') : '(none)'}. Map job titles and plurals to one of these names; leave role empty if none fits.`,
+  'Respond with a single JSON object and nothing else, with these fields (use an empty string for anything the request does not mention):',
+  ...USER_QUERY_FIELDS.map(field => `- ${field}: ${USER_QUERY_SCHEMA.properties[field].description}`)
+].join('\n');
+
+/**
+ * Check a parsed filter against the schema and drop unset fields
+ * Only known fields with string values pass, so the output can never carry query operators.
+ * @param {*} value - Parsed model output
+ * @param {Object} [options] - Validation context
+ * @param {Array<string>} [options.roles] - Role names the filter may use
+ * @returns {{filter: ?Object, errors: Array<string>}} Filter and schema errors
+ */
+const validateUserQuery = (value, { roles = [] } = {}) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { filter: null, errors: ['Output is not a JSON object'] };
+  }
+
+  const errors = [];
+  const filter = {};
+
+  for (const [field, fieldValue] of Object.entries(value)) {
+    if (!USER_QUERY_FIELDS.includes(field)) {
+      errors.push(`Unknown filter field "${field}"`);
+      continue;
+    }
+    if (fieldValue === null) {
+      continue;
+    }
+    if (typeof fieldValue !== 'string') {
+      errors.push(`${field} must be a string`);
+      continue;
+    }
+
+    const trimmed = fieldValue.trim();
+    if (trimmed) {
+      filter[field] = trimmed;
+    }
+  }
+
+  for (const field of ['status', 'sortBy', 'sortOrder']) {
+    if (filter[field] && !USER_QUERY_SCHEMA.properties[field].enum.includes(filter[field])) {
+      errors.push(`${field} must be one of: ${USER_QUERY_SCHEMA.properties[field].enum.filter(Boolean).join(', ')}`);
+    }
+  }
+  if (filter.role && !roles.includes(filter.role)) {
+    errors.push(`role must be one of: ${roles.join(', ')}`);
+  }
+  for (const field of ['createdFrom', 'createdTo']) {
+    if (filter[field] && (!DATE_PATTERN.test(filter[field]) || Number.isNaN(Date.parse(filter[field])))) {
+      errors.push(`${field} must be a date (YYYY-MM-DD)`);
+    }
+  }
+
+  return { filter: errors.length > 0 ? null : filter, errors };
+};
+
+/**
+ * Parse raw model output as a filter
+ * Tolerates a markdown code fence around the JSON, which some models add anyway.
+ * @param {string} text - Raw model output
+ * @param {Object} [options] - Validation context ({ roles })
+ * @returns {{filter: ?Object, errors: Array<string>}} Filter and schema errors
+ */
+const parseUserQuery = (text, options) => {
+  const json = String(text || '')
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    return { filter: null, errors: [`Output is not valid JSON (${error.message})`] };
+  }
+
+  return validateUserQuery(value, options);
+};
+
+module.exports = {
+  USER_QUERY_SCHEMA,
+  USER_QUERY_SCHEMA_NAME,
+  USER_QUERY_FIELDS,
+  USER_QUERY_SORT_FIELDS,
+  buildUserQueryInstructions,
+  validateUserQuery,
+  parseUserQuery
+};
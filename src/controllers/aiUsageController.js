@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const AIUsage = require('../models/AIUsage');
+const logger = require('../config/logger');
+
+// Aggregation keys for each supported grouping
+const GROUP_KEYS = {
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+  provider: '$provider',
+  model: '$model',
+  role: '$roleName'
+};
+
+/**
+ * @desc    Report AI token usage and estimated cost
+ * @route   GET /api/ai-usage/report?groupBy=day|provider|model|role&from=&to=&provider=&userId=
+ * @access  Private
+ */
+const getUsageReport = async (req, res, next) => {
+  try {
+    const { groupBy = 'day', from, to, provider, userId } = req.query;
+
+    const match = {};
+    if (from || to) {
+      match.createdAt = {};
+      if (from) {
+        match.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        match.createdAt.$lte = new Date(to);
+      }
+    }
+    if (provider) {
+      match.provider = provider;
+    }
+    if (userId) {
+      match.user = new mongoose.Types.ObjectId(userId);
+    }
+
+    const groups = await AIUsage.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: GROUP_KEYS[groupBy],
+          calls: { $sum: 1 },
+          successes: { $sum: { $cond: [{ $eq: ['$outcome', 'success'] }, 1, 0] } },
+          failures: { $sum: { $cond: [{ $eq: ['$outcome', 'failure'] }, 1, 0] } },
+          promptTokens: { $sum: '$promptTokens' },
+          completionTokens: { $sum: '$completionTokens' },
+          totalTokens: { $sum: '$totalTokens' },
+          estimatedCost: { $sum: { $ifNull: ['$estimatedCost', 0] } },
+          unpricedCalls: { $sum: { $cond: [{ $eq: ['$estimatedCost', null] }, 1, 0] } },
+          avgLatencyMs: { $avg: '$latencyMs' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const rows = groups.map(({ _id, avgLatencyMs, ...totals }) => ({
+      [groupBy]: _id,
+      ...totals,
+      avgLatencyMs: Math.round(avgLatencyMs)
+    }));
+
+    const summary = rows.reduce((totals, row) => ({
+      calls: totals.calls + row.calls,
+      failures: totals.failures + row.failures,
+      totalTokens: totals.totalTokens + row.totalTokens,
+      estimatedCost: totals.estimatedCost + row.estimatedCost
+    }), { calls: 0, failures: 0, totalTokens: 0, estimatedCost: 0 });
+
+    res.status(200).json({
+      success: true,
+      message: 'AI usage report generated successfully',
+      data: {
+        groupBy,
+        from: from || null,
+        to: to || null,
+        summary,
+        groups: rows
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error generating AI usage report:', error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  getUsageReport
+};
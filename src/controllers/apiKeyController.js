@@ -0,0 +1,184 @@
+const ApiKey = require('../models/ApiKey');
+const auditLog = require('../services/auditLog');
+const logger = require('../config/logger');
+const { describePrincipal } = require('../middleware/auth');
+
+/**
+ * Query matching the API keys with a status
+ * @param {string} [status] - active, expired or revoked
+ * @returns {Object} MongoDB filter
+ */
+const statusFilter = (status) => {
+  const now = new Date();
+  switch (status) {
+    case 'active':
+      return { revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+    case 'expired':
+      return { revokedAt: null, expiresAt: { $lte: now } };
+    case 'revoked':
+      return { revokedAt: { $ne: null } };
+    default:
+      return {};
+  }
+};
+
+/**
+ * @desc    Issue an API key; the key itself is only returned in this response
+ * @route   POST /api/api-keys
+ * @access  Private
+ */
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, description, scopes, expiresAt, rateLimits } = req.body;
+
+    if (!req.access.coversPermissions(scopes)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot issue an API key with permissions you do not have'
+      });
+    }
+
+    const { key, prefix, secretHash } = ApiKey.generate();
+    const apiKey = await ApiKey.create({
+      name,
+      description: description || '',
+      prefix,
+      secretHash,
+      scopes,
+      expiresAt: expiresAt || null,
+      rateLimits: rateLimits || {},
+      createdBy: req.user ? req.user._id : null
+    });
+
+    await auditLog.record(req, {
+      action: 'apiKey.create',
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+      after: auditLog.snapshot('ApiKey', apiKey),
+      metadata: { prefix: apiKey.prefix }
+    });
+
+    logger.info(`API key issued: ${apiKey.prefix} (${apiKey.name}) by ${describePrincipal(req)}`, { scopes: apiKey.scopes });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key issued successfully; store the key now, it cannot be shown again',
+      data: {
+        ...apiKey.getPublicProfile(),
+        key
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error issuing API key:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get all API keys, newest first
+ * @route   GET /api/api-keys
+ * @access  Private
+ */
+const getAllApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find(statusFilter(req.query.status)).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'API keys retrieved successfully',
+      data: apiKeys.map(apiKey => apiKey.getPublicProfile())
+    });
+
+  } catch (error) {
+    logger.error('Error getting API keys:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get API key by ID
+ * @route   GET /api/api-keys/:id
+ * @access  Private
+ */
+const getApiKeyById = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key retrieved successfully',
+      data: apiKey.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error getting API key:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke an API key; requests made with it are refused from then on
+ * @route   POST /api/api-keys/:id/revoke
+ * @access  Private
+ */
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'API key is already revoked'
+      });
+    }
+
+    const before = auditLog.snapshot('ApiKey', apiKey);
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user ? req.user._id : null;
+    apiKey.revokedReason = req.body.reason || null;
+    await apiKey.save();
+
+    await auditLog.record(req, {
+      action: 'apiKey.revoke',
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+      before,
+      after: auditLog.snapshot('ApiKey', apiKey),
+      metadata: { prefix: apiKey.prefix }
+    });
+
+    logger.info(`API key revoked: ${apiKey.prefix} (${apiKey.name}) by ${describePrincipal(req)}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error revoking API key:', error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  createApiKey,
+  getAllApiKeys,
+  getApiKeyById,
+  revokeApiKey
+};
@@ -0,0 +1,77 @@
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('../config/logger');
+
+/**
+ * @desc    Search the audit log, newest first (e.g. ?targetId=<user>&field=role for who changed a
+ *          user's role and when)
+ * @route   GET /api/audit?actorType=&actorId=&action=&targetType=&targetId=&field=&requestId=&from=&to=
+ * @access  Private
+ */
+const getAuditEvents = async (req, res, next) => {
+  try {
+    const { actorType, actorId, action, targetType, targetId, field, requestId, from, to, page = 1, pageSize = 20 } = req.query;
+
+    const filter = {};
+    if (actorType) {
+      filter.actorType = actorType;
+    }
+    if (actorId) {
+      filter.actorId = actorId;
+    }
+    if (action) {
+      filter.action = action;
+    }
+    if (targetType) {
+      filter.targetType = targetType;
+    }
+    if (targetId) {
+      filter.targetId = targetId;
+    }
+    if (field) {
+      filter['changes.field'] = field;
+    }
+    if (requestId) {
+      filter.requestId = requestId;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) {
+        filter.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        filter.createdAt.$lte = new Date(to);
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(pageSize);
+
+    const [events, totalEvents] = await Promise.all([
+      AuditEvent.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(parseInt(pageSize)),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalEvents / parseInt(pageSize));
+
+    res.status(200).json({
+      success: true,
+      message: 'Audit events retrieved successfully',
+      data: events.map(event => event.getPublicProfile()),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalEvents,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        pageSize: parseInt(pageSize)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving audit events:', error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  getAuditEvents
+};
@@ -0,0 +1,137 @@
+const authService = require('../services/authService');
+const logger = require('../config/logger');
+
+/**
+ * Client details stored with a refresh token
+ * @param {Object} req - Express request
+ * @returns {{ip: string, userAgent: string}} Session details
+ */
+const sessionDetails = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+/**
+ * Log a failed auth request: rejected credentials and tokens are expected, anything else is an error
+ * @param {string} action - What failed
+ * @param {Error} error - Error
+ */
+const logAuthFailure = (action, error) => {
+  if (error.statusCode) {
+    logger.warn(`${action} rejected: ${error.message}`);
+  } else {
+    logger.error(`Error during ${action.toLowerCase()}:`, error.message);
+  }
+};
+
+/**
+ * @desc    Log in with email and password; returns an access token and a refresh token
+ * @route   POST /api/auth/login
+ * @access  Public
+ */
+const login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await authService.verifyCredentials(email, password);
+    const tokens = await authService.issueTokens(user, sessionDetails(req));
+
+    logger.info(`User logged in: ${user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged in successfully',
+      data: {
+        user: user.getPublicProfile(),
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    logAuthFailure('Login', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new token pair (the old refresh token stops working)
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refreshTokens = async (req, res, next) => {
+  try {
+    const { user, tokens } = await authService.rotateRefreshToken(req.body.refreshToken, sessionDetails(req));
+
+    logger.info(`Tokens refreshed for user: ${user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tokens refreshed successfully',
+      data: tokens
+    });
+
+  } catch (error) {
+    logAuthFailure('Token refresh', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log out: revoke the refresh token's session, or all of the user's sessions
+ * @route   POST /api/auth/logout
+ * @access  Public
+ */
+const logout = async (req, res, next) => {
+  try {
+    const { refreshToken, allSessions } = req.body;
+
+    const userId = await authService.revokeRefreshToken(refreshToken, { allSessions });
+    if (userId) {
+      logger.info(`User logged out: ${userId}${allSessions ? ' (all sessions)' : ''}`);
+    }
+
+    // Unknown tokens get the same answer, so logout cannot be used to probe tokens
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error during logout:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the authenticated user, or the API key when the request is made with one
+ * @route   GET /api/auth/me
+ * @access  Private
+ */
+const getCurrentUser = async (req, res, next) => {
+  try {
+    if (req.apiKey) {
+      return res.status(200).json({
+        success: true,
+        message: 'Current API key retrieved successfully',
+        data: req.apiKey.getPublicProfile()
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Current user retrieved successfully',
+      data: req.user.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving current user:', error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  login,
+  refreshTokens,
+  logout,
+  getCurrentUser
+};
@@ -0,0 +1,72 @@
+const User = require('../models/User');
+const BioRevision = require('../models/BioRevision');
+const BioFeedback = require('../models/BioFeedback');
+const logger = require('../config/logger');
+const { principalLabel } = require('../middleware/auth');
+
+/**
+ * @desc    Rate the user's current bio thumbs up or down, with an optional comment; rating
+ *          the same bio again replaces the earlier rating
+ * @route   POST /api/users/:id/bio/feedback
+ * @access  Private
+ */
+const submitBioFeedback = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { rating, comment } = req.body;
+
+    const user = await User.findById(id).select('bio bioVariant');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!user.bio) {
+      return res.status(409).json({
+        success: false,
+        error: 'User has no bio to rate'
+      });
+    }
+
+    // The latest revision is the current bio; users whose bio predates revision history only have bioVariant
+    const latest = await BioRevision.findOne({ user: id }).sort({ revision: -1 });
+    const source = latest || user.bioVariant || {};
+
+    const feedback = await BioFeedback.findOneAndUpdate(
+      { user: user._id, revision: latest ? latest.revision : null },
+      {
+        rating,
+        comment: comment || '',
+        provider: source.provider || null,
+        model: source.model || null,
+        experiment: source.experiment || null,
+        variant: source.variant || null,
+        submittedBy: principalLabel(req),
+        updatedAt: Date.now()
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    logger.info(`Bio feedback (${rating}) recorded for user: ${user._id}`, {
+      revision: feedback.revision,
+      variant: feedback.variant
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Bio feedback recorded successfully',
+      data: feedback.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error recording bio feedback:', error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  submitBioFeedback
+};
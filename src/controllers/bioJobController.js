@@ -0,0 +1,120 @@
+const BioJob = require('../models/BioJob');
+const bioJobQueue = require('../services/bioJobQueue');
+const logger = require('../config/logger');
+
+/**
+ * @desc    List bio jobs (e.g. ?status=dead for the dead-letter queue)
+ * @route   GET /api/bio-jobs
+ * @access  Private
+ */
+const getBioJobs = async (req, res, next) => {
+  try {
+    const { status, userId, page = 1, pageSize = 20 } = req.query;
+
+    const filter = {};
+    if (status) {
+      filter.status = status;
+    }
+    if (userId) {
+      filter.user = userId;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(pageSize);
+
+    const [jobs, totalJobs] = await Promise.all([
+      BioJob.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(pageSize)),
+      BioJob.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalJobs / parseInt(pageSize));
+
+    res.status(200).json({
+      success: true,
+      message: 'Bio jobs retrieved successfully',
+      data: jobs.map(job => job.getPublicProfile()),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalJobs,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        pageSize: parseInt(pageSize)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving bio jobs:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get bio job by ID
+ * @route   GET /api/bio-jobs/:id
+ * @access  Private
+ */
+const getBioJobById = async (req, res, next) => {
+  try {
+    const job = await BioJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bio job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Bio job retrieved successfully',
+      data: job.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving bio job:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Re-queue a dead or cancelled bio job
+ * @route   POST /api/bio-jobs/:id/retry
+ * @access  Private
+ */
+const retryBioJob = async (req, res, next) => {
+  try {
+    const job = await BioJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bio job not found'
+      });
+    }
+
+    if (!['dead', 'cancelled'].includes(job.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Only dead or cancelled jobs can be retried (job is ${job.status})`
+      });
+    }
+
+    await bioJobQueue.retry(job);
+
+    res.status(200).json({
+      success: true,
+      message: 'Bio job re-queued successfully',
+      data: job.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error retrying bio job:', error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  getBioJobs,
+  getBioJobById,
+  retryBioJob
+};
@@ -0,0 +1,189 @@
+const User = require('../models/User');
+const BioRevision = require('../models/BioRevision');
+const embeddingIndex = require('../services/embeddingIndex');
+const auditLog = require('../services/auditLog');
+const { principalLabel } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+/**
+ * @desc    List a user's bio revisions, newest first
+ * @route   GET /api/users/:id/bio/revisions
+ * @access  Private
+ */
+const getBioRevisions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, pageSize = 20 } = req.query;
+
+    const user = await User.findById(id).select('_id');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(pageSize);
+
+    const [revisions, totalRevisions] = await Promise.all([
+      BioRevision.find({ user: id }).sort({ revision: -1 }).skip(skip).limit(parseInt(pageSize)),
+      BioRevision.countDocuments({ user: id })
+    ]);
+
+    const totalPages = Math.ceil(totalRevisions / parseInt(pageSize));
+
+    res.status(200).json({
+      success: true,
+      message: 'Bio revisions retrieved successfully',
+      data: revisions.map(revision => revision.getPublicProfile()),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalRevisions,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        pageSize: parseInt(pageSize)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving bio revisions:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Word-level diff between two bio revisions (to defaults to the latest revision)
+ * @route   GET /api/users/:id/bio/revisions/diff?from=&to=
+ * @access  Private
+ */
+const diffBioRevisions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const from = parseInt(req.query.from);
+
+    const to = req.query.to !== undefined
+      ? await BioRevision.findOne({ user: id, revision: parseInt(req.query.to) })
+      : await BioRevision.findOne({ user: id }).sort({ revision: -1 });
+    const base = await BioRevision.findOne({ user: id, revision: from });
+
+    if (!base || !to) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bio revision not found'
+      });
+    }
+
+    const segments = BioRevision.diffWords(base.text, to.text);
+    const countWords = type => segments
+      .filter(segment => segment.type === type)
+      .reduce((total, segment) => total + segment.text.split(' ').length, 0);
+
+    res.status(200).json({
+      success: true,
+      message: 'Bio revision diff generated successfully',
+      data: {
+        from: base.getPublicProfile(),
+        to: to.getPublicProfile(),
+        changes: segments,
+        stats: {
+          wordsAdded: countWords('added'),
+          wordsRemoved: countWords('removed'),
+          wordsUnchanged: countWords('equal')
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error diffing bio revisions:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore the user's bio to an earlier revision (recorded as a new revision)
+ * @route   POST /api/users/:id/bio/revisions/:revision/revert
+ * @access  Private
+ */
+const revertBioRevision = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const revisionNumber = parseInt(req.params.revision);
+
+    const user = await User.findById(id).populate('role', 'name description').select('-__v');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const target = await BioRevision.findOne({ user: id, revision: revisionNumber });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bio revision not found'
+      });
+    }
+
+    if (target.text === user.bio) {
+      return res.status(409).json({
+        success: false,
+        error: `Bio already matches revision ${revisionNumber}`
+      });
+    }
+
+    const before = auditLog.snapshot('User', user);
+    const previousBio = user.bio;
+    user.bio = target.text;
+    user.bioSource = target.provider ? 'ai' : 'manual';
+    user.bioVariant = target.experiment
+      ? { experiment: target.experiment, variant: target.variant, provider: target.provider, model: target.model, assignedAt: target.createdAt }
+      : null;
+    await user.save();
+    embeddingIndex.refresh(user._id);
+
+    const revision = await BioRevision.recordChange(user._id, {
+      text: target.text,
+      source: 'revert',
+      provider: target.provider,
+      model: target.model,
+      template: target.template,
+      bioOptions: target.bioOptions,
+      experiment: target.experiment,
+      variant: target.variant,
+      editedBy: principalLabel(req),
+      revertedFrom: target.revision
+    }, previousBio);
+
+    await auditLog.record(req, {
+      action: 'user.bio.revert',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: auditLog.snapshot('User', user),
+      metadata: { revertedTo: target.revision }
+    });
+
+    logger.info(`Bio for user ${user._id} reverted to revision ${revisionNumber}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Bio reverted to revision ${revisionNumber}`,
+      data: {
+        user: user.getPublicProfile(),
+        revision: revision ? revision.getPublicProfile() : null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error reverting bio revision:', error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  getBioRevisions,
+  diffBioRevisions,
+  revertBioRevision
+};
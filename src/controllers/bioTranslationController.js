@@ -0,0 +1,95 @@
+const User = require('../models/User');
+const bioJobQueue = require('../services/bioJobQueue');
+const auditLog = require('../services/auditLog');
+const { principalLabel } = require('../middleware/auth');
+const logger = require('../config/logger');
+const { canonicalLocale } = require('../config/locales');
+
+/**
+ * @desc    Add or refresh a user's bio in another locale: a hand-written text is saved directly,
+ *          otherwise the primary bio is translated (mode "translate") or a new bio is written
+ *          in the locale's language (mode "generate") in the background
+ * @route   POST /api/users/:id/bio/translations/:locale
+ * @access  Private
+ */
+const upsertBioTranslation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const locale = canonicalLocale(req.params.locale);
+    const { text, mode = 'translate', bioOptions, cache } = req.body;
+
+    const user = await User.findById(id).populate('role', 'name description').select('-__v');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (text) {
+      const before = auditLog.snapshot('User', user);
+      user.bios.set(locale, {
+        text,
+        source: 'manual',
+        editedBy: principalLabel(req),
+        updatedAt: new Date()
+      });
+      await user.save();
+
+      await auditLog.record(req, {
+        action: 'user.bio.translation',
+        targetType: 'User',
+        targetId: user._id,
+        before,
+        after: auditLog.snapshot('User', user),
+        metadata: { locale, mode: 'manual' }
+      });
+
+      logger.info(`Manual ${locale} bio saved for user: ${user._id}`);
+
+      return res.status(200).json({
+        success: true,
+        message: `Bio for locale ${locale} saved successfully`,
+        data: user.getPublicProfile({ locale })
+      });
+    }
+
+    if (mode === 'translate' && !user.bio) {
+      return res.status(409).json({
+        success: false,
+        error: 'User has no bio to translate; use mode "generate" or provide the text'
+      });
+    }
+
+    const bioJob = await bioJobQueue.enqueue(user, 'translate', { locale, mode, bioOptions, cache });
+
+    // The bio itself changes when the job runs (user.bio.translated)
+    await auditLog.record(req, {
+      action: 'user.bio.translation',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { locale, mode, bioJob: bioJob._id }
+    });
+
+    logger.info(`Bio ${mode} into ${locale} requested for user: ${user._id}`, { jobId: bioJob._id });
+
+    res.status(202).json({
+      success: true,
+      message: `Bio ${mode === 'generate' ? 'generation' : 'translation'} for locale ${locale} queued`,
+      data: user.getPublicProfile({ locale }),
+      bioJob: {
+        id: bioJob._id,
+        status: bioJob.status
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error saving bio translation:', error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  upsertBioTranslation
+};
@@ -0,0 +1,170 @@
+const BulkRegeneration = require('../models/BulkRegeneration');
+const bulkRegeneration = require('../services/bulkRegeneration');
+const auditLog = require('../services/auditLog');
+const { principalLabel } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+/**
+ * @desc    Regenerate bios for all users matching the user list filters
+ * @route   POST /api/bulk-regenerations
+ * @access  Admin
+ */
+const startBulkRegeneration = async (req, res, next) => {
+  try {
+    const { status, role, search, skill, bioOptions, cache, structured, includeLocked, dryRun, concurrency } = req.body;
+
+    const operation = await bulkRegeneration.start({
+      filters: { status, role, search, skill },
+      bioOptions,
+      cache,
+      structured: Boolean(structured),
+      includeLocked: Boolean(includeLocked),
+      dryRun: Boolean(dryRun),
+      concurrency,
+      requestedBy: principalLabel(req),
+      actor: auditLog.actorFrom(req)
+    });
+
+    // The bios themselves show up per user as user.bio.generated, with the operation in metadata
+    await auditLog.record(req, {
+      action: 'bulkRegeneration.start',
+      targetType: 'BulkRegeneration',
+      targetId: operation._id,
+      after: auditLog.snapshot('BulkRegeneration', operation)
+    });
+
+    res.status(operation.dryRun ? 200 : 202).json({
+      success: true,
+      message: operation.dryRun
+        ? `Dry run: ${operation.totals.queued} bio(s) would be regenerated`
+        : `Bulk bio regeneration started for ${operation.totals.queued} user(s)`,
+      data: operation.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error starting bulk bio regeneration:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    List bulk bio regenerations, newest first
+ * @route   GET /api/bulk-regenerations
+ * @access  Admin
+ */
+const getBulkRegenerations = async (req, res, next) => {
+  try {
+    const { status, page = 1, pageSize = 20 } = req.query;
+
+    const filter = status ? { status } : {};
+    const skip = (parseInt(page) - 1) * parseInt(pageSize);
+
+    const [operations, totalOperations] = await Promise.all([
+      BulkRegeneration.find(filter).select('-preview -failures').sort({ createdAt: -1 }).skip(skip).limit(parseInt(pageSize)),
+      BulkRegeneration.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalOperations / parseInt(pageSize));
+
+    res.status(200).json({
+      success: true,
+      message: 'Bulk bio regenerations retrieved successfully',
+      data: operations.map(operation => operation.getPublicProfile()),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalOperations,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        pageSize: parseInt(pageSize)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving bulk bio regenerations:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get progress and per-user failures of a bulk bio regeneration
+ * @route   GET /api/bulk-regenerations/:id
+ * @access  Admin
+ */
+const getBulkRegenerationById = async (req, res, next) => {
+  try {
+    const operation = await BulkRegeneration.findById(req.params.id);
+
+    if (!operation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bulk regeneration not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Bulk bio regeneration retrieved successfully',
+      data: operation.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving bulk bio regeneration:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a running bulk bio regeneration
+ * @route   POST /api/bulk-regenerations/:id/cancel
+ * @access  Admin
+ */
+const cancelBulkRegeneration = async (req, res, next) => {
+  try {
+    const operation = await BulkRegeneration.findById(req.params.id);
+
+    if (!operation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bulk regeneration not found'
+      });
+    }
+
+    if (operation.status !== 'running') {
+      return res.status(409).json({
+        success: false,
+        error: `Only running operations can be cancelled (operation is ${operation.status})`
+      });
+    }
+
+    const before = auditLog.snapshot('BulkRegeneration', operation);
+    const updated = await bulkRegeneration.cancel(operation);
+
+    await auditLog.record(req, {
+      action: 'bulkRegeneration.cancel',
+      targetType: 'BulkRegeneration',
+      targetId: operation._id,
+      before,
+      after: auditLog.snapshot('BulkRegeneration', updated)
+    });
+
+    logger.info(`Bulk bio regeneration ${operation._id} cancellation requested`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Bulk bio regeneration cancellation requested; bios already in progress will finish',
+      data: updated.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error cancelling bulk bio regeneration:', error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  startBulkRegeneration,
+  getBulkRegenerations,
+  getBulkRegenerationById,
+  cancelBulkRegeneration
+};
@@ -0,0 +1,361 @@
+const Experiment = require('../models/Experiment');
+const BioRevision = require('../models/BioRevision');
+const BioFeedback = require('../models/BioFeedback');
+const AIUsage = require('../models/AIUsage');
+const PromptTemplate = require('../models/PromptTemplate');
+const aiService = require('../services/aiService');
+const auditLog = require('../services/auditLog');
+const logger = require('../config/logger');
+
+// Status changes an experiment can make; completed experiments are final
+const STATUS_TRANSITIONS = {
+  draft: ['running'],
+  running: ['paused', 'completed'],
+  paused: ['running', 'completed'],
+  completed: []
+};
+
+/**
+ * Check that every variant's provider is configured and its template exists
+ * @param {Array<Object>} variants - Variants from the request body
+ * @returns {Promise<?string>} Error message, or null when the variants are usable
+ */
+const checkVariantReferences = async (variants) => {
+  for (const variant of variants) {
+    if (variant.provider && !aiService.getProvider(variant.provider)) {
+      return `Variant "${variant.name}" uses unknown provider "${variant.provider}"`;
+    }
+    if (variant.template && !(await PromptTemplate.exists({ _id: variant.template }))) {
+      return `Variant "${variant.name}" uses a prompt template that does not exist`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Share of a total, rounded to four decimals
+ * @param {number} count - Part
+ * @param {number} total - Whole
+ * @returns {?number} Rate (0-1), or null when the total is zero
+ */
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 10000 : null);
+
+/**
+ * @desc    Get all experiments
+ * @route   GET /api/experiments
+ * @access  Private
+ */
+const getAllExperiments = async (req, res, next) => {
+  try {
+    const experiments = await Experiment.find({}).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Experiments retrieved successfully',
+      data: experiments.map(experiment => experiment.getPublicProfile())
+    });
+
+  } catch (error) {
+    logger.error('Error getting experiments:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get experiment by ID
+ * @route   GET /api/experiments/:id
+ * @access  Private
+ */
+const getExperimentById = async (req, res, next) => {
+  try {
+    const experiment = await Experiment.findById(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Experiment retrieved successfully',
+      data: experiment.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving experiment:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create an experiment (in draft; start it with a status update)
+ * @route   POST /api/experiments
+ * @access  Private
+ */
+const createExperiment = async (req, res, next) => {
+  try {
+    const { name, description, variants } = req.body;
+
+    const existingExperiment = await Experiment.findOne({ name });
+    if (existingExperiment) {
+      return res.status(409).json({
+        success: false,
+        error: 'An experiment with this name already exists',
+        details: {
+          conflictField: 'name',
+          existingExperimentId: existingExperiment._id
+        }
+      });
+    }
+
+    const referenceError = await checkVariantReferences(variants);
+    if (referenceError) {
+      return res.status(400).json({
+        success: false,
+        error: referenceError
+      });
+    }
+
+    const experiment = await Experiment.create({ name, description, variants });
+
+    await auditLog.record(req, {
+      action: 'experiment.create',
+      targetType: 'Experiment',
+      targetId: experiment._id,
+      after: auditLog.snapshot('Experiment', experiment)
+    });
+
+    logger.info(`Experiment created successfully: ${experiment._id} (${experiment.variants.map(variant => `${variant.name} ${variant.weight}%`).join(', ')})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Experiment created successfully',
+      data: experiment.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error creating experiment:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update an experiment; variants can only change in draft, and a status change
+ *          starts, pauses, resumes or completes it
+ * @route   PUT /api/experiments/:id
+ * @access  Private
+ */
+const updateExperiment = async (req, res, next) => {
+  try {
+    const { name, description, variants, status } = req.body;
+
+    const experiment = await Experiment.findById(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+
+    const before = auditLog.snapshot('Experiment', experiment);
+
+    if (variants !== undefined) {
+      if (experiment.status !== 'draft') {
+        return res.status(409).json({
+          success: false,
+          error: 'Variants can only be changed while the experiment is a draft'
+        });
+      }
+
+      const referenceError = await checkVariantReferences(variants);
+      if (referenceError) {
+        return res.status(400).json({
+          success: false,
+          error: referenceError
+        });
+      }
+      experiment.variants = variants;
+    }
+
+    if (status !== undefined && status !== experiment.status) {
+      if (!STATUS_TRANSITIONS[experiment.status].includes(status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot change experiment status from ${experiment.status} to ${status}`
+        });
+      }
+
+      if (status === 'running') {
+        const running = await Experiment.findRunning();
+        if (running) {
+          return res.status(409).json({
+            success: false,
+            error: 'Another experiment is already running',
+            details: {
+              runningExperimentId: running._id
+            }
+          });
+        }
+        experiment.startedAt = experiment.startedAt || new Date();
+      }
+      if (status === 'completed') {
+        experiment.endedAt = new Date();
+      }
+      experiment.status = status;
+    }
+
+    if (name !== undefined) {
+      experiment.name = name;
+    }
+    if (description !== undefined) {
+      experiment.description = description;
+    }
+
+    await experiment.save();
+
+    await auditLog.record(req, {
+      action: 'experiment.update',
+      targetType: 'Experiment',
+      targetId: experiment._id,
+      before,
+      after: auditLog.snapshot('Experiment', experiment)
+    });
+
+    logger.info(`Experiment updated successfully: ${experiment._id} (${experiment.status})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Experiment updated successfully',
+      data: experiment.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error updating experiment:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Compare an experiment's variants: bio acceptance (feedback), regeneration rate and
+ *          provider latency, failures and cost
+ * @route   GET /api/experiments/:id/report
+ * @access  Private
+ */
+const getExperimentReport = async (req, res, next) => {
+  try {
+    const experiment = await Experiment.findById(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+
+    const match = { experiment: experiment._id };
+
+    const [bioGroups, sourceGroups, feedbackGroups, usageGroups] = await Promise.all([
+      // Generated bios per user, so users whose bio was regenerated within the variant can be counted
+      BioRevision.aggregate([
+        { $match: { ...match, source: 'ai' } },
+        { $group: { _id: { variant: '$variant', user: '$user' }, bios: { $sum: 1 } } },
+        {
+          $group: {
+            _id: '$_id.variant',
+            bios: { $sum: '$bios' },
+            users: { $sum: 1 },
+            regeneratedUsers: { $sum: { $cond: [{ $gt: ['$bios', 1] }, 1, 0] } }
+          }
+        }
+      ]),
+      // Which provider and model actually produced the bios (fallbacks included)
+      BioRevision.aggregate([
+        { $match: { ...match, source: 'ai' } },
+        { $group: { _id: { variant: '$variant', provider: '$provider', model: '$model' }, bios: { $sum: 1 } } },
+        { $sort: { bios: -1 } }
+      ]),
+      BioFeedback.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$variant',
+            up: { $sum: { $cond: [{ $eq: ['$rating', 'up'] }, 1, 0] } },
+            down: { $sum: { $cond: [{ $eq: ['$rating', 'down'] }, 1, 0] } }
+          }
+        }
+      ]),
+      AIUsage.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$variant',
+            calls: { $sum: 1 },
+            failures: { $sum: { $cond: [{ $eq: ['$outcome', 'failure'] }, 1, 0] } },
+            avgLatencyMs: { $avg: { $cond: [{ $eq: ['$outcome', 'success'] }, '$latencyMs', null] } },
+            estimatedCost: { $sum: { $ifNull: ['$estimatedCost', 0] } }
+          }
+        }
+      ])
+    ]);
+
+    const byVariant = groups => new Map(groups.map(group => [group._id, group]));
+    const bios = byVariant(bioGroups);
+    const feedback = byVariant(feedbackGroups);
+    const usage = byVariant(usageGroups);
+
+    const variants = experiment.variants.map(variant => {
+      const generated = bios.get(variant.name) || { bios: 0, users: 0, regeneratedUsers: 0 };
+      const ratings = feedback.get(variant.name) || { up: 0, down: 0 };
+      const calls = usage.get(variant.name) || { calls: 0, failures: 0, avgLatencyMs: null, estimatedCost: 0 };
+
+      return {
+        variant: variant.name,
+        weight: variant.weight,
+        provider: variant.provider,
+        template: variant.template,
+        users: generated.users,
+        bios: generated.bios,
+        regenerationRate: rate(generated.regeneratedUsers, generated.users),
+        feedback: {
+          up: ratings.up,
+          down: ratings.down,
+          acceptanceRate: rate(ratings.up, ratings.up + ratings.down)
+        },
+        usage: {
+          calls: calls.calls,
+          failures: calls.failures,
+          failureRate: rate(calls.failures, calls.calls),
+          avgLatencyMs: calls.avgLatencyMs === null ? null : Math.round(calls.avgLatencyMs),
+          estimatedCost: calls.estimatedCost
+        },
+        producedBy: sourceGroups
+          .filter(group => group._id.variant === variant.name)
+          .map(group => ({ provider: group._id.provider, model: group._id.model, bios: group.bios }))
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Experiment report generated successfully',
+      data: {
+        experiment: experiment.getPublicProfile(),
+        variants
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error generating experiment report:', error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllExperiments,
+  getExperimentById,
+  createExperiment,
+  updateExperiment,
+  getExperimentReport
+};
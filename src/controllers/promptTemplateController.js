@@ -0,0 +1,387 @@
+const PromptTemplate = require('../models/PromptTemplate');
+const Role = require('../models/Role');
+const auditLog = require('../services/auditLog');
+const logger = require('../config/logger');
+const { normalizeBioOptions, bioOptionVariables } = require('../config/bioOptions');
+
+/**
+ * Build the variables used to preview a template
+ * Looks up the role description when the sample role matches a known role; the option
+ * variables (tone, length, ...) come from the sample bioOptions, with the usual defaults.
+ * @param {Object} sample - Sample input from the request body
+ * @returns {Promise<Object>} Template variables
+ */
+const buildPreviewVariables = async ({ name = 'Jane Doe', role = 'DEVELOPER', roleDescription, bioOptions }) => {
+  if (roleDescription === undefined) {
+    const roleInfo = await Role.findOne({ name: role });
+    roleDescription = roleInfo ? roleInfo.description : '';
+  }
+  return { name, role, roleDescription, ...bioOptionVariables(normalizeBioOptions(bioOptions)) };
+};
+
+/**
+ * @desc    Get all prompt templates
+ * @route   GET /api/prompt-templates
+ * @access  Private
+ */
+const getAllPromptTemplates = async (req, res, next) => {
+  try {
+    const templates = await PromptTemplate.find({})
+      .populate('role', 'name description')
+      .sort({ role: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt templates retrieved successfully',
+      data: templates.map(template => template.getPublicProfile())
+    });
+
+  } catch (error) {
+    logger.error('Error getting prompt templates:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get prompt template by ID
+ * @route   GET /api/prompt-templates/:id
+ * @access  Private
+ */
+const getPromptTemplateById = async (req, res, next) => {
+  try {
+    const template = await PromptTemplate.findById(req.params.id).populate('role', 'name description');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt template retrieved successfully',
+      data: template.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving prompt template:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a prompt template (omit role for the default template)
+ * @route   POST /api/prompt-templates
+ * @access  Private
+ */
+const createPromptTemplate = async (req, res, next) => {
+  try {
+    const { name, role, system, prompt, isActive } = req.body;
+
+    if (role) {
+      const roleInfo = await Role.findById(role);
+      if (!roleInfo) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid role ID provided'
+        });
+      }
+    }
+
+    const existingTemplate = await PromptTemplate.findOne({ role: role || null });
+    if (existingTemplate) {
+      return res.status(409).json({
+        success: false,
+        error: role ? 'A prompt template for this role already exists' : 'A default prompt template already exists',
+        details: {
+          conflictField: 'role',
+          existingTemplateId: existingTemplate._id
+        }
+      });
+    }
+
+    const template = await PromptTemplate.create({
+      name,
+      role: role || null,
+      system,
+      prompt,
+      isActive
+    });
+
+    await auditLog.record(req, {
+      action: 'promptTemplate.create',
+      targetType: 'PromptTemplate',
+      targetId: template._id,
+      after: auditLog.snapshot('PromptTemplate', template)
+    });
+
+    logger.info(`Prompt template created successfully: ${template._id} (${role ? `role ${role}` : 'default'})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Prompt template created successfully',
+      data: template.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error creating prompt template:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a prompt template; changes to the text create a new version
+ * @route   PUT /api/prompt-templates/:id
+ * @access  Private
+ */
+const updatePromptTemplate = async (req, res, next) => {
+  try {
+    const { name, system, prompt, isActive, note } = req.body;
+
+    const template = await PromptTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt template not found'
+      });
+    }
+
+    const before = auditLog.snapshot('PromptTemplate', template);
+
+    if (name !== undefined) {
+      template.name = name;
+    }
+    if (isActive !== undefined) {
+      template.isActive = isActive;
+    }
+
+    const textChanged = (system !== undefined && system !== template.system) ||
+      (prompt !== undefined && prompt !== template.prompt);
+    if (textChanged) {
+      template.applyRevision({ system, prompt }, note);
+    }
+
+    await template.save();
+
+    await auditLog.record(req, {
+      action: 'promptTemplate.update',
+      targetType: 'PromptTemplate',
+      targetId: template._id,
+      before,
+      after: auditLog.snapshot('PromptTemplate', template),
+      metadata: textChanged ? { note: note || null } : {}
+    });
+
+    logger.info(`Prompt template updated successfully: ${template._id} (version ${template.version})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt template updated successfully',
+      data: template.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error updating prompt template:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a prompt template
+ * @route   DELETE /api/prompt-templates/:id
+ * @access  Private
+ */
+const deletePromptTemplate = async (req, res, next) => {
+  try {
+    const template = await PromptTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt template not found'
+      });
+    }
+
+    await auditLog.record(req, {
+      action: 'promptTemplate.delete',
+      targetType: 'PromptTemplate',
+      targetId: template._id,
+      before: auditLog.snapshot('PromptTemplate', template)
+    });
+
+    logger.info(`Prompt template deleted successfully: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt template deleted successfully',
+      data: {
+        deletedTemplate: template.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error deleting prompt template:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the version history of a prompt template
+ * @route   GET /api/prompt-templates/:id/versions
+ * @access  Private
+ */
+const getPromptTemplateVersions = async (req, res, next) => {
+  try {
+    const template = await PromptTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt template versions retrieved successfully',
+      data: {
+        currentVersion: template.version,
+        versions: [...template.versions].reverse()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving prompt template versions:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore an earlier version as a new version
+ * @route   POST /api/prompt-templates/:id/versions/:version/restore
+ * @access  Private
+ */
+const restorePromptTemplateVersion = async (req, res, next) => {
+  try {
+    const version = parseInt(req.params.version);
+    const template = await PromptTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt template not found'
+      });
+    }
+
+    const previous = template.versions.find(entry => entry.version === version);
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${version} not found`
+      });
+    }
+
+    const before = auditLog.snapshot('PromptTemplate', template);
+    template.applyRevision(
+      { system: previous.system, prompt: previous.prompt },
+      `Restored from version ${version}`
+    );
+    await template.save();
+
+    await auditLog.record(req, {
+      action: 'promptTemplate.restore',
+      targetType: 'PromptTemplate',
+      targetId: template._id,
+      before,
+      after: auditLog.snapshot('PromptTemplate', template),
+      metadata: { restoredFrom: version }
+    });
+
+    logger.info(`Prompt template ${template._id} restored from version ${version} as version ${template.version}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt template version restored successfully',
+      data: template.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error restoring prompt template version:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Render a saved template against sample input
+ * @route   POST /api/prompt-templates/:id/preview
+ * @access  Private
+ */
+const previewPromptTemplate = async (req, res, next) => {
+  try {
+    const template = await PromptTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt template not found'
+      });
+    }
+
+    const variables = await buildPreviewVariables(req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt template rendered successfully',
+      data: {
+        template: { id: template._id, version: template.version },
+        variables,
+        ...template.render(variables)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error previewing prompt template:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Render unsaved template text against sample input
+ * @route   POST /api/prompt-templates/preview
+ * @access  Private
+ */
+const previewDraftTemplate = async (req, res, next) => {
+  try {
+    const { system = '', prompt } = req.body;
+    const variables = await buildPreviewVariables(req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt template rendered successfully',
+      data: {
+        template: null,
+        variables,
+        system: PromptTemplate.renderText(system, variables),
+        prompt: PromptTemplate.renderText(prompt, variables)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error previewing draft prompt template:', error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllPromptTemplates,
+  getPromptTemplateById,
+  createPromptTemplate,
+  updatePromptTemplate,
+  deletePromptTemplate,
+  getPromptTemplateVersions,
+  restorePromptTemplateVersion,
+  previewPromptTemplate,
+  previewDraftTemplate
+};
@@ -1,24 +1,42 @@
 const mongoose = require('mongoose');
 const User = require('../models/User');
 const Role = require('../models/Role');
+const BioRevision = require('../models/BioRevision');
 const aiService = require('../services/aiService');
+const bioJobQueue = require('../services/bioJobQueue');
+const embeddingIndex = require('../services/embeddingIndex');
+const authService = require('../services/authService');
+const auditLog = require('../services/auditLog');
 const logger = require('../config/logger');
+const { normalizeBioOptions } = require('../config/bioOptions');
+const { checkUserListFilter } = require('../middleware/validation');
+const { describePrincipal, principalLabel } = require('../middleware/auth');
+
+/**
+ * Number of bio candidates requested (defaults to a single bio)
+ * @param {number|string} [variants] - Requested variants
+ * @returns {number} Variant count
+ */
+const variantsRequested = (variants) => parseInt(variants) || 1;
+
+// Fields PUT /api/users/:id can set; the bio history, drafts, translations, embedding and job state are the server's own
+const UPDATABLE_FIELDS = ['name', 'email', 'role', 'status', 'password', 'bio', 'bioLocked', 'headline', 'shortBio', 'skills', 'keywords'];
 
 /**
  * @desc    Create a new user
  * @route   POST /api/users
- * @access  Public
+ * @access  Private
  */
 const createUser = async (req, res, next) => {
   try {
     logger.info('=== Starting user creation process ===');
-    const { name, email, role } = req.body;
+    const { name, email, role, bio, bioLocked, password, bioOptions, cache, structured } = req.body;
     
     logger.info(`Request data received:`, {
       name: name,
       email: email,
       roleId: role,
-      requestBody: req.body
+      requestBody: { ...req.body, password: password ? '[REDACTED]' : undefined }
     });
 
     // Enhanced email validation
@@ -95,6 +113,14 @@ const createUser = async (req, res, next) => {
       });
     }
     
+    if (!req.access.coversPermissions(roleInfo.permissions)) {
+      logger.warn(`Role assignment denied: ${describePrincipal(req)} cannot assign ${roleInfo.name}`);
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot assign a role with permissions you do not have'
+      });
+    }
+
     logger.info(`✓ Role validated successfully:`, {
       roleId: roleInfo._id,
       roleName: roleInfo.name,
@@ -102,88 +128,94 @@ const createUser = async (req, res, next) => {
       roleStatus: roleInfo.status
     });
 
-    // Generate AI bio
-    logger.info(`Starting AI bio generation for user: ${name} with role: ${roleInfo.name}`);
-    const bioStartTime = Date.now();
-    
-    try {
-      const bio = await aiService.generateBio(name, roleInfo.name);
-      const bioEndTime = Date.now();
-      
-      logger.info(`✓ AI bio generated successfully in ${bioEndTime - bioStartTime}ms:`, {
-        bioLength: bio ? bio.length : 0,
-        bioPreview: bio ? bio.substring(0, 100) + '...' : 'No bio generated'
-      });
+    // Create user in database; without a hand-written bio, one is generated in the background by the bio job queue
+    const manualBio = bio || null;
+    logger.info(`Creating user in database with data:`, {
+      name: name,
+      email: normalizedEmail,
+      roleId: roleInfo._id,
+      roleName: roleInfo.name
+    });
 
-      // Create user in database
-      logger.info(`Creating user in database with data:`, {
-        name: name,
-        email: normalizedEmail,
-        roleId: roleInfo._id,
-        roleName: roleInfo.name,
-        bioLength: bio ? bio.length : 0
-      });
+    const userCreationStartTime = Date.now();
+    const user = await User.create({
+      name,
+      email: normalizedEmail, // Use normalized email
+      role: roleInfo._id, // Use ObjectId instead of name
+      password: password || null, // Hashed by the model
+      ...(manualBio
+        ? { bio: manualBio, bioSource: 'manual', bioLocked: bioLocked !== undefined ? bioLocked : true, bioStatus: 'completed' }
+        : { bioLocked: Boolean(bioLocked), bioStatus: 'pending' })
+    });
+    const userCreationEndTime = Date.now();
+    embeddingIndex.refresh(user._id);
+
+    logger.info(`✓ User created in database successfully in ${userCreationEndTime - userCreationStartTime}ms:`, {
+      userId: user._id,
+      userName: user.name,
+      userEmail: user.email,
+      userRole: user.role,
+      userStatus: user.status,
+      createdAt: user.createdAt
+    });
 
-      const userCreationStartTime = Date.now();
-      const user = await User.create({
-        name,
-        email: normalizedEmail, // Use normalized email
-        role: roleInfo._id, // Use ObjectId instead of name
-        bio
-      });
-      const userCreationEndTime = Date.now();
-
-      logger.info(`✓ User created in database successfully in ${userCreationEndTime - userCreationStartTime}ms:`, {
-        userId: user._id,
-        userName: user.name,
-        userEmail: user.email,
-        userRole: user.role,
-        userStatus: user.status,
-        createdAt: user.createdAt
+    // Queue AI bio generation, or several candidates for the caller to choose from
+    let bioJob = null;
+    if (manualBio) {
+      await BioRevision.recordChange(user._id, { text: manualBio, source: 'manual', editedBy: principalLabel(req) });
+      logger.info(`✓ Manual bio stored; skipping AI generation`, { bioLocked: user.bioLocked });
+    } else {
+      const variants = variantsRequested(req.body.variants);
+      bioJob = await bioJobQueue.enqueue(user, 'create', { bioOptions, variants, cache, structured });
+
+      logger.info(`✓ Bio generation queued:`, {
+        jobId: bioJob._id,
+        variants,
+        structured: Boolean(structured)
       });
+    }
 
-      // Populate role information for response
-      logger.info(`Populating role information for response...`);
-      await user.populate('role', 'name description');
-      
-      logger.info(`✓ Role information populated:`, {
-        populatedRole: user.role
-      });
+    await auditLog.record(req, {
+      action: 'user.create',
+      targetType: 'User',
+      targetId: user._id,
+      after: auditLog.snapshot('User', user),
+      metadata: bioJob ? { bioJob: bioJob._id } : {}
+    });
 
-      const publicProfile = user.getPublicProfile();
-      logger.info(`✓ Public profile generated:`, {
-        profileKeys: Object.keys(publicProfile),
-        hasRole: !!publicProfile.role,
-        hasBio: !!publicProfile.bio
-      });
+    // Populate role information for response
+    logger.info(`Populating role information for response...`);
+    await user.populate('role', 'name description');
+    
+    logger.info(`✓ Role information populated:`, {
+      populatedRole: user.role
+    });
 
-      logger.info(`=== User creation completed successfully ===`, {
-        userId: user._id,
-        totalProcessingTime: Date.now() - bioStartTime,
-        success: true
-      });
+    const publicProfile = user.getPublicProfile();
 
-      res.status(201).json({
-        success: true,
-        message: 'User created successfully',
-        data: publicProfile
-      });
+    logger.info(`=== User creation completed successfully ===`, {
+      userId: user._id,
+      bioJobId: bioJob ? bioJob._id : null,
+      success: true
+    });
 
-    } catch (bioError) {
-      logger.error(`AI bio generation failed:`, {
-        error: bioError.message,
-        stack: bioError.stack,
-        userName: name,
-        roleName: roleInfo.name
-      });
-      throw bioError; // Re-throw to be caught by outer catch block
-    }
+    res.status(201).json({
+      success: true,
+      message: bioJob ? 'User created successfully; bio generation queued' : 'User created successfully',
+      data: publicProfile,
+      ...(bioJob && {
+        bioJob: {
+          id: bioJob._id,
+          status: bioJob.status
+        }
+      })
+    });
 
   } catch (error) {
     logger.error('=== User creation process failed ===', {
       error: error.message,
       stack: error.stack,
-      requestData: req.body,
+      requestData: { ...req.body, password: req.body.password ? '[REDACTED]' : undefined },
       timestamp: new Date().toISOString()
     });
     next(error);
@@ -191,138 +223,163 @@ const createUser = async (req, res, next) => {
 };
 
 /**
- * @desc    Get all users
- * @route   POST /api/users/list
- * @access  Public
+ * Run a users list query: filters, optional semantic scoring, sorting and pagination
+ * @param {Object} filters - List request body fields (page, pageSize, status, role, search, skill,
+ *   createdFrom, createdTo, searchMode, minScore, sortBy, sortOrder)
+ * @param {string} locale - Locale the bios are returned in
+ * @returns {Promise<{users: Array<Object>, pagination: Object}>} Page of users and pagination info
  */
-const getAllUsers = async (req, res, next) => {
-  try {
-    const {
-      page = 1,
-      pageSize = 10,
-      status,
-      search,
-      role,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.body;
-
-    logger.info(`Getting users - page: ${page}, pageSize: ${pageSize}, search: "${search}", status: ${status}, role: ${role}`);
-
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(pageSize);
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    let pipeline = [];
-
-    // Add lookup for role information
-    pipeline.push({
-      $lookup: {
-        from: 'roles',
-        localField: 'role',
-        foreignField: '_id',
-        as: 'roleInfo'
-      }
-    });
-
-    // Unwind the role array
-    pipeline.push({
-      $unwind: '$roleInfo'
-    });
-
-    // Build match conditions
-    const matchConditions = {};
-    
-    if (status) {
-      matchConditions.status = status;
-    }
+const listUsers = async (filters, locale) => {
+  const {
+    page = 1,
+    pageSize = 10,
+    status,
+    search,
+    role,
+    skill,
+    createdFrom,
+    createdTo,
+    searchMode = 'text',
+    minScore,
+    sortBy = 'createdAt',
+    sortOrder = 'desc'
+  } = filters;
+
+  logger.info(`Getting users - page: ${page}, pageSize: ${pageSize}, search: "${search}", searchMode: ${searchMode}, status: ${status}, role: ${role}, skill: ${skill}, created: ${createdFrom || '*'}..${createdTo || '*'}, locale: ${locale}`);
+
+  // Semantic and hybrid searches rank by similarity to the query instead of matching it
+  const scored = Boolean(search) && searchMode !== 'text';
+
+  // Calculate pagination
+  const skip = (parseInt(page) - 1) * parseInt(pageSize);
+  const sortOptions = {};
+  if (scored) {
+    sortOptions.searchScore = -1;
+  }
+  sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
-    if (role) {
-      matchConditions['roleInfo.name'] = role;
-    }
+  // Join role information and apply the filters
+  const pipeline = User.buildFilterPipeline({ status, role, search: scored ? undefined : search, skill, createdFrom, createdTo });
 
-    if (search) {
-      matchConditions.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { 'roleInfo.name': { $regex: search, $options: 'i' } }
-      ];
-    }
+  if (scored) {
+    const vector = await embeddingIndex.embedQuery(search);
+    pipeline.push(...User.buildSearchScoreStages({
+      vector,
+      model: embeddingIndex.embedder.model,
+      search,
+      mode: searchMode,
+      weight: embeddingIndex.hybridWeight,
+      minScore: minScore !== undefined ? parseFloat(minScore) : embeddingIndex.minScore
+    }));
+  }
 
-    // Add match stage if we have conditions
-    if (Object.keys(matchConditions).length > 0) {
-      pipeline.push({ $match: matchConditions });
+  // Add sorting
+  pipeline.push({ $sort: sortOptions });
+
+  // Create pipeline for counting total documents
+  const countPipeline = [...pipeline, { $count: 'total' }];
+
+  // Add pagination to main pipeline
+  pipeline.push({ $skip: skip });
+  pipeline.push({ $limit: parseInt(pageSize) });
+
+  // Add projection to clean up the output
+  pipeline.push({
+    $project: {
+      _id: 1,
+      name: 1,
+      email: 1,
+      status: 1,
+      bio: 1,
+      bioSource: 1,
+      bioLocked: 1,
+      bioStatus: 1,
+      bios: 1,
+      headline: 1,
+      skills: 1,
+      createdAt: 1,
+      updatedAt: 1,
+      searchScore: 1,
+      semanticScore: 1,
+      keywordScore: 1,
+      role: {
+        _id: '$roleInfo._id',
+        name: '$roleInfo.name',
+        description: '$roleInfo.description'
+      }
     }
+  });
 
-    // Add sorting
-    pipeline.push({ $sort: sortOptions });
-
-    // Create pipeline for counting total documents
-    const countPipeline = [...pipeline, { $count: 'total' }];
-
-    // Add pagination to main pipeline
-    pipeline.push({ $skip: skip });
-    pipeline.push({ $limit: parseInt(pageSize) });
-
-    // Add projection to clean up the output
-    pipeline.push({
-      $project: {
-        _id: 1,
-        name: 1,
-        email: 1,
-        status: 1,
-        bio: 1,
-        createdAt: 1,
-        updatedAt: 1,
-        role: {
-          _id: '$roleInfo._id',
-          name: '$roleInfo.name',
-          description: '$roleInfo.description'
-        }
-      }
-    });
+  // Execute both queries
+  const [users, totalResult] = await Promise.all([
+    User.aggregate(pipeline),
+    User.aggregate(countPipeline)
+  ]);
 
-    // Execute both queries
-    const [users, totalResult] = await Promise.all([
-      User.aggregate(pipeline),
-      User.aggregate(countPipeline)
-    ]);
+  // Get total count from aggregation result
+  const totalUsers = totalResult.length > 0 ? totalResult[0].total : 0;
 
-    // Get total count from aggregation result
-    const totalUsers = totalResult.length > 0 ? totalResult[0].total : 0;
+  // Calculate pagination info
+  const totalPages = Math.ceil(totalUsers / parseInt(pageSize));
+  const hasNextPage = parseInt(page) < totalPages;
+  const hasPrevPage = parseInt(page) > 1;
 
-    // Calculate pagination info
-    const totalPages = Math.ceil(totalUsers / parseInt(pageSize));
-    const hasNextPage = parseInt(page) < totalPages;
-    const hasPrevPage = parseInt(page) > 1;
+  logger.info(`Retrieved ${users.length} users (page ${page}) out of ${totalUsers} total`);
 
-    logger.info(`Retrieved ${users.length} users (page ${page}) out of ${totalUsers} total`);
+  // Transform aggregation results to match expected format, with the bio in the requested locale
+  const transformedUsers = users.map(user => {
+    const localized = User.pickLocalizedBio(user, locale);
 
-    // Transform aggregation results to match expected format
-    const transformedUsers = users.map(user => ({
+    return {
       id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
       status: user.status,
-      bio: user.bio,
+      bio: localized.text,
+      locale: localized.locale,
+      bioSource: user.bioSource,
+      bioLocked: user.bioLocked,
+      bioStatus: user.bioStatus,
+      headline: user.headline,
+      skills: user.skills,
+      ...(scored && {
+        score: user.searchScore,
+        semanticScore: user.semanticScore,
+        ...(searchMode === 'hybrid' && { keywordScore: user.keywordScore })
+      }),
       createdAt: user.createdAt,
       updatedAt: user.updatedAt
-    }));
+    };
+  });
+
+  return {
+    users: transformedUsers,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages,
+      totalUsers,
+      hasNextPage,
+      hasPrevPage,
+      pageSize: parseInt(pageSize)
+    }
+  };
+};
+
+/**
+ * @desc    Get all users
+ * @route   POST /api/users/list
+ * @access  Private
+ */
+const getAllUsers = async (req, res, next) => {
+  try {
+    const { users, pagination } = await listUsers(req.body, req.locale);
 
     res.status(200).json({
       success: true,
       message: 'Users retrieved successfully',
-      data: transformedUsers,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalUsers,
-        hasNextPage,
-        hasPrevPage,
-        pageSize: parseInt(pageSize)
-      }
+      data: users,
+      pagination
     });
 
   } catch (error) {
@@ -331,10 +388,55 @@ const getAllUsers = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    List users from a plain-English question; the AI turns it into a list filter,
+ *          which is checked against the same rules as POST /api/users/list before it runs
+ * @route   POST /api/users/query
+ * @access  Private
+ */
+const queryUsers = async (req, res, next) => {
+  try {
+    const { query, page, pageSize, cache } = req.body;
+
+    const { filter: interpreted, provider, model, cached } = await aiService.interpretUserQuery(query, { cache });
+    const { filter, errors } = await checkUserListFilter(interpreted);
+
+    if (errors.length > 0) {
+      logger.warn(`Interpreted filter for user query "${query}" failed validation`, { filter: interpreted, errors });
+      return res.status(422).json({
+        success: false,
+        error: 'The query could not be turned into a valid filter',
+        details: errors,
+        interpretedFilter: interpreted
+      });
+    }
+
+    const { users, pagination } = await listUsers({ ...filter, page, pageSize }, req.locale);
+
+    res.status(200).json({
+      success: true,
+      message: 'Users retrieved successfully',
+      data: users,
+      pagination,
+      query: {
+        text: query,
+        interpretedFilter: filter,
+        provider,
+        model,
+        cached
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error running user query:', error.message);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get user by ID
  * @route   GET /api/users/:id
- * @access  Public
+ * @access  Private
  */
 const getUserById = async (req, res, next) => {
   try {
@@ -354,7 +456,7 @@ const getUserById = async (req, res, next) => {
     res.status(200).json({
       success: true,
       message: 'User retrieved successfully',
-      data: user.getPublicProfile()
+      data: user.getPublicProfile({ locale: req.locale })
     });
 
   } catch (error) {
@@ -366,30 +468,93 @@ const getUserById = async (req, res, next) => {
 /**
  * @desc    Update user by ID
  * @route   PUT /api/users/:id
- * @access  Public
+ * @access  Private
  */
 const updateUser = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const { bioOptions, cache, structured } = req.body;
+    const updates = Object.fromEntries(Object.entries(req.body).filter(([field]) => UPDATABLE_FIELDS.includes(field)));
+
+    // Keep the user as it was for the audit trail, the revision history and the permission checks
+    const previous = await User.findById(id).populate('role', 'name permissions isActive');
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const isOwner = Boolean(req.user) && String(req.user._id) === String(previous._id);
+    const coversRole = req.access.coversPermissions(previous.role ? previous.role.permissions : []);
+
+    // A password is only set by the account's owner or by a caller who outranks them
+    if (updates.password !== undefined && !isOwner && !coversRole) {
+      logger.warn(`Password change denied: ${describePrincipal(req)} cannot set the password of user ${id}`);
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot change the password of this user'
+      });
+    }
+
+    // Only callers holding every permission of the user's role may change them at all, so nobody
+    // can take over, deactivate or demote an account with more access than their own
+    if (!req.ownAccess && !coversRole) {
+      logger.warn(`User update denied: ${describePrincipal(req)} does not hold every permission of user ${id}'s role`);
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot update a user whose role has permissions you do not have'
+      });
+    }
 
-    // Remove fields that shouldn't be updated directly
-    delete updates._id;
-    delete updates.__v;
-    delete updates.createdAt;
+    // findByIdAndUpdate skips the model's save hook, so hash a new password here
+    if (updates.password) {
+      updates.password = await User.hashPassword(updates.password);
+      updates.passwordChangedAt = new Date();
+    }
+
+    // Users editing their own profile through users:update:own cannot change their role or status
+    if (req.ownAccess && (updates.role !== undefined || updates.status !== undefined)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot change your own role or status'
+      });
+    }
+
+    // A hand-written bio is owned by the user and locked against regeneration unless they say otherwise
+    if (updates.bio) {
+      updates.bioSource = 'manual';
+      updates.bioVariant = null;
+      if (updates.bioLocked === undefined) {
+        updates.bioLocked = true;
+      }
+    }
 
     // If role is being updated, validate and get role info
     let shouldRegenerateBio = false;
-    let roleInfo = null;
     if (updates.role) {
-      roleInfo = await Role.findById(updates.role);
+      const roleInfo = await Role.findById(updates.role);
       if (!roleInfo) {
         return res.status(400).json({
           success: false,
           error: 'Invalid role ID provided'
         });
       }
-      shouldRegenerateBio = true;
+      if (!req.access.coversPermissions(roleInfo.permissions)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You cannot assign a role with permissions you do not have'
+        });
+      }
+
+      const locked = updates.bioLocked !== undefined ? updates.bioLocked : previous.bioLocked;
+      if (locked) {
+        logger.info(`Bio for user ${id} is locked; not regenerating after role change`);
+      } else {
+        shouldRegenerateBio = true;
+        updates.bioStatus = 'pending';
+      }
     }
 
     const user = await User.findByIdAndUpdate(
@@ -405,25 +570,44 @@ const updateUser = async (req, res, next) => {
       });
     }
 
-    // Regenerate bio if role was updated
-    if (shouldRegenerateBio && roleInfo) {
-      try {
-        logger.info(`Regenerating bio for user: ${user.name} (${roleInfo.name})`);
-        const newBio = await aiService.generateBio(user.name, roleInfo.name);
-        user.bio = newBio;
-        await user.save();
-      } catch (bioError) {
-        logger.warn('Failed to regenerate bio:', bioError.message);
-        // Continue without failing the entire update
-      }
+    if (updates.bio !== undefined && previous.bio !== user.bio) {
+      await BioRevision.recordChange(user._id, { text: user.bio, source: 'manual', editedBy: principalLabel(req) }, previous.bio);
+    }
+    embeddingIndex.refresh(user._id);
+
+    // A new password ends every existing session
+    if (updates.password) {
+      await authService.revokeUserTokens(user._id, 'password-change');
+    }
+
+    // Queue bio regeneration if role was updated
+    let bioJob = null;
+    if (shouldRegenerateBio) {
+      logger.info(`Queueing bio regeneration for user: ${user.name} (${user.role.name})`);
+      bioJob = await bioJobQueue.enqueue(user, 'regenerate', { bioOptions, cache, structured });
     }
 
+    await auditLog.record(req, {
+      action: 'user.update',
+      targetType: 'User',
+      targetId: user._id,
+      before: auditLog.snapshot('User', previous),
+      after: auditLog.snapshot('User', user),
+      metadata: bioJob ? { bioJob: bioJob._id } : {}
+    });
+
     logger.info(`User updated successfully: ${user._id}`);
 
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
-      data: user.getPublicProfile()
+      data: user.getPublicProfile(),
+      ...(bioJob && {
+        bioJob: {
+          id: bioJob._id,
+          status: bioJob.status
+        }
+      })
     });
 
   } catch (error) {
@@ -435,7 +619,7 @@ const updateUser = async (req, res, next) => {
 /**
  * @desc    Delete user by ID
  * @route   DELETE /api/users/:id
- * @access  Public
+ * @access  Private
  */
 const deleteUser = async (req, res, next) => {
   try {
@@ -450,6 +634,15 @@ const deleteUser = async (req, res, next) => {
       });
     }
 
+    await BioRevision.deleteMany({ user: user._id });
+
+    await auditLog.record(req, {
+      action: 'user.delete',
+      targetType: 'User',
+      targetId: user._id,
+      before: auditLog.snapshot('User', user)
+    });
+
     logger.info(`User deleted successfully: ${id}`);
 
     res.status(200).json({
@@ -466,10 +659,137 @@ const deleteUser = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Regenerate a user's bio on demand, even when it is locked
+ * @route   POST /api/users/:id/bio/regenerate
+ * @access  Private
+ */
+const regenerateBio = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { bioOptions, cache, structured } = req.body;
+
+    const user = await User.findById(id).populate('role', 'name description').select('-__v');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const variants = variantsRequested(req.body.variants);
+
+    // Saved before enqueueing: a fast job can finish before enqueue returns, and a later save
+    // would put its completed status back to pending
+    user.bioStatus = 'pending';
+    await user.save();
+
+    const bioJob = await bioJobQueue.enqueue(user, 'regenerate', { bioOptions, variants, cache, structured, force: true });
+
+    // The bio itself changes when the job runs (user.bio.generated)
+    await auditLog.record(req, {
+      action: 'user.bio.regenerate',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { bioJob: bioJob._id, variants, structured: Boolean(structured), bioOptions: bioOptions || {} }
+    });
+
+    logger.info(`Bio regeneration requested for user: ${user._id}`, {
+      jobId: bioJob._id,
+      variants,
+      structured: Boolean(structured),
+      bioLocked: user.bioLocked
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Bio regeneration queued',
+      data: user.getPublicProfile(),
+      bioJob: {
+        id: bioJob._id,
+        status: bioJob.status
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error queueing bio regeneration:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Promote a pending bio draft to the user's bio
+ * @route   POST /api/users/:id/bio/select
+ * @access  Private
+ */
+const selectBioDraft = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { draftId } = req.body;
+
+    const user = await User.findById(id).populate('role', 'name description').select('-__v');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const draft = user.bioDrafts.id(draftId);
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bio draft not found'
+      });
+    }
+
+    const before = auditLog.snapshot('User', user);
+    const previousBio = user.bio;
+    user.bio = draft.text;
+    user.bioSource = 'ai';
+    user.bioVariant = null;
+    user.bioDrafts = [];
+    await user.save();
+    embeddingIndex.refresh(user._id);
+
+    await BioRevision.recordChange(user._id, {
+      text: draft.text,
+      source: 'ai',
+      provider: draft.provider,
+      model: draft.model,
+      template: draft.template,
+      editedBy: principalLabel(req)
+    }, previousBio);
+
+    await auditLog.record(req, {
+      action: 'user.bio.select',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: auditLog.snapshot('User', user),
+      metadata: { draftId, provider: draft.provider, model: draft.model }
+    });
+
+    logger.info(`Bio draft ${draftId} selected for user: ${user._id} (${draft.provider}/${draft.model})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Bio draft selected successfully',
+      data: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error selecting bio draft:', error.message);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get AI service status
  * @route   GET /api/users/ai/status
- * @access  Public
+ * @access  Private
  */
 const getAIStatus = async (req, res, next) => {
   try {
@@ -480,7 +800,9 @@ const getAIStatus = async (req, res, next) => {
       message: 'AI service status retrieved',
       data: {
         services: status,
-        configured: status.openai || status.huggingface
+        configured: status.hasAnyService,
+        healthy: status.hasHealthyService,
+        embeddings: embeddingIndex.getStatus()
       }
     });
 
@@ -490,9 +812,81 @@ const getAIStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Reset a provider's circuit breaker
+ * @route   POST /api/users/ai/providers/:provider/breaker/reset
+ * @access  Admin
+ */
+const resetProviderBreaker = async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+    const breaker = aiService.resetBreaker(provider);
+
+    if (!breaker) {
+      return res.status(404).json({
+        success: false,
+        error: `AI provider "${provider}" not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Circuit breaker reset successfully',
+      data: {
+        provider,
+        breaker
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error resetting circuit breaker:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Re-embed every user whose embedding is missing or stale (or all users with force)
+ * @route   POST /api/users/embeddings/reindex
+ * @access  Admin
+ */
+const reindexEmbeddings = async (req, res, next) => {
+  try {
+    const { force = false } = req.body;
+
+    if (!embeddingIndex.enabled) {
+      return res.status(503).json({
+        success: false,
+        error: 'Embeddings are disabled (EMBEDDINGS_ENABLED=false)'
+      });
+    }
+
+    if (embeddingIndex.isReindexing()) {
+      return res.status(409).json({
+        success: false,
+        error: 'An embedding reindex is already running'
+      });
+    }
+
+    // Runs in the background; progress is reported by GET /api/users/ai/status
+    embeddingIndex.reindex({ force });
+
+    logger.info('Embedding reindex started', { force });
+
+    res.status(202).json({
+      success: true,
+      message: 'Embedding reindex started',
+      data: embeddingIndex.getStatus()
+    });
+
+  } catch (error) {
+    logger.error('Error starting embedding reindex:', error.message);
+    next(error);
+  }
+};
+
 const testAIBio = async (req, res, next) => {
   try {
-    const { name, role } = req.body;
+    const { name, role, bioOptions, cache, structured } = req.body;
 
     if (!name || !role) {
       return res.status(400).json({
@@ -501,8 +895,43 @@ const testAIBio = async (req, res, next) => {
       });
     }
 
-    logger.info(`Testing AI bio generation for: ${name} (${role})`);
-    const bio = await aiService.generateBio(name, role);
+    const variants = variantsRequested(req.body.variants);
+    logger.info(`Testing AI bio generation for: ${name} (${role})`, { variants, structured: Boolean(structured) });
+
+    if (structured) {
+      const { profile, provider, model, cached } = await aiService.generateProfile(name, role, bioOptions, { cache });
+
+      return res.status(200).json({
+        success: true,
+        message: 'AI profile generated successfully',
+        data: {
+          name,
+          role,
+          options: normalizeBioOptions(bioOptions),
+          profile,
+          provider,
+          model,
+          cached
+        }
+      });
+    }
+
+    if (variants > 1) {
+      const candidates = await aiService.generateBioCandidates(name, role, bioOptions, variants, { cache });
+
+      return res.status(200).json({
+        success: true,
+        message: 'AI bio candidates generated successfully',
+        data: {
+          name,
+          role,
+          options: normalizeBioOptions(bioOptions),
+          candidates
+        }
+      });
+    }
+
+    const bio = await aiService.generateBio(name, role, bioOptions, { cache });
 
     res.status(200).json({
       success: true,
@@ -510,6 +939,7 @@ const testAIBio = async (req, res, next) => {
       data: {
         name,
         role,
+        options: normalizeBioOptions(bioOptions),
         bio
       }
     });
@@ -520,10 +950,67 @@ const testAIBio = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Stream AI bio generation as Server-Sent Events
+ * @route   POST /api/users/ai/bio/stream
+ * @access  Private
+ */
+const streamBio = async (req, res) => {
+  const { name, role, bioOptions, cache } = req.body;
+  let clientClosed = false;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression() buffers output unless it is flushed explicitly
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  };
+
+  // res emits 'close' on normal completion too; only an unfinished response means the client left
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientClosed = true;
+    }
+  });
+
+  logger.info(`Streaming AI bio generation for: ${name} (${role})`);
+
+  try {
+    for await (const event of aiService.streamBio(name, role, bioOptions, { cache })) {
+      if (clientClosed) {
+        logger.info(`Client disconnected during bio stream for: ${name} (${role})`);
+        break;
+      }
+
+      const { type, ...data } = event;
+      sendEvent(type, data);
+    }
+  } catch (error) {
+    logger.error('Error streaming AI bio:', error.message);
+    if (!clientClosed) {
+      sendEvent('error', {
+        success: false,
+        error: error.message || 'AI service error'
+      });
+    }
+  }
+
+  res.end();
+};
+
 /**
  * @desc    Get user status options
  * @route   GET /api/users/status-options
- * @access  Public
+ * @access  Private
  */
 const getUserStatusOptions = async (req, res, next) => {
   try {
@@ -544,7 +1031,7 @@ const getUserStatusOptions = async (req, res, next) => {
 /**
  * @desc    Get all roles
  * @route   GET /api/roles
- * @access  Public
+ * @access  Private
  */
 
 const getAllRoles = async (req, res, next) => {
@@ -567,11 +1054,18 @@ const getAllRoles = async (req, res, next) => {
 /**
  * @desc    Create a new role
  * @route   POST /api/roles
- * @access  Public
+ * @access  Private
  */
 const createRole = async (req, res, next) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, permissions = [] } = req.body;
+
+    if (!req.access.coversPermissions(permissions)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot grant permissions you do not have'
+      });
+    }
 
     // Convert spaces to underscores and make uppercase
     const processedName = name.trim().replace(/\s+/g, '_').toUpperCase();
@@ -587,7 +1081,15 @@ const createRole = async (req, res, next) => {
     // Create role
     const role = await Role.create({
       name: processedName,
-      description: description || ''
+      description: description || '',
+      permissions
+    });
+
+    await auditLog.record(req, {
+      action: 'role.create',
+      targetType: 'Role',
+      targetId: role._id,
+      after: auditLog.snapshot('Role', role)
     });
 
     logger.info(`Role created successfully: ${role._id} (${name} -> ${processedName})`);
@@ -604,15 +1106,96 @@ const createRole = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Update a role's description, permissions or active flag
+ * @route   PUT /api/users/roles/:id
+ * @access  Private
+ */
+const updateRole = async (req, res, next) => {
+  try {
+    const { description, permissions, isActive } = req.body;
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    // A role cannot lock its own holders out by accident
+    if (req.user && String(role._id) === String(req.user.role._id) && (isActive === false || (permissions !== undefined && !permissions.includes('roles:update')))) {
+      return res.status(409).json({
+        success: false,
+        error: 'You cannot deactivate your own role or remove roles:update from it'
+      });
+    }
+
+    const before = auditLog.snapshot('Role', role);
+
+    // Neither the added nor the removed permissions may exceed the caller's own
+    if (permissions !== undefined) {
+      const changed = [
+        ...permissions.filter(permission => !role.permissions.includes(permission)),
+        ...role.permissions.filter(permission => !permissions.includes(permission))
+      ];
+      if (!req.access.coversPermissions(changed)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You cannot grant or revoke permissions you do not have'
+        });
+      }
+      role.permissions = permissions;
+    }
+
+    if (description !== undefined) {
+      role.description = description;
+    }
+    if (isActive !== undefined) {
+      role.isActive = isActive;
+    }
+
+    await role.save();
+
+    await auditLog.record(req, {
+      action: 'role.update',
+      targetType: 'Role',
+      targetId: role._id,
+      before,
+      after: auditLog.snapshot('Role', role)
+    });
+
+    logger.info(`Role updated successfully: ${role._id} (${role.name})`, { permissions: role.permissions, isActive: role.isActive });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Error updating role:', error.message);
+    next(error);
+  }
+};
+
 module.exports = {
   createUser,
   getAllUsers,
+  queryUsers,
   getUserById,
   updateUser,
   deleteUser,
+  regenerateBio,
+  selectBioDraft,
   getAIStatus,
+  resetProviderBreaker,
+  reindexEmbeddings,
   testAIBio,
+  streamBio,
   getUserStatusOptions,
   getAllRoles,
-  createRole
+  createRole,
+  updateRole
 };
@@ -0,0 +1,186 @@
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const authService = require('../services/authService');
+const logger = require('../config/logger');
+
+/**
+ * The API key a request presents, if any: an "X-API-Key" header, or an "Authorization: Bearer"
+ * header whose token has the API key format (other bearer tokens are access tokens)
+ * @param {Object} req - Express request
+ * @returns {?string} API key
+ */
+const presentedApiKey = (req) => {
+  const header = req.get('X-API-Key');
+  if (header) {
+    return header.trim();
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && ApiKey.isApiKeyFormat(token) ? token : null;
+};
+
+/**
+ * Look up the presented API key, once per request
+ * Sets req.apiKey to the key when it is active, or req.apiKeyError to why it was refused.
+ * @param {Object} req - Express request
+ * @returns {Promise<void>}
+ */
+const checkApiKey = async (req) => {
+  if (req.apiKeyChecked) {
+    return;
+  }
+  req.apiKeyChecked = true;
+
+  const key = presentedApiKey(req);
+  if (!key) {
+    return;
+  }
+
+  const apiKey = await ApiKey.findByKey(key);
+  if (!apiKey) {
+    req.apiKeyError = 'Invalid API key';
+  } else if (apiKey.status !== 'active') {
+    req.apiKeyError = `API key is ${apiKey.status}`;
+  } else {
+    req.apiKey = apiKey;
+    apiKey.touch(req.ip);
+    return;
+  }
+
+  logger.warn(`Rejected API key on ${req.method} ${req.originalUrl}: ${req.apiKeyError}`, { ip: req.ip });
+};
+
+/**
+ * API key identification middleware
+ * Runs ahead of the rate limiters so they can count requests per API key. It rejects nothing
+ * itself; authenticate answers 401 for a refused key.
+ */
+const identifyApiKey = async (req, res, next) => {
+  try {
+    await checkApiKey(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Authentication middleware
+ * Accepts an API key (see checkApiKey), which sets req.apiKey, or an
+ * "Authorization: Bearer <access token>" header, which sets req.user to the active user it was
+ * issued to (role and its permissions populated). Either way req.access is what authorize checks
+ * permissions against: the key or the user's role. Invalid and expired access tokens are passed
+ * to the error handler, which answers 401.
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    await checkApiKey(req);
+
+    if (req.apiKey) {
+      req.access = req.apiKey;
+      return next();
+    }
+
+    if (req.apiKeyError) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({
+        success: false,
+        error: req.apiKeyError
+      });
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const claims = authService.verifyAccessToken(token);
+    const user = await User.findById(claims.sub).populate('role', 'name description permissions isActive');
+
+    if (!user || user.status !== 'ACTIVE' || user.changedPasswordAfter(claims.iat)) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({
+        success: false,
+        error: 'Token is no longer valid'
+      });
+    }
+
+    req.user = user;
+    req.access = user.role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Who made the request, for logs
+ * @param {Object} req - Express request
+ * @returns {string} "user <id>" or "API key <prefix>"
+ */
+const describePrincipal = (req) => (req.apiKey ? `API key ${req.apiKey.prefix}` : `user ${req.user && req.user._id}`);
+
+/**
+ * Who made the request, as recorded on bio revisions, feedback and bulk regenerations (editedBy, submittedBy, requestedBy)
+ * @param {Object} req - Express request, after authenticate
+ * @returns {?string} The user's email or the API key's name and prefix; null without a caller
+ */
+const principalLabel = (req) => {
+  if (req.apiKey) {
+    return `${req.apiKey.name} (${req.apiKey.prefix})`;
+  }
+  return req.user ? req.user.email : null;
+};
+
+/**
+ * Authorization middleware factory
+ * Requires the authenticated user's role, or the API key's scopes, to grant every listed permission.
+ * On /api/users/:id routes a user's permission is also satisfied by its ":own" variant when :id is
+ * the caller; req.ownAccess is then set, so controllers can hold back changes only the unrestricted
+ * permission allows.
+ * @param {...string} permissions - Required permissions (see config/permissions)
+ * @returns {Function} Express middleware
+ */
+const authorize = (...permissions) => (req, res, next) => {
+  const access = req.access;
+  const isOwner = Boolean(req.user) && Boolean(req.params.id) && String(req.params.id) === String(req.user._id);
+  let ownAccess = false;
+
+  const missing = permissions.filter(permission => {
+    if (access && access.hasPermission(permission)) {
+      return false;
+    }
+    if (isOwner && access && access.hasPermission(`${permission}:own`)) {
+      ownAccess = true;
+      return false;
+    }
+    return true;
+  });
+
+  if (missing.length > 0) {
+    logger.warn(`Permission denied for ${describePrincipal(req)} on ${req.method} ${req.originalUrl}`, { missing });
+    return res.status(403).json({
+      success: false,
+      error: 'You do not have permission to perform this action',
+      details: {
+        missingPermissions: missing
+      }
+    });
+  }
+
+  req.ownAccess = ownAccess;
+  next();
+};
+
+module.exports = {
+  describePrincipal,
+  principalLabel,
+  identifyApiKey,
+  authenticate,
+  authorize
+};
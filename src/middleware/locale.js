@@ -0,0 +1,24 @@
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, canonicalLocale } = require('../config/locales');
+
+/**
+ * Bio locale negotiation middleware
+ * Sets req.locale from an explicit locale parameter (query string, or body for POST
+ * lists), then the Accept-Language header, then the default locale.
+ */
+const resolveLocale = (req, res, next) => {
+  const requested = (req.query && req.query.locale) || (req.body && req.body.locale);
+  const explicit = requested ? canonicalLocale(requested) : null;
+
+  if (explicit && SUPPORTED_LOCALES.includes(explicit)) {
+    req.locale = explicit;
+  } else {
+    // With no Accept-Language header this returns the first locale, which is the default
+    req.locale = req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+  }
+
+  next();
+};
+
+module.exports = {
+  resolveLocale
+};
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const { MemoryStore } = require('express-rate-limit');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const logger = require('../config/logger');
+
+// MongoDB error code for a duplicate key; two first hits of a client can race to create its counter
+const DUPLICATE_KEY = 11000;
+
+/**
+ * express-rate-limit store keeping fixed-window counters in MongoDB (RateLimitCounter), so a limit
+ * holds across all app instances instead of applying to each one separately
+ * While the database is disconnected, counting moves to process memory: queries would otherwise
+ * wait in mongoose's command buffer until they time out, holding up every request.
+ */
+class MongoRateLimitStore {
+  /**
+   * @param {Object} options - Store settings
+   * @param {string} options.prefix - Prepended to client keys, so limiters count separately
+   */
+  constructor({ prefix }) {
+    this.name = prefix;
+    this.prefix = `${prefix}:`;
+    // Counters live in the database, so two instances counting the same key is intended
+    this.localKeys = false;
+    this.windowMs = null;
+    this.fallback = new MemoryStore();
+    this.usingFallback = false;
+  }
+
+  /**
+   * The store to count in right now: null for MongoDB, or the in-memory fallback while it is disconnected
+   * @returns {?MemoryStore} Fallback store
+   */
+  fallbackStore() {
+    const disconnected = mongoose.connection.readyState !== 1;
+
+    if (disconnected !== this.usingFallback) {
+      this.usingFallback = disconnected;
+      if (disconnected) {
+        logger.warn(`MongoDB is not connected; rate limit "${this.name}" counts per instance in memory`);
+      } else {
+        logger.info(`MongoDB is connected again; rate limit "${this.name}" counts in MongoDB`);
+      }
+    }
+    return disconnected ? this.fallback : null;
+  }
+
+  /**
+   * Called by express-rate-limit with the limiter's options
+   * @param {Object} options - Limiter options
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.fallback.init(options);
+  }
+
+  /**
+   * Count a hit, starting a new window if the client's last one has ended
+   * @param {string} key - Client key
+   * @returns {Promise<{totalHits: number, resetTime: Date}>} Hits in the window and when it ends
+   */
+  async increment(key) {
+    const fallback = this.fallbackStore();
+    if (fallback) {
+      return fallback.increment(key);
+    }
+
+    const now = new Date();
+    const current = { $gt: ['$resetAt', now] };
+
+    // One atomic update: add to the current window, or open a new one
+    const update = [{
+      $set: {
+        hits: { $cond: [current, { $add: ['$hits', 1] }, 1] },
+        resetAt: { $cond: [current, '$resetAt', new Date(now.getTime() + this.windowMs)] }
+      }
+    }];
+
+    let counter;
+    try {
+      counter = await RateLimitCounter.findOneAndUpdate({ _id: this.prefix + key }, update, { upsert: true, new: true, lean: true });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) {
+        throw error;
+      }
+      // Another request created the counter first; the retry updates it
+      counter = await RateLimitCounter.findOneAndUpdate({ _id: this.prefix + key }, update, { new: true, lean: true });
+    }
+
+    return { totalHits: counter.hits, resetTime: counter.resetAt };
+  }
+
+  /**
+   * Take back a hit (used by the skipFailedRequests and skipSuccessfulRequests options)
+   * @param {string} key - Client key
+   */
+  async decrement(key) {
+    const fallback = this.fallbackStore();
+    if (fallback) {
+      return fallback.decrement(key);
+    }
+
+    await RateLimitCounter.updateOne(
+      { _id: this.prefix + key, resetAt: { $gt: new Date() }, hits: { $gt: 0 } },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  /**
+   * Hits of a client in its current window
+   * @param {string} key - Client key
+   * @returns {Promise<Object|undefined>} { totalHits, resetTime }, or undefined without a current window
+   */
+  async get(key) {
+    const fallback = this.fallbackStore();
+    if (fallback) {
+      return fallback.get(key);
+    }
+
+    const counter = await RateLimitCounter.findOne({ _id: this.prefix + key, resetAt: { $gt: new Date() } }).lean();
+    return counter ? { totalHits: counter.hits, resetTime: counter.resetAt } : undefined;
+  }
+
+  /**
+   * Clear a client's counter
+   * @param {string} key - Client key
+   */
+  async resetKey(key) {
+    await this.fallback.resetKey(key);
+    if (!this.fallbackStore()) {
+      await RateLimitCounter.deleteOne({ _id: this.prefix + key });
+    }
+  }
+}
+
+module.exports = {
+  MongoRateLimitStore
+};
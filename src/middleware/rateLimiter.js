@@ -1,71 +1,75 @@
 const rateLimit = require('express-rate-limit');
 const logger = require('../config/logger');
+const { RATE_LIMIT_POLICIES, RATE_LIMIT_STORE } = require('../config/rateLimits');
+const { MongoRateLimitStore } = require('./rateLimitStore');
 
-// General API rate limiter
-const apiLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 15 minutes
-  max: 10000, // Limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    error: 'Too many requests from this IP, please try again later.',
-    retryAfter: '15 minutes'
-  },
-  standardHeaders: true, 
-  legacyHeaders: false,
-  handler: (req, res) => {
-    logger.warn(`Rate limit exceeded for IP: ${req.ip}`);
-    res.status(429).json({
-      success: false,
-      error: 'Too many requests from this IP, please try again later.',
-      retryAfter: '15 minutes'
-    });
-  }
-});
+// Requests made with an API key are counted per key, everything else per client IP.
+// identifyApiKey (middleware/auth) must run first to set req.apiKey.
+const clientKey = (req) => (req.apiKey ? `apikey:${req.apiKey.prefix}` : req.ip);
 
-// Strict rate limiter for user creation
-const createUserLimiter = rateLimit({
-  windowMs: 60 * 60 * 60 * 1000 , // 1 hour
-  max: 10, // Limit each IP to 5 user creation requests per hour
-  message: {
-    success: false,
-    error: 'Too many user creation attempts from this IP, please try again later.',
-    retryAfter: '1 hour'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
-    logger.warn(`User creation rate limit exceeded for IP: ${req.ip}`);
-    res.status(429).json({
-      success: false,
-      error: 'Too many user creation attempts from this IP, please try again later.',
-      retryAfter: '1 hour'
-    });
-  }
-});
+const describeClient = (req) => (req.apiKey ? `API key: ${req.apiKey.prefix}` : `IP: ${req.ip}`);
 
-// AI service rate limiter
-const aiServiceLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 10, // Limit each IP to 10 AI requests per minute
-  message: {
-    success: false,
-    error: 'Too many AI service requests from this IP, please try again later.',
-    retryAfter: '1 minute'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
-    logger.warn(`AI service rate limit exceeded for IP: ${req.ip}`);
-    res.status(429).json({
-      success: false,
-      error: 'Too many AI service requests from this IP, please try again later.',
-      retryAfter: '1 minute'
-    });
-  }
-});
+/**
+ * Request limit for a client: the API key's own limit for the policy when it has one
+ * @param {string} name - Policy name, as in ApiKey rateLimits
+ * @param {number} defaultMax - Limit for clients without their own
+ * @returns {Function} express-rate-limit limit option
+ */
+const limitFor = (name, defaultMax) => (req) => {
+  const limits = req.apiKey && req.apiKey.rateLimits;
+  return (limits && limits[name]) || defaultMax;
+};
+
+/**
+ * Seconds until the client's window ends (the Retry-After value)
+ * @param {Object} req - Express request, with req.rateLimit set by the limiter
+ * @param {number} windowMs - Window length, used when the store reports no reset time
+ * @returns {number} Seconds
+ */
+const secondsUntilReset = (req, windowMs) => {
+  const resetTime = req.rateLimit && req.rateLimit.resetTime;
+  const remainingMs = resetTime ? resetTime.getTime() - Date.now() : windowMs;
+  return Math.max(1, Math.ceil(remainingMs / 1000));
+};
+
+/**
+ * Build the limiter of a policy (see config/rateLimits)
+ * @param {string} name - Policy name
+ * @returns {Function} Express middleware
+ */
+const createLimiter = (name) => {
+  const policy = RATE_LIMIT_POLICIES[name];
+
+  return rateLimit({
+    windowMs: policy.windowMs,
+    limit: limitFor(name, policy.max),
+    keyGenerator: clientKey,
+    store: RATE_LIMIT_STORE === 'mongo' ? new MongoRateLimitStore({ prefix: name }) : undefined,
+    // A database outage should not take the API down with it; requests pass unlimited meanwhile
+    passOnStoreError: true,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+      const retryAfter = secondsUntilReset(req, policy.windowMs);
+      logger.warn(`Rate limit "${name}" exceeded for ${describeClient(req)}`, { retryAfter });
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({
+        success: false,
+        error: `${policy.message} ${req.apiKey ? 'for this API key' : 'from this IP'}, please try again later.`,
+        retryAfter
+      });
+    }
+  });
+};
+
+const apiLimiter = createLimiter('api');
+const createUserLimiter = createLimiter('createUser');
+const aiServiceLimiter = createLimiter('ai');
+const authLimiter = createLimiter('auth');
 
 module.exports = {
   apiLimiter,
   createUserLimiter,
-  aiServiceLimiter
+  aiServiceLimiter,
+  authLimiter
 };
@@ -1,21 +1,53 @@
+const crypto = require('crypto');
 const logger = require('../config/logger');
 
+// Request body fields never written to the logs
+const REDACTED_FIELDS = ['password', 'refreshToken'];
+
+/**
+ * Copy of a request body with credentials masked
+ * @param {Object} body - Request body
+ * @returns {Object} Body safe to log
+ */
+const redactBody = (body) => {
+  if (!body || typeof body !== 'object') {
+    return body;
+  }
+  const redacted = { ...body };
+  for (const field of REDACTED_FIELDS) {
+    if (redacted[field] !== undefined) {
+      redacted[field] = '[REDACTED]';
+    }
+  }
+  return redacted;
+};
+
+// Request IDs accepted from an X-Request-Id header (e.g. set by a proxy or calling service)
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
 /**
  * Custom request logging middleware
- * Logs detailed information about incoming requests
+ * Logs detailed information about incoming requests. Every request gets an ID, taken from the
+ * X-Request-Id header or generated, which is sent back in X-Request-Id and kept as req.id for
+ * the logs and the audit trail.
  */
 const requestLogger = (req, res, next) => {
   const startTime = Date.now();
+
+  const headerId = req.get('X-Request-Id');
+  req.id = headerId && REQUEST_ID_PATTERN.test(headerId) ? headerId : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
   
   // Log request details
   const requestInfo = {
+    requestId: req.id,
     method: req.method,
     url: req.originalUrl,
     ip: req.ip,
     userAgent: req.get('User-Agent'),
     timestamp: new Date().toISOString(),
     body: req.method === 'POST' || req.method === 'PUT' ? 
-      JSON.stringify(req.body).substring(0, 500) : undefined // Limit body log size
+      JSON.stringify(redactBody(req.body)).substring(0, 500) : undefined // Limit body log size
   };
 
   logger.info('Incoming request', requestInfo);
@@ -27,6 +59,7 @@ const requestLogger = (req, res, next) => {
     
     // Log response details
     const responseInfo = {
+      requestId: req.id,
       method: req.method,
       url: req.originalUrl,
       statusCode: res.statusCode,
@@ -53,6 +86,7 @@ const requestLogger = (req, res, next) => {
  */
 const errorRequestLogger = (err, req, res, next) => {
   const errorInfo = {
+    requestId: req.id,
     method: req.method,
     url: req.originalUrl,
     ip: req.ip,
@@ -1,4 +1,154 @@
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const PromptTemplate = require('../models/PromptTemplate');
+const BioJob = require('../models/BioJob');
+const BulkRegeneration = require('../models/BulkRegeneration');
+const Experiment = require('../models/Experiment');
+const BioFeedback = require('../models/BioFeedback');
+const ApiKey = require('../models/ApiKey');
+const AuditEvent = require('../models/AuditEvent');
+const { TONES, LENGTHS, POINTS_OF_VIEW, MAX_HIGHLIGHTS, MAX_BIO_VARIANTS, MAX_BIO_CHARACTERS } = require('../config/bioOptions');
+const { PROFILE_LIMITS } = require('../config/profileSchema');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, canonicalLocale, isSupportedLocale } = require('../config/locales');
+const { PASSWORD_MIN_LENGTH, PASSWORD_MAX_LENGTH } = require('../config/auth');
+const { PERMISSION_NAMES, API_KEY_SCOPES } = require('../config/permissions');
+
+// Reject template text that references unsupported {{variables}}
+const checkTemplateVariables = (value) => {
+  const unknown = PromptTemplate.findUnknownVariables(value);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown template variable(s): ${unknown.join(', ')}. Allowed: ${PromptTemplate.TEMPLATE_VARIABLES.join(', ')}`);
+  }
+  return true;
+};
+
+// Validation rules for optional bio generation options
+const validateBioOptions = [
+  body('bioOptions')
+    .optional()
+    .isObject()
+    .withMessage('Bio options must be an object'),
+
+  body('bioOptions.tone')
+    .optional()
+    .isIn(Object.keys(TONES))
+    .withMessage(`Tone must be one of: ${Object.keys(TONES).join(', ')}`),
+
+  body('bioOptions.length')
+    .optional()
+    .isIn(Object.keys(LENGTHS))
+    .withMessage(`Length must be one of: ${Object.keys(LENGTHS).join(', ')}`),
+
+  body('bioOptions.pointOfView')
+    .optional()
+    .isIn(Object.keys(POINTS_OF_VIEW))
+    .withMessage(`Point of view must be one of: ${Object.keys(POINTS_OF_VIEW).join(', ')}`),
+
+  body('bioOptions.language')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage('Language must be between 2 and 30 characters')
+    .matches(/^[a-zA-Z\s-]+$/)
+    .withMessage('Language can only contain letters, spaces, and hyphens'),
+
+  body('bioOptions.highlights')
+    .optional()
+    .isArray({ max: MAX_HIGHLIGHTS })
+    .withMessage(`Highlights must be an array of at most ${MAX_HIGHLIGHTS} items`),
+
+  body('bioOptions.highlights.*')
+    .isString()
+    .withMessage('Each highlight must be a string')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each highlight must be between 1 and 100 characters')
+];
+
+// Validation rule for the number of bio candidates to generate
+const validateBioVariants = [
+  body('variants')
+    .optional()
+    .isInt({ min: 1, max: MAX_BIO_VARIANTS })
+    .withMessage(`Variants must be an integer between 1 and ${MAX_BIO_VARIANTS}`)
+    .toInt()
+];
+
+// Per-request generation cache bypass ("cache": false)
+const validateBioCache = [
+  body('cache')
+    .optional()
+    .isBoolean()
+    .withMessage('Cache must be a boolean')
+    .toBoolean()
+];
+
+// Structured profile generation ("structured": true); produces a single bio, so no variants
+const validateStructuredProfile = [
+  body('structured')
+    .optional()
+    .isBoolean()
+    .withMessage('structured must be a boolean')
+    .toBoolean()
+    .custom((value, { req }) => {
+      if (value && parseInt(req.body.variants) > 1) {
+        throw new Error('structured cannot be combined with more than one variant');
+      }
+      return true;
+    })
+];
+
+// Hand-edited structured profile fields
+const validateProfileFields = [
+  body('headline')
+    .optional()
+    .isString()
+    .withMessage('Headline must be a string')
+    .trim()
+    .isLength({ max: PROFILE_LIMITS.headlineMaxLength })
+    .withMessage(`Headline cannot exceed ${PROFILE_LIMITS.headlineMaxLength} characters`),
+
+  body('shortBio')
+    .optional()
+    .isString()
+    .withMessage('Short bio must be a string')
+    .trim()
+    .isLength({ max: PROFILE_LIMITS.shortBioMaxLength })
+    .withMessage(`Short bio cannot exceed ${PROFILE_LIMITS.shortBioMaxLength} characters`),
+
+  body('skills')
+    .optional()
+    .isArray({ max: PROFILE_LIMITS.maxSkills })
+    .withMessage(`Skills must be an array of at most ${PROFILE_LIMITS.maxSkills} items`),
+
+  body('skills.*')
+    .isString()
+    .withMessage('Each skill must be a string')
+    .trim()
+    .isLength({ min: 1, max: PROFILE_LIMITS.maxTagLength })
+    .withMessage(`Each skill must be between 1 and ${PROFILE_LIMITS.maxTagLength} characters`),
+
+  body('keywords')
+    .optional()
+    .isArray({ max: PROFILE_LIMITS.maxKeywords })
+    .withMessage(`Keywords must be an array of at most ${PROFILE_LIMITS.maxKeywords} items`),
+
+  body('keywords.*')
+    .isString()
+    .withMessage('Each keyword must be a string')
+    .trim()
+    .isLength({ min: 1, max: PROFILE_LIMITS.maxTagLength })
+    .withMessage(`Each keyword must be between 1 and ${PROFILE_LIMITS.maxTagLength} characters`)
+];
+
+// Validation rule for a new password (optional; users without one cannot log in)
+const validatePassword = [
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string')
+    .isLength({ min: PASSWORD_MIN_LENGTH, max: PASSWORD_MAX_LENGTH })
+    .withMessage(`Password must be between ${PASSWORD_MIN_LENGTH} and ${PASSWORD_MAX_LENGTH} characters`)
+];
 
 // Validation rules for user creation
 const validateUserCreation = [
@@ -29,8 +179,20 @@ const validateUserCreation = [
   body('bio')
     .optional()
     .trim()
-    .isLength({ max: 1500 })
-    .withMessage('Bio cannot exceed 1500 characters')
+    .isLength({ max: MAX_BIO_CHARACTERS })
+    .withMessage(`Bio cannot exceed ${MAX_BIO_CHARACTERS} characters`),
+
+  body('bioLocked')
+    .optional()
+    .isBoolean()
+    .withMessage('bioLocked must be a boolean')
+    .toBoolean(),
+
+  ...validatePassword,
+  ...validateBioOptions,
+  ...validateBioVariants,
+  ...validateBioCache,
+  ...validateStructuredProfile
 ];
 
 // Validation rules for user update
@@ -76,8 +238,28 @@ const validateUserUpdate = [
   body('bio')
     .optional()
     .trim()
-    .isLength({ max: 1500 })
-    .withMessage('Bio cannot exceed 1500 characters')
+    .isLength({ max: MAX_BIO_CHARACTERS })
+    .withMessage(`Bio cannot exceed ${MAX_BIO_CHARACTERS} characters`),
+
+  body('bioLocked')
+    .optional()
+    .isBoolean()
+    .withMessage('bioLocked must be a boolean')
+    .toBoolean(),
+
+  ...validatePassword,
+  ...validateProfileFields,
+  ...validateBioOptions,
+  ...validateBioCache,
+  ...validateStructuredProfile
+];
+
+// Requested bio locale (query string); Accept-Language is used when it is absent
+const validateLocale = [
+  query('locale')
+    .optional()
+    .custom(isSupportedLocale)
+    .withMessage(`Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`)
 ];
 
 // Validation rule for user ID parameter
@@ -87,18 +269,8 @@ const validateUserId = [
     .withMessage('Invalid user ID format')
 ];
 
-// Validation rules for get all users request body
-const validateGetAllUsers = [
-  body('page')
-    .optional()
-    .isInt({ min: 1 })
-    .withMessage('Page must be a positive integer'),
-
-  body('pageSize')
-    .optional()
-    .isInt({ min: 1, max: 100 })
-    .withMessage('Page size must be between 1 and 100'),
-
+// User list filters (status, role, search), shared by listing and bulk operations
+const validateUserFilters = [
   body('status')
     .optional()
     .custom((value) => {
@@ -124,6 +296,49 @@ const validateGetAllUsers = [
     .isLength({ max: 100 })
     .withMessage('Search term cannot exceed 100 characters'),
 
+  body('skill')
+    .optional()
+    .trim()
+    .isLength({ max: PROFILE_LIMITS.maxTagLength })
+    .withMessage(`Skill cannot exceed ${PROFILE_LIMITS.maxTagLength} characters`)
+];
+
+// Validation rules for get all users request body
+const validateGetAllUsers = [
+  body('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  body('pageSize')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Page size must be between 1 and 100'),
+
+  ...validateUserFilters,
+
+  body('searchMode')
+    .optional()
+    .isIn(['text', 'semantic', 'hybrid'])
+    .withMessage('Search mode must be one of: text, semantic, hybrid'),
+
+  body('minScore')
+    .optional()
+    .isFloat({ min: -1, max: 1 })
+    .withMessage('minScore must be a number between -1 and 1'),
+
+  body('createdFrom')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('createdFrom must be an ISO 8601 date'),
+
+  body('createdTo')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('createdTo must be an ISO 8601 date')
+    .custom((value, { req }) => !req.body.createdFrom || Date.parse(value) >= Date.parse(req.body.createdFrom))
+    .withMessage('createdTo cannot be before createdFrom'),
+
   body('sortBy')
     .optional()
     .isIn(['name', 'email', 'role', 'status', 'createdAt', 'updatedAt'])
@@ -132,10 +347,265 @@ const validateGetAllUsers = [
   body('sortOrder')
     .optional()
     .isIn(['asc', 'desc'])
-    .withMessage('Sort order must be either asc or desc')
+    .withMessage('Sort order must be either asc or desc'),
+
+  body('locale')
+    .optional()
+    .custom(isSupportedLocale)
+    .withMessage(`Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`)
+];
+
+// Validation rules for natural-language users queries
+const validateUserQueryRequest = [
+  body('query')
+    .trim()
+    .notEmpty()
+    .withMessage('Query is required')
+    .isLength({ max: 300 })
+    .withMessage('Query cannot exceed 300 characters'),
+
+  body('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  body('pageSize')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Page size must be between 1 and 100'),
+
+  ...validateBioCache
+];
+
+/**
+ * Check a users list filter against the validateGetAllUsers rules outside of a request
+ * Used for the filter the AI derives from a natural-language query, so it can never
+ * be anything a hand-written list request could not be.
+ * @param {Object} filter - Filter fields as they would appear in a list request body
+ * @returns {Promise<{filter: Object, errors: Array<Object>}>} Sanitized filter and failed rules
+ */
+const checkUserListFilter = async (filter) => {
+  const req = { body: { ...filter } };
+
+  for (const chain of validateGetAllUsers) {
+    await chain.run(req);
+  }
+
+  const errors = validationResult(req).array().map(error => ({
+    field: error.path,
+    message: error.msg,
+    value: error.value
+  }));
+  return { filter: req.body, errors };
+};
+
+// Validation rules for AI bio generation requests
+const validateBioGeneration = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 50 })
+    .withMessage('Name cannot exceed 50 characters'),
+
+  body('role')
+    .trim()
+    .notEmpty()
+    .withMessage('Role is required')
+    .isLength({ max: 50 })
+    .withMessage('Role cannot exceed 50 characters'),
+
+  ...validateBioOptions,
+  ...validateBioVariants,
+  ...validateBioCache
+];
+
+// Validation rules for starting a bulk bio regeneration
+const validateBulkRegeneration = [
+  ...validateUserFilters,
+
+  body('includeLocked')
+    .optional()
+    .isBoolean()
+    .withMessage('includeLocked must be a boolean')
+    .toBoolean(),
+
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean(),
+
+  body('concurrency')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Concurrency must be an integer between 1 and 10')
+    .toInt(),
+
+  ...validateBioOptions,
+  ...validateBioCache,
+  ...validateStructuredProfile
+];
+
+// Validation rules for listing bulk bio regenerations
+const validateBulkRegenerationQuery = [
+  query('status')
+    .optional()
+    .isIn(BulkRegeneration.BULK_STATUSES)
+    .withMessage(`Status must be one of: ${BulkRegeneration.BULK_STATUSES.join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('pageSize')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Page size must be between 1 and 100')
+];
+
+// Validation rule for bulk regeneration ID parameter
+const validateBulkRegenerationId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid bulk regeneration ID format')
+];
+
+// Validation rules for on-demand bio regeneration
+const validateBioRegeneration = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  ...validateBioOptions,
+  ...validateBioVariants,
+  ...validateBioCache,
+  ...validateStructuredProfile
+];
+
+// Validation rules for adding or refreshing a bio translation
+const validateBioTranslation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  param('locale')
+    .custom((value) => {
+      const locale = canonicalLocale(value);
+      if (!SUPPORTED_LOCALES.includes(locale)) {
+        throw new Error(`Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`);
+      }
+      if (locale === DEFAULT_LOCALE) {
+        throw new Error(`${DEFAULT_LOCALE} is the primary bio locale; update or regenerate the bio instead`);
+      }
+      return true;
+    }),
+
+  body('mode')
+    .optional()
+    .isIn(BioJob.TRANSLATION_MODES)
+    .withMessage(`Mode must be one of: ${BioJob.TRANSLATION_MODES.join(', ')}`),
+
+  body('text')
+    .optional()
+    .isString()
+    .withMessage('Text must be a string')
+    .trim()
+    .isLength({ min: 1, max: MAX_BIO_CHARACTERS })
+    .withMessage(`Text must be between 1 and ${MAX_BIO_CHARACTERS} characters`),
+
+  ...validateBioOptions,
+  ...validateBioCache
+];
+
+// Validation rules for selecting a bio draft
+const validateBioDraftSelection = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  body('draftId')
+    .notEmpty()
+    .withMessage('Draft ID is required')
+    .isMongoId()
+    .withMessage('Invalid draft ID format')
+];
+
+// Validation rules for listing bio revisions
+const validateBioRevisionList = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('pageSize')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Page size must be between 1 and 100')
+];
+
+// Validation rules for diffing two bio revisions
+const validateBioRevisionDiff = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  query('from')
+    .notEmpty()
+    .withMessage('from revision is required')
+    .isInt({ min: 1 })
+    .withMessage('from must be a positive integer'),
+
+  query('to')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('to must be a positive integer')
+];
+
+// Validation rules for reverting to a bio revision
+const validateBioRevisionRevert = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  param('revision')
+    .isInt({ min: 1 })
+    .withMessage('Revision must be a positive integer')
+];
+
+// Validation rules for rebuilding the embedding index
+const validateEmbeddingReindex = [
+  body('force')
+    .optional()
+    .isBoolean()
+    .withMessage('force must be a boolean')
+    .toBoolean()
+];
+
+// Validation rule for AI provider name parameter
+const validateProviderName = [
+  param('provider')
+    .matches(/^[\w.-]{1,50}$/)
+    .withMessage('Invalid provider name')
+];
+
+// Validation rules for the permissions a role grants
+const validateRolePermissions = [
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('permissions must be an array'),
+
+  body('permissions.*')
+    .isIn(PERMISSION_NAMES)
+    .withMessage(`Permissions must be among: ${PERMISSION_NAMES.join(', ')}`)
 ];
 
-// Middleware to handle validation errors
 // Validation rules for role creation
 const validateRoleCreation = [
   body('name')
@@ -151,9 +621,506 @@ const validateRoleCreation = [
     .optional()
     .trim()
     .isLength({ max: 200 })
-    .withMessage('Description cannot exceed 200 characters')
+    .withMessage('Description cannot exceed 200 characters'),
+
+  ...validateRolePermissions
 ];
 
+// Validation rules for role update
+const validateRoleUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid role ID format'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean(),
+
+  ...validateRolePermissions
+];
+
+// Validation rules for prompt template creation
+const validatePromptTemplateCreation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Template name is required')
+    .isLength({ max: 100 })
+    .withMessage('Template name cannot exceed 100 characters'),
+
+  body('role')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Role must be a valid role ID'),
+
+  body('system')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('System prompt cannot exceed 2000 characters')
+    .custom(checkTemplateVariables),
+
+  body('prompt')
+    .isString()
+    .withMessage('Prompt is required')
+    .trim()
+    .notEmpty()
+    .withMessage('Prompt is required')
+    .isLength({ max: 4000 })
+    .withMessage('Prompt cannot exceed 4000 characters')
+    .custom(checkTemplateVariables),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+// Validation rules for prompt template update
+const validatePromptTemplateUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid prompt template ID format'),
+
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Template name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Template name cannot exceed 100 characters'),
+
+  body('system')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('System prompt cannot exceed 2000 characters')
+    .custom(checkTemplateVariables),
+
+  body('prompt')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Prompt cannot be empty')
+    .isLength({ max: 4000 })
+    .withMessage('Prompt cannot exceed 4000 characters')
+    .custom(checkTemplateVariables),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters')
+];
+
+// Validation rule for prompt template ID parameter
+const validatePromptTemplateId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid prompt template ID format')
+];
+
+// Validation rules for prompt template version parameter
+const validatePromptTemplateVersion = [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+];
+
+// Validation rules for prompt template preview sample input
+const validatePromptPreview = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Name cannot exceed 50 characters'),
+
+  body('role')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Role cannot exceed 50 characters'),
+
+  body('roleDescription')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Role description cannot exceed 200 characters'),
+
+  ...validateBioOptions
+];
+
+// Validation rules for previewing unsaved template text
+const validateDraftPromptPreview = [
+  ...validatePromptPreview,
+
+  body('system')
+    .optional()
+    .isString()
+    .custom(checkTemplateVariables),
+
+  body('prompt')
+    .isString()
+    .withMessage('Prompt is required')
+    .notEmpty()
+    .withMessage('Prompt is required')
+    .custom(checkTemplateVariables)
+];
+
+// Validation rules for listing bio jobs
+const validateBioJobQuery = [
+  query('status')
+    .optional()
+    .isIn(BioJob.JOB_STATUSES)
+    .withMessage(`Status must be one of: ${BioJob.JOB_STATUSES.join(', ')}`),
+
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('pageSize')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Page size must be between 1 and 100')
+];
+
+// Validation rule for bio job ID parameter
+const validateBioJobId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid bio job ID format')
+];
+
+// Validation rules for the AI usage report
+const validateAIUsageReport = [
+  query('groupBy')
+    .optional()
+    .isIn(['day', 'provider', 'model', 'role'])
+    .withMessage('groupBy must be one of: day, provider, model, role'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+
+  query('provider')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Provider must be between 1 and 50 characters'),
+
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+// Validation rules for an experiment's variants (weights adding up to 100 are checked by the model)
+const experimentVariantRules = (optional) => [
+  body('variants')
+    .if((value) => !optional || value !== undefined)
+    .isArray({ min: 2, max: 10 })
+    .withMessage('variants must be an array of 2 to 10 variants'),
+
+  body('variants.*.name')
+    .isString()
+    .withMessage('Variant name is required')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Variant name must be between 1 and 50 characters'),
+
+  body('variants.*.weight')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Variant weight must be a number between 0 and 100')
+    .toFloat(),
+
+  body('variants.*.provider')
+    .optional({ values: 'null' })
+    .matches(/^[\w.-]{1,50}$/)
+    .withMessage('Invalid provider name'),
+
+  body('variants.*.template')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Template must be a valid prompt template ID'),
+
+  body('variants.*.params')
+    .optional()
+    .isObject()
+    .withMessage('params must be an object'),
+
+  body('variants.*.params.*')
+    .optional()
+    .isFloat()
+    .withMessage('params values must be numbers')
+    .toFloat()
+];
+
+// Validation rules for experiment creation
+const validateExperimentCreation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Experiment name is required')
+    .isLength({ max: 100 })
+    .withMessage('Experiment name cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  ...experimentVariantRules(false)
+];
+
+// Validation rules for experiment update
+const validateExperimentUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid experiment ID format'),
+
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Experiment name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Experiment name cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('status')
+    .optional()
+    .isIn(Experiment.EXPERIMENT_STATUSES)
+    .withMessage(`Status must be one of: ${Experiment.EXPERIMENT_STATUSES.join(', ')}`),
+
+  ...experimentVariantRules(true)
+];
+
+// Validation rule for experiment ID parameter
+const validateExperimentId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid experiment ID format')
+];
+
+// Validation rules for rating a user's bio
+const validateBioFeedback = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  body('rating')
+    .isIn(BioFeedback.FEEDBACK_RATINGS)
+    .withMessage(`Rating must be one of: ${BioFeedback.FEEDBACK_RATINGS.join(', ')}`),
+
+  body('comment')
+    .optional()
+    .isString()
+    .withMessage('Comment must be a string')
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters')
+];
+
+// Validation rules for logging in
+const validateLogin = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+
+  body('password')
+    .isString()
+    .withMessage('Password is required')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+// Validation rule for a refresh token in the request body
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .withMessage('refreshToken is required')
+    .notEmpty()
+    .withMessage('refreshToken is required')
+    .isLength({ max: 200 })
+    .withMessage('Invalid refresh token')
+];
+
+// Validation rules for logging out
+const validateLogout = [
+  ...validateRefreshToken,
+
+  body('allSessions')
+    .optional()
+    .isBoolean()
+    .withMessage('allSessions must be a boolean')
+    .toBoolean()
+];
+
+// Validation rules for issuing an API key
+const validateApiKeyCreation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('API key name is required')
+    .isLength({ max: 100 })
+    .withMessage('API key name cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('scopes must be a non-empty array'),
+
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601({ strict: true })
+    .withMessage('expiresAt must be an ISO 8601 date')
+    .custom(value => Date.parse(value) > Date.now())
+    .withMessage('expiresAt must be in the future'),
+
+  body('rateLimits')
+    .optional()
+    .isObject()
+    .withMessage('rateLimits must be an object')
+    .custom(value => Object.keys(value).every(name => ApiKey.RATE_LIMIT_NAMES.includes(name)))
+    .withMessage(`rateLimits can only contain: ${ApiKey.RATE_LIMIT_NAMES.join(', ')}`),
+
+  ...ApiKey.RATE_LIMIT_NAMES.map(name => body(`rateLimits.${name}`)
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage(`rateLimits.${name} must be a positive integer`)
+    .toInt())
+];
+
+// Validation rules for listing API keys
+const validateApiKeyQuery = [
+  query('status')
+    .optional()
+    .isIn(['active', 'expired', 'revoked'])
+    .withMessage('Status must be one of: active, expired, revoked')
+];
+
+// Validation rule for API key ID parameter
+const validateApiKeyId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid API key ID format')
+];
+
+// Validation rules for revoking an API key
+const validateApiKeyRevocation = [
+  ...validateApiKeyId,
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+];
+
+// Validation rules for searching the audit log
+const validateAuditQuery = [
+  query('actorType')
+    .optional()
+    .isIn(AuditEvent.ACTOR_TYPES)
+    .withMessage(`Actor type must be one of: ${AuditEvent.ACTOR_TYPES.join(', ')}`),
+
+  query('actorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID format'),
+
+  query('action')
+    .optional()
+    .matches(/^[\w.-]{1,100}$/)
+    .withMessage('Invalid action'),
+
+  query('targetType')
+    .optional()
+    .isIn(AuditEvent.TARGET_TYPES)
+    .withMessage(`Target type must be one of: ${AuditEvent.TARGET_TYPES.join(', ')}`),
+
+  query('targetId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target ID format'),
+
+  query('field')
+    .optional()
+    .matches(/^[\w.-]{1,100}$/)
+    .withMessage('Invalid field name'),
+
+  query('requestId')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Invalid request ID'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('pageSize')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Page size must be between 1 and 100')
+];
+
+// Middleware to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   
@@ -178,7 +1145,46 @@ module.exports = {
   validateUserCreation,
   validateUserUpdate,
   validateUserId,
+  validateLocale,
   validateGetAllUsers,
+  validateUserQueryRequest,
+  checkUserListFilter,
   validateRoleCreation,
+  validateRoleUpdate,
+  validateBioOptions,
+  validateBioGeneration,
+  validateStructuredProfile,
+  validateBioDraftSelection,
+  validateBioRegeneration,
+  validateBioTranslation,
+  validateBulkRegeneration,
+  validateBulkRegenerationQuery,
+  validateBulkRegenerationId,
+  validateBioRevisionList,
+  validateBioRevisionDiff,
+  validateBioRevisionRevert,
+  validateEmbeddingReindex,
+  validateProviderName,
+  validatePromptTemplateCreation,
+  validatePromptTemplateUpdate,
+  validatePromptTemplateId,
+  validatePromptTemplateVersion,
+  validatePromptPreview,
+  validateDraftPromptPreview,
+  validateBioJobQuery,
+  validateBioJobId,
+  validateAIUsageReport,
+  validateExperimentCreation,
+  validateExperimentUpdate,
+  validateExperimentId,
+  validateBioFeedback,
+  validateLogin,
+  validateRefreshToken,
+  validateLogout,
+  validateApiKeyCreation,
+  validateApiKeyQuery,
+  validateApiKeyId,
+  validateApiKeyRevocation,
+  validateAuditQuery,
   handleValidationErrors
 };
\ No newline at end of file
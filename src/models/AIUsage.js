@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const aiUsageSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+  model: {
+    type: String,
+    default: ''
+  },
+  // What the call was for, e.g. bio or bio-stream
+  operation: {
+    type: String,
+    default: 'bio'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  roleName: {
+    type: String,
+    default: ''
+  },
+  // Experiment variant the call was made for
+  experiment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Experiment',
+    default: null
+  },
+  variant: {
+    type: String,
+    default: null
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // null when the model is missing from the price table
+  estimatedCost: {
+    type: Number,
+    default: null
+  },
+  latencyMs: {
+    type: Number,
+    default: 0
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    required: [true, 'Outcome is required']
+  },
+  errorMessage: {
+    type: String,
+    default: null
+  },
+  errorCode: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for reporting queries
+aiUsageSchema.index({ createdAt: -1 });
+aiUsageSchema.index({ provider: 1, createdAt: -1 });
+aiUsageSchema.index({ user: 1, createdAt: -1 });
+aiUsageSchema.index({ experiment: 1, variant: 1 });
+
+module.exports = mongoose.model('AIUsage', aiUsageSchema);
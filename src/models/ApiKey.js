@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { RATE_LIMIT_POLICIES } = require('../config/rateLimits');
+
+// Keys look like nai_<prefix>_<secret>. The prefix identifies the key (it is stored and shown in
+// listings and logs); only a hash of the whole key is stored, so a key is shown once, when issued.
+const KEY_PATTERN = /^nai_([0-9a-f]{8})_[A-Za-z0-9_-]{43}$/;
+
+// Rate limit policies a key can have its own limit for (see config/rateLimits)
+const RATE_LIMIT_NAMES = Object.keys(RATE_LIMIT_POLICIES);
+
+// How often lastUsedAt is written; a busy key would otherwise update its document on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+const apiKeyRateLimitsSchema = new mongoose.Schema(
+  Object.fromEntries(RATE_LIMIT_NAMES.map(name => [name, {
+    type: Number,
+    min: [1, 'Rate limit must be at least 1'],
+    default: null
+  }])),
+  { _id: false }
+);
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  secretHash: {
+    type: String,
+    required: true
+  },
+  // What the key may do; the same names as role permissions, without the ":own" ones
+  scopes: {
+    type: [String],
+    validate: {
+      validator: scopes => scopes.every(scope => API_KEY_SCOPES.includes(scope)),
+      message: 'Unknown scope'
+    },
+    default: []
+  },
+  // null: the key does not expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+    default: null
+  },
+  // Requests per window for each rate limit policy; null uses the policy's limit
+  rateLimits: {
+    type: apiKeyRateLimitsSchema,
+    default: () => ({})
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+apiKeySchema.index({ revokedAt: 1, createdAt: -1 });
+
+// Pre-save middleware to update the updatedAt field
+apiKeySchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+// active, expired or revoked
+apiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) {
+    return 'revoked';
+  }
+  return this.isExpired() ? 'expired' : 'active';
+});
+
+apiKeySchema.methods.isExpired = function() {
+  return Boolean(this.expiresAt) && this.expiresAt <= new Date();
+};
+
+/**
+ * Whether the key grants a permission
+ * Revoked and expired keys grant nothing; ":own" permissions are never granted, as a key acts for no user.
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if granted
+ */
+apiKeySchema.methods.hasPermission = function(permission) {
+  return this.status === 'active' && this.scopes.includes(permission);
+};
+
+/**
+ * Whether the key grants every one of the given permissions
+ * @param {Array<string>} permissions - Permission names
+ * @returns {boolean} True if all are granted
+ */
+apiKeySchema.methods.coversPermissions = function(permissions) {
+  return permissions.every(permission => this.hasPermission(permission));
+};
+
+/**
+ * Record that the key was used
+ * Written at most once a minute per key and not awaited, so it never slows a request down.
+ * @param {string} ip - Client IP
+ */
+apiKeySchema.methods.touch = function(ip) {
+  const now = new Date();
+  if (this.lastUsedAt && now - this.lastUsedAt < TOUCH_INTERVAL_MS) {
+    return;
+  }
+
+  this.lastUsedAt = now;
+  this.lastUsedIp = ip || null;
+  this.constructor.updateOne({ _id: this._id }, { lastUsedAt: now, lastUsedIp: this.lastUsedIp })
+    .catch(() => {});
+};
+
+// Instance method to get public profile; the secret is never included
+apiKeySchema.methods.getPublicProfile = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    description: this.description,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    status: this.status,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    revokedAt: this.revokedAt,
+    revokedBy: this.revokedBy,
+    revokedReason: this.revokedReason,
+    rateLimits: Object.fromEntries(RATE_LIMIT_NAMES.map(name => [name, this.rateLimits ? this.rateLimits[name] : null])),
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+/**
+ * Generate a new key
+ * @returns {{key: string, prefix: string, secretHash: string}} The key and what is stored of it
+ */
+apiKeySchema.statics.generate = function() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `nai_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix, secretHash: hashKey(key) };
+};
+
+/**
+ * Whether a string has the shape of an API key (as opposed to, e.g., a JWT)
+ * @param {string} value - Presented credential
+ * @returns {boolean} True if it looks like an API key
+ */
+apiKeySchema.statics.isApiKeyFormat = function(value) {
+  return typeof value === 'string' && KEY_PATTERN.test(value);
+};
+
+/**
+ * Find the key a client presented
+ * Revoked and expired keys are returned too; callers check status.
+ * @param {string} key - Full API key
+ * @returns {Promise<?Object>} API key document, or null if unknown or the secret does not match
+ */
+apiKeySchema.statics.findByKey = async function(key) {
+  const match = KEY_PATTERN.exec(key || '');
+  if (!match) {
+    return null;
+  }
+
+  const apiKey = await this.findOne({ prefix: match[1] });
+  if (!apiKey) {
+    return null;
+  }
+
+  const expected = Buffer.from(apiKey.secretHash, 'hex');
+  const actual = Buffer.from(hashKey(key), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? apiKey : null;
+};
+
+apiKeySchema.statics.RATE_LIMIT_NAMES = RATE_LIMIT_NAMES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
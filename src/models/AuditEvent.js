@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// user: a logged-in user; apiKey: a backend service; system: background work with no caller
+// (the bio worker applying a queued generation)
+const ACTOR_TYPES = ['user', 'apiKey', 'system'];
+
+const TARGET_TYPES = ['User', 'Role', 'ApiKey', 'PromptTemplate', 'Experiment', 'BulkRegeneration'];
+
+const auditChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+// One change to a user, role, API key, prompt template, experiment or bulk regeneration. Events are written once and never updated; they are
+// removed by MongoDB at expiresAt (see AUDIT_RETENTION_DAYS).
+const auditEventSchema = new mongoose.Schema({
+  actorType: {
+    type: String,
+    enum: ACTOR_TYPES,
+    required: true
+  },
+  // The user or API key; null for system actors
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Email, API key name and prefix, or system process; kept readable after the actor is deleted
+  actorLabel: {
+    type: String,
+    default: null
+  },
+  // e.g. user.update, role.create, user.bio.generated
+  action: {
+    type: String,
+    required: [true, 'Action is required']
+  },
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Audited fields whose value changed
+  changes: {
+    type: [auditChangeSchema],
+    default: []
+  },
+  // Action details that are not field changes, e.g. the queued bio job
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  requestId: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // null: kept until deleted by hand
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  minimize: false
+});
+
+auditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditEventSchema.index({ actorId: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ 'changes.field': 1, createdAt: -1 });
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to get public profile
+auditEventSchema.methods.getPublicProfile = function() {
+  return {
+    id: this._id,
+    actor: {
+      type: this.actorType,
+      id: this.actorId,
+      label: this.actorLabel
+    },
+    action: this.action,
+    target: {
+      type: this.targetType,
+      id: this.targetId
+    },
+    changes: this.changes.map(change => ({
+      field: change.field,
+      before: change.before,
+      after: change.after
+    })),
+    metadata: this.metadata,
+    requestId: this.requestId,
+    ip: this.ip,
+    createdAt: this.createdAt
+  };
+};
+
+auditEventSchema.statics.ACTOR_TYPES = ACTOR_TYPES;
+auditEventSchema.statics.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
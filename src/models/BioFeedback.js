@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const FEEDBACK_RATINGS = ['up', 'down'];
+
+const bioFeedbackSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Bio revision the rating is about; a later rating of the same revision replaces it
+  revision: {
+    type: Number,
+    default: null
+  },
+  rating: {
+    type: String,
+    enum: FEEDBACK_RATINGS,
+    required: [true, 'Rating is required']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters'],
+    default: ''
+  },
+  // Where the rated bio came from
+  provider: {
+    type: String,
+    default: null
+  },
+  model: {
+    type: String,
+    default: null
+  },
+  experiment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Experiment',
+    default: null
+  },
+  variant: {
+    type: String,
+    default: null
+  },
+  submittedBy: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+bioFeedbackSchema.index({ user: 1, revision: 1 }, { unique: true });
+bioFeedbackSchema.index({ experiment: 1, variant: 1 });
+
+// Instance method to get public feedback data
+bioFeedbackSchema.methods.getPublicProfile = function() {
+  return {
+    id: this._id,
+    user: this.user,
+    revision: this.revision,
+    rating: this.rating,
+    comment: this.comment,
+    provider: this.provider,
+    model: this.model,
+    experiment: this.experiment,
+    variant: this.variant,
+    submittedBy: this.submittedBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+bioFeedbackSchema.statics.FEEDBACK_RATINGS = FEEDBACK_RATINGS;
+
+module.exports = mongoose.model('BioFeedback', bioFeedbackSchema);
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+const JOB_TYPES = ['create', 'regenerate', 'translate'];
+
+// translate: translate the primary bio, generate: write a new bio directly in the locale's language
+const TRANSLATION_MODES = ['translate', 'generate'];
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'dead', 'cancelled'];
+
+const attemptErrorSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: Number
+  },
+  code: {
+    type: String
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const bioJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: JOB_TYPES,
+    required: [true, 'Job type is required']
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'pending'
+  },
+  // Generation inputs captured at enqueue time; name and role are read from the user when the job runs
+  payload: {
+    bioOptions: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    variants: {
+      type: Number,
+      default: 1
+    },
+    // false bypasses the AI generation cache
+    cache: {
+      type: Boolean,
+      default: true
+    },
+    // Explicitly requested regeneration that overrides a bio lock
+    force: {
+      type: Boolean,
+      default: false
+    },
+    // Generate a structured profile (headline, short bio, skills, keywords) along with the bio
+    structured: {
+      type: Boolean,
+      default: false
+    },
+    // Target locale and mode of translate jobs
+    locale: {
+      type: String,
+      default: null
+    },
+    mode: {
+      type: String,
+      enum: [...TRANSLATION_MODES, null],
+      default: null
+    }
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // Earliest time the job may be picked up (used for retry backoff)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  errorHistory: {
+    type: [attemptErrorSchema],
+    default: []
+  },
+  result: {
+    provider: String,
+    model: String,
+    draftCount: Number,
+    locale: String,
+    // Experiment variant the bio was generated with
+    variant: String
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for the worker's claim query and per-user lookups
+bioJobSchema.index({ status: 1, runAt: 1 });
+bioJobSchema.index({ user: 1, createdAt: -1 });
+
+// Pre-update middleware to update the updatedAt field
+bioJobSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  this.set({ updatedAt: Date.now() });
+  next();
+});
+
+// Instance method to get public profile
+bioJobSchema.methods.getPublicProfile = function() {
+  return {
+    id: this._id,
+    user: this.user,
+    type: this.type,
+    status: this.status,
+    payload: this.payload,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    runAt: this.runAt,
+    lastError: this.lastError,
+    errorHistory: this.errorHistory,
+    result: this.result,
+    completedAt: this.completedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+bioJobSchema.statics.JOB_TYPES = JOB_TYPES;
+bioJobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+bioJobSchema.statics.TRANSLATION_MODES = TRANSLATION_MODES;
+
+module.exports = mongoose.model('BioJob', bioJobSchema);
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+
+// ai: generated by a provider, manual: edited through the API,
+// revert: restored from an earlier revision, legacy: bio that predates revision history
+const REVISION_SOURCES = ['ai', 'manual', 'revert', 'legacy'];
+
+const bioRevisionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  revision: {
+    type: Number,
+    required: [true, 'Revision number is required']
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  source: {
+    type: String,
+    enum: REVISION_SOURCES,
+    required: [true, 'Revision source is required']
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  model: {
+    type: String,
+    default: null
+  },
+  template: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromptTemplate',
+      default: null
+    },
+    version: {
+      type: Number,
+      default: null
+    }
+  },
+  bioOptions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Experiment variant that generated the revision
+  experiment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Experiment',
+    default: null
+  },
+  variant: {
+    type: String,
+    default: null
+  },
+  editedBy: {
+    type: String,
+    default: null
+  },
+  revertedFrom: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+bioRevisionSchema.index({ user: 1, revision: -1 }, { unique: true });
+bioRevisionSchema.index({ experiment: 1, variant: 1 });
+
+/**
+ * Word-level diff between two texts (longest common subsequence)
+ * @param {string} from - Original text
+ * @param {string} to - Changed text
+ * @returns {Array<{type: string, text: string}>} Segments of type equal, added or removed
+ */
+const diffWords = (from = '', to = '') => {
+  const a = from.split(/\s+/).filter(Boolean);
+  const b = to.split(/\s+/).filter(Boolean);
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  const push = (type, word) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      segments.push({ type, text: word });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) {
+    push('removed', a[i++]);
+  }
+  while (j < b.length) {
+    push('added', b[j++]);
+  }
+
+  return segments;
+};
+
+// Instance method to get public revision data
+bioRevisionSchema.methods.getPublicProfile = function() {
+  return {
+    id: this._id,
+    user: this.user,
+    revision: this.revision,
+    text: this.text,
+    source: this.source,
+    provider: this.provider,
+    model: this.model,
+    template: this.template && this.template.id ? { id: this.template.id, version: this.template.version } : null,
+    bioOptions: this.bioOptions,
+    experiment: this.experiment,
+    variant: this.variant,
+    editedBy: this.editedBy,
+    revertedFrom: this.revertedFrom,
+    createdAt: this.createdAt
+  };
+};
+
+/**
+ * Store a bio change as the user's next revision
+ * Nothing is stored when the text matches the latest revision. The first change for a
+ * user whose bio predates revision history also stores that earlier bio as a legacy revision.
+ * @param {ObjectId} userId - User whose bio changed
+ * @param {Object} change - Revision fields (text, source, provider, model, template, bioOptions, experiment, variant, editedBy, revertedFrom)
+ * @param {string} [previousText] - Bio before the change
+ * @returns {Promise<Object|null>} Created revision, or null when the bio did not change
+ */
+bioRevisionSchema.statics.recordChange = async function(userId, change, previousText = '') {
+  const latest = await this.findOne({ user: userId }).sort({ revision: -1 });
+
+  if (latest && latest.text === change.text) {
+    return null;
+  }
+
+  let revision = latest ? latest.revision : 0;
+  if (!latest && previousText && previousText !== change.text) {
+    await this.create({ user: userId, revision: ++revision, text: previousText, source: 'legacy' });
+  }
+
+  return this.create({ ...change, user: userId, revision: revision + 1 });
+};
+
+bioRevisionSchema.statics.REVISION_SOURCES = REVISION_SOURCES;
+bioRevisionSchema.statics.diffWords = diffWords;
+
+module.exports = mongoose.model('BioRevision', bioRevisionSchema);
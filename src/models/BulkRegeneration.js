@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+const BULK_STATUSES = ['running', 'completed', 'cancelled', 'failed'];
+
+// Most per-user failures kept on an operation; the failed counter keeps counting past it
+const MAX_RECORDED_FAILURES = 500;
+
+const bulkFailureSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const bulkRegenerationSchema = new mongoose.Schema({
+  // Same filters as POST /api/users/list
+  filters: {
+    status: { type: String, default: null },
+    role: { type: String, default: null },
+    search: { type: String, default: null },
+    skill: { type: String, default: null }
+  },
+  bioOptions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  cache: {
+    type: Boolean,
+    default: true
+  },
+  // Generate structured profiles (headline, short bio, skills, keywords) instead of plain bios
+  structured: {
+    type: Boolean,
+    default: false
+  },
+  includeLocked: {
+    type: Boolean,
+    default: false
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  concurrency: {
+    type: Number,
+    default: 3
+  },
+  status: {
+    type: String,
+    enum: BULK_STATUSES,
+    default: 'running'
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  requestedBy: {
+    type: String,
+    default: null
+  },
+  // Instance running the operation, and when it last reported that it still is
+  runBy: {
+    type: String,
+    default: null
+  },
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+  totals: {
+    matched: { type: Number, default: 0 },
+    skippedLocked: { type: Number, default: 0 },
+    queued: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // First users that would be regenerated (dry runs only)
+  preview: {
+    type: [new mongoose.Schema({
+      user: mongoose.Schema.Types.ObjectId,
+      name: String,
+      role: String,
+      bioLocked: Boolean
+    }, { _id: false })],
+    default: []
+  },
+  failures: {
+    type: [bulkFailureSchema],
+    default: []
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+bulkRegenerationSchema.index({ createdAt: -1 });
+
+// Pre-update middleware to update the updatedAt field
+bulkRegenerationSchema.pre(['updateOne', 'findOneAndUpdate'], function(next) {
+  this.set({ updatedAt: Date.now() });
+  next();
+});
+
+// Instance method to get public operation data
+bulkRegenerationSchema.methods.getPublicProfile = function() {
+  const { queued, processed } = this.totals;
+
+  return {
+    id: this._id,
+    status: this.status,
+    dryRun: this.dryRun,
+    filters: this.filters,
+    bioOptions: this.bioOptions,
+    cache: this.cache,
+    structured: this.structured,
+    includeLocked: this.includeLocked,
+    concurrency: this.concurrency,
+    cancelRequested: this.cancelRequested,
+    requestedBy: this.requestedBy,
+    runBy: this.runBy,
+    heartbeatAt: this.heartbeatAt,
+    totals: this.totals,
+    progress: this.dryRun ? null : (queued > 0 ? Number((processed / queued).toFixed(3)) : 1),
+    preview: this.dryRun ? this.preview : undefined,
+    failures: this.failures,
+    lastError: this.lastError,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+bulkRegenerationSchema.statics.BULK_STATUSES = BULK_STATUSES;
+bulkRegenerationSchema.statics.MAX_RECORDED_FAILURES = MAX_RECORDED_FAILURES;
+
+module.exports = mongoose.model('BulkRegeneration', bulkRegenerationSchema);
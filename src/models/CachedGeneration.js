@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const cachedGenerationSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Cache key is required'],
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Cached value is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// MongoDB removes expired entries in the background
+cachedGenerationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CachedGeneration', cachedGenerationSchema);
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// draft: variants can still change; running: bio generation traffic is split between the
+// variants; paused and completed: bios are generated without the experiment
+const EXPERIMENT_STATUSES = ['draft', 'running', 'paused', 'completed'];
+
+const experimentVariantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Variant name is required'],
+    trim: true,
+    maxlength: [50, 'Variant name cannot exceed 50 characters']
+  },
+  // Percentage of bio generations assigned to the variant; the weights of an experiment add up to 100
+  weight: {
+    type: Number,
+    required: [true, 'Variant weight is required'],
+    min: [0, 'Variant weight cannot be negative'],
+    max: [100, 'Variant weight cannot exceed 100']
+  },
+  // Provider tried first (the rest of the chain stays as fallback); null keeps the normal order
+  provider: {
+    type: String,
+    default: null
+  },
+  // Prompt template used instead of the role's template; null keeps the normal lookup
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptTemplate',
+    default: null
+  },
+  // Provider parameter overrides, e.g. { "temperature": 0.9 }
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { _id: false });
+
+const experimentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Experiment name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Experiment name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: EXPERIMENT_STATUSES,
+    default: 'draft'
+  },
+  variants: {
+    type: [experimentVariantSchema],
+    validate: {
+      validator: variants => variants.length >= 2,
+      message: 'An experiment needs at least two variants'
+    }
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// At most one experiment splits traffic at a time
+experimentSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+
+// Variant names must be unique and the weights must add up to 100
+experimentSchema.pre('validate', function(next) {
+  const names = this.variants.map(variant => variant.name);
+  if (new Set(names).size !== names.length) {
+    this.invalidate('variants', 'Variant names must be unique');
+  }
+
+  const total = this.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  if (Math.abs(total - 100) > 1e-9) {
+    this.invalidate('variants', `Variant weights must add up to 100 (got ${total})`);
+  }
+  next();
+});
+
+// Pre-save middleware to update the updatedAt field
+experimentSchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+/**
+ * Pick the variant for a user
+ * Deterministic: a user always lands in the same variant of an experiment, so regenerations
+ * and feedback stay attributed to one variant.
+ * @param {ObjectId|string} userId - User
+ * @returns {Object} Variant
+ */
+experimentSchema.methods.pickVariant = function(userId) {
+  const digest = crypto.createHash('sha256').update(`${this._id}:${userId}`).digest();
+  // Bucket in [0, 100) with two decimals, so weights like 12.5 split exactly
+  const bucket = (digest.readUInt32BE(0) % 10000) / 100;
+
+  let cumulative = 0;
+  for (const variant of this.variants) {
+    cumulative += variant.weight;
+    if (bucket < cumulative) {
+      return variant;
+    }
+  }
+  return this.variants[this.variants.length - 1];
+};
+
+// Instance method to get public experiment data
+experimentSchema.methods.getPublicProfile = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    description: this.description,
+    status: this.status,
+    variants: this.variants.map(variant => ({
+      name: variant.name,
+      weight: variant.weight,
+      provider: variant.provider,
+      template: variant.template,
+      params: variant.params
+    })),
+    startedAt: this.startedAt,
+    endedAt: this.endedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to find the experiment currently splitting traffic
+experimentSchema.statics.findRunning = function() {
+  return this.findOne({ status: 'running' });
+};
+
+experimentSchema.statics.EXPERIMENT_STATUSES = EXPERIMENT_STATUSES;
+
+module.exports = mongoose.model('Experiment', experimentSchema);
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+
+// Variables a template may reference as {{variable}}; the last five come from bio generation options
+const TEMPLATE_VARIABLES = ['name', 'role', 'roleDescription', 'tone', 'length', 'pointOfView', 'language', 'highlights'];
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+// Built-in template used when the database has no active default template
+const BUILT_IN_TEMPLATE = {
+  name: 'Built-in default',
+  system: 'You are a professional bio writer. Create detailed, engaging bios of {{length}} that highlight expertise, experience, and passion without being overly promotional. Focus on professional qualities, skills, and work approach. Write in {{pointOfView}} in {{language}} with a {{tone}} tone, and return only the bio text without any formatting.',
+  prompt: 'Generate a comprehensive bio ({{length}}) for a person named {{name}} who works as a {{role}}. The bio should be engaging and highlight their expertise, experience, and passion for their field. Include details about their skills, approach to work, and commitment to excellence. Do not include any personal information beyond what\'s provided.'
+};
+
+/**
+ * List the variables referenced by a template string
+ * @param {string} text - Template text
+ * @returns {Array<string>} Variable names
+ */
+const findVariables = (text = '') => [...new Set([...text.matchAll(VARIABLE_PATTERN)].map(([, variable]) => variable))];
+
+/**
+ * Find variables used in a template string that are not supported
+ * @param {string} text - Template text
+ * @returns {Array<string>} Unknown variable names
+ */
+const findUnknownVariables = (text = '') =>
+  findVariables(text).filter(variable => !TEMPLATE_VARIABLES.includes(variable));
+
+/**
+ * Substitute {{variable}} placeholders
+ * @param {string} text - Template text
+ * @param {Object} variables - Variable values
+ * @returns {string} Rendered text
+ */
+const renderText = (text = '', variables = {}) =>
+  text.replace(VARIABLE_PATTERN, (match, variable) =>
+    variables[variable] !== undefined && variables[variable] !== null ? String(variables[variable]) : '');
+
+const variablesValidator = {
+  validator: (value) => findUnknownVariables(value).length === 0,
+  message: (props) => `Unknown template variable(s): ${findUnknownVariables(props.value).join(', ')}. Allowed: ${TEMPLATE_VARIABLES.join(', ')}`
+};
+
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  system: {
+    type: String,
+    default: ''
+  },
+  prompt: {
+    type: String,
+    required: true
+  },
+  note: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const promptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  // null marks the default template used for roles without an override
+  role: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    default: null
+  },
+  system: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'System prompt cannot exceed 2000 characters'],
+    default: '',
+    validate: variablesValidator
+  },
+  prompt: {
+    type: String,
+    required: [true, 'Prompt is required'],
+    trim: true,
+    maxlength: [4000, 'Prompt cannot exceed 4000 characters'],
+    validate: variablesValidator
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  versions: {
+    type: [versionSchema],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One template per role, and a single default (role: null)
+promptTemplateSchema.index({ role: 1 }, { unique: true });
+
+// Pre-save middleware to record the initial version and update the updatedAt field
+promptTemplateSchema.pre('save', function(next) {
+  if (this.isNew && this.versions.length === 0) {
+    this.versions.push({ version: this.version, system: this.system, prompt: this.prompt, note: 'Initial version' });
+  }
+  if (this.isModified() && !this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+/**
+ * Replace the template text, recording a new version
+ * @param {Object} changes - New system and/or prompt text
+ * @param {string} [note] - Description of the change
+ */
+promptTemplateSchema.methods.applyRevision = function({ system, prompt }, note = '') {
+  this.system = system !== undefined ? system : this.system;
+  this.prompt = prompt !== undefined ? prompt : this.prompt;
+  this.version += 1;
+  this.versions.push({ version: this.version, system: this.system, prompt: this.prompt, note });
+};
+
+// Instance method to render the template with variables
+promptTemplateSchema.methods.render = function(variables) {
+  return {
+    system: renderText(this.system, variables),
+    prompt: renderText(this.prompt, variables)
+  };
+};
+
+// Instance method to get public profile
+promptTemplateSchema.methods.getPublicProfile = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    role: this.role,
+    isDefault: !this.role,
+    system: this.system,
+    prompt: this.prompt,
+    version: this.version,
+    isActive: this.isActive,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to find the template for a role, falling back to the default
+promptTemplateSchema.statics.findForRole = async function(roleId) {
+  if (roleId) {
+    const override = await this.findOne({ role: roleId, isActive: true });
+    if (override) {
+      return override;
+    }
+  }
+  return this.findOne({ role: null, isActive: true });
+};
+
+// Static method to seed the default template from the built-in prompt
+promptTemplateSchema.statics.initializeDefaultTemplate = async function() {
+  const existing = await this.findOne({ role: null });
+  if (!existing) {
+    await this.create({ ...BUILT_IN_TEMPLATE, name: 'Default bio template' });
+  }
+};
+
+promptTemplateSchema.statics.TEMPLATE_VARIABLES = TEMPLATE_VARIABLES;
+promptTemplateSchema.statics.BUILT_IN_TEMPLATE = BUILT_IN_TEMPLATE;
+promptTemplateSchema.statics.renderText = renderText;
+promptTemplateSchema.statics.findVariables = findVariables;
+promptTemplateSchema.statics.findUnknownVariables = findUnknownVariables;
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Request count of one client in one rate limit window, shared by every app instance.
+// _id is the limiter's prefix and the client key, e.g. "ai:203.0.113.7" or "api:apikey:1a2b3c4d".
+const rateLimitCounterSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// Counters of past windows are removed by MongoDB
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Refresh tokens are opaque random strings; only their hash is stored. Every refresh replaces
+// the token with a new one in the same family, so a reused (already rotated) token reveals a
+// stolen token and revokes the whole family.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Tokens descending from the same login
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // rotated, logout, reuse, password-change
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  createdByIp: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Revoke every active token of a family
+ * @param {string} family - Token family
+ * @param {string} reason - Why the tokens are revoked
+ * @returns {Promise<Object>} Update result
+ */
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany({ family, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+};
+
+/**
+ * Revoke every active token of a user (all sessions)
+ * @param {ObjectId} userId - User
+ * @param {string} reason - Why the tokens are revoked
+ * @returns {Promise<Object>} Update result
+ */
+refreshTokenSchema.statics.revokeForUser = function(userId, reason) {
+  return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { PERMISSION_NAMES, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
 
 const roleSchema = new mongoose.Schema({
   name: {
@@ -21,6 +22,15 @@ const roleSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // What users with the role may do (see config/permissions); an inactive role grants nothing
+  permissions: {
+    type: [String],
+    validate: {
+      validator: permissions => permissions.every(permission => PERMISSION_NAMES.includes(permission)),
+      message: 'Unknown permission'
+    },
+    default: []
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -59,11 +69,36 @@ roleSchema.methods.getPublicProfile = function() {
     name: this.name,
     description: this.description,
     isActive: this.isActive,
+    permissions: this.permissions,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
 };
 
+/**
+ * Whether the role grants a permission
+ * A ":own" permission is also granted by the unrestricted one (users:update covers users:update:own).
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if granted
+ */
+roleSchema.methods.hasPermission = function(permission) {
+  if (!this.isActive) {
+    return false;
+  }
+  return this.permissions.includes(permission)
+    || (permission.endsWith(':own') && this.permissions.includes(permission.slice(0, -':own'.length)));
+};
+
+/**
+ * Whether the role grants every one of the given permissions
+ * Used to stop users from handing out more than they have themselves.
+ * @param {Array<string>} permissions - Permission names
+ * @returns {boolean} True if all are granted
+ */
+roleSchema.methods.coversPermissions = function(permissions) {
+  return permissions.every(permission => this.hasPermission(permission));
+};
+
 // Static method to find active roles
 roleSchema.statics.findActiveRoles = function() {
   return this.find({ isActive: true }).sort({ name: 1 });
@@ -77,7 +112,7 @@ roleSchema.statics.initializeDefaultRoles = async function() {
     { name: 'MODERATOR', description: 'Content moderator with limited admin access' },
     { name: 'DEVELOPER', description: 'Software developer with technical access' },
     { name: 'MANAGER', description: 'Team manager with management access' }
-  ];
+  ].map(role => ({ ...role, permissions: DEFAULT_ROLE_PERMISSIONS[role.name] }));
 
   try {
     for (const roleData of defaultRoles) {
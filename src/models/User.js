@@ -1,4 +1,171 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { MAX_BIO_CHARACTERS } = require('../config/bioOptions');
+const { PROFILE_LIMITS } = require('../config/profileSchema');
+const { DEFAULT_LOCALE } = require('../config/locales');
+const { AUTH_CONFIG } = require('../config/auth');
+
+// generated: written in the locale by the AI, translated: AI translation of the primary bio,
+// manual: written by a person
+const TRANSLATION_SOURCES = ['generated', 'translated', 'manual'];
+
+// AI-generated bio candidate awaiting review
+const bioDraftSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  provider: {
+    type: String,
+    default: ''
+  },
+  model: {
+    type: String,
+    default: ''
+  },
+  temperature: {
+    type: Number
+  },
+  // Prompt template version the draft was generated with
+  template: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromptTemplate',
+      default: null
+    },
+    version: {
+      type: Number,
+      default: null
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Bio in a locale other than the default one
+const localizedBioSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [MAX_BIO_CHARACTERS, `Bio cannot exceed ${MAX_BIO_CHARACTERS} characters`],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: TRANSLATION_SOURCES,
+    required: true
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  model: {
+    type: String,
+    default: null
+  },
+  // Hash of the primary bio a translation was made from; a different current hash means it is outdated
+  sourceHash: {
+    type: String,
+    default: null
+  },
+  editedBy: {
+    type: String,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Short fingerprint of a bio, used to tell whether a translation still matches its source
+ * @param {string} text - Bio text
+ * @returns {string} Hash
+ */
+const hashBio = (text = '') => crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+
+/**
+ * Pick the bio to show for a locale, falling back to the primary bio
+ * Works on documents (bios is a Map) and aggregation results (bios is a plain object).
+ * @param {Object} user - User with bio and bios
+ * @param {string} [locale] - Requested locale
+ * @returns {{locale: string, text: string}} Bio and the locale it is in
+ */
+const pickLocalizedBio = ({ bio, bios }, locale = DEFAULT_LOCALE) => {
+  const translation = bios instanceof Map ? bios.get(locale) : bios && bios[locale];
+
+  if (locale !== DEFAULT_LOCALE && translation && translation.text) {
+    return { locale, text: translation.text };
+  }
+  return { locale: DEFAULT_LOCALE, text: bio };
+};
+
+// Vector of the user's profile text for semantic search (see services/embeddingIndex)
+const embeddingSchema = new mongoose.Schema({
+  vector: {
+    type: [Number],
+    default: []
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  // Hash of the embedded text, so unchanged profiles are not re-embedded
+  textHash: {
+    type: String,
+    required: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Experiment variant a bio was generated with (see models/Experiment)
+const bioVariantSchema = new mongoose.Schema({
+  experiment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Experiment',
+    required: true
+  },
+  variant: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  model: {
+    type: String,
+    default: null
+  },
+  assignedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+const hashPassword = (password) => bcrypt.hash(password, AUTH_CONFIG.bcryptRounds);
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -29,12 +196,82 @@ const userSchema = new mongoose.Schema({
     enum: ['ACTIVE', 'INACTIVE'],
     default: 'ACTIVE'
   },
+  // bcrypt hash; users without one cannot log in
+  password: {
+    type: String,
+    select: false,
+    default: null
+  },
+  // Access tokens issued before this are rejected
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
   bio: {
     type: String,
     trim: true,
-    maxlength: [1500, 'Bio cannot exceed 1500 characters'],
+    maxlength: [MAX_BIO_CHARACTERS, `Bio cannot exceed ${MAX_BIO_CHARACTERS} characters`],
+    default: ''
+  },
+  // Who wrote the current bio: the AI pipeline or a person
+  bioSource: {
+    type: String,
+    enum: ['ai', 'manual'],
+    default: 'ai'
+  },
+  // Locked bios are never regenerated automatically (e.g. on a role change)
+  bioLocked: {
+    type: Boolean,
+    default: false
+  },
+  // Experiment variant that produced the current bio; null outside experiments
+  bioVariant: {
+    type: bioVariantSchema,
+    default: null
+  },
+  // Structured profile fields (the long bio of a structured generation is stored as bio)
+  headline: {
+    type: String,
+    trim: true,
+    maxlength: [PROFILE_LIMITS.headlineMaxLength, `Headline cannot exceed ${PROFILE_LIMITS.headlineMaxLength} characters`],
+    default: ''
+  },
+  shortBio: {
+    type: String,
+    trim: true,
+    maxlength: [PROFILE_LIMITS.shortBioMaxLength, `Short bio cannot exceed ${PROFILE_LIMITS.shortBioMaxLength} characters`],
     default: ''
   },
+  skills: {
+    type: [String],
+    default: []
+  },
+  keywords: {
+    type: [String],
+    default: []
+  },
+  bioDrafts: {
+    type: [bioDraftSchema],
+    default: []
+  },
+  // Bios in other locales, keyed by locale code; bio itself is in DEFAULT_LOCALE
+  bios: {
+    type: Map,
+    of: localizedBioSchema,
+    default: {}
+  },
+  // Large, so only loaded when selected explicitly ('+embedding')
+  embedding: {
+    type: embeddingSchema,
+    select: false,
+    default: null
+  },
+  // Progress of background bio generation (see BioJob)
+  bioStatus: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'completed'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -52,6 +289,7 @@ const userSchema = new mongoose.Schema({
 // Indexes for performance (email index is automatically created by unique: true)
 userSchema.index({ status: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ skills: 1 });
 
 // Virtual for user's full profile
 userSchema.virtual('profile').get(function() {
@@ -73,31 +311,253 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// Hash a new or changed password before it is stored
+userSchema.pre('save', async function() {
+  if (this.isModified('password') && this.password) {
+    this.password = await hashPassword(this.password);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
+  }
+});
+
 // Pre-update middleware to update the updatedAt field
 userSchema.pre(['updateOne', 'findOneAndUpdate'], function(next) {
   this.set({ updatedAt: Date.now() });
   next();
 });
 
+/**
+ * Translation metadata for the public profile (without the texts)
+ * @returns {Array<Object>} One entry per stored locale
+ */
+userSchema.methods.describeTranslations = function() {
+  const currentHash = hashBio(this.bio);
+
+  return [...(this.bios || new Map()).entries()].map(([locale, translation]) => ({
+    locale,
+    source: translation.source,
+    provider: translation.provider,
+    model: translation.model,
+    outdated: Boolean(translation.sourceHash) && translation.sourceHash !== currentHash,
+    editedBy: translation.editedBy,
+    updatedAt: translation.updatedAt
+  }));
+};
+
+/**
+ * Check a password against the stored hash
+ * @param {string} candidate - Password to check
+ * @returns {Promise<boolean>} True if it matches (false for users without a password)
+ */
+userSchema.methods.comparePassword = function(candidate) {
+  return this.password ? bcrypt.compare(candidate, this.password) : Promise.resolve(false);
+};
+
+/**
+ * Whether an access token predates the last password change
+ * @param {number} issuedAt - Token iat claim (seconds)
+ * @returns {boolean} True if the token must be rejected
+ */
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  return Boolean(this.passwordChangedAt) && Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAt;
+};
+
 // Instance method to get public profile
-userSchema.methods.getPublicProfile = function() {
+userSchema.methods.getPublicProfile = function({ locale } = {}) {
+  const localized = pickLocalizedBio(this, locale);
+
   return {
     id: this._id,
     name: this.name,
     role: this.role,
     email:this.email,
     status: this.status,
-    bio: this.bio,
+    bio: localized.text,
+    locale: localized.locale,
+    bioTranslations: this.describeTranslations(),
+    bioSource: this.bioSource,
+    bioLocked: this.bioLocked,
+    bioStatus: this.bioStatus,
+    bioVariant: this.bioVariant,
+    headline: this.headline,
+    shortBio: this.shortBio,
+    skills: this.skills,
+    keywords: this.keywords,
+    bioDrafts: this.bioDrafts.map(draft => ({
+      id: draft._id,
+      text: draft.text,
+      provider: draft.provider,
+      model: draft.model,
+      temperature: draft.temperature,
+      template: draft.template && draft.template.id ? draft.template : null,
+      createdAt: draft.createdAt
+    })),
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
 };
 
+userSchema.statics.hashBio = hashBio;
+userSchema.statics.hashPassword = hashPassword;
+userSchema.statics.pickLocalizedBio = pickLocalizedBio;
+userSchema.statics.TRANSLATION_SOURCES = TRANSLATION_SOURCES;
+
 // Static method to find active users
 userSchema.statics.findActiveUsers = function() {
   return this.find({ status: 'ACTIVE' });
 };
 
+/**
+ * Aggregation stages that join each user's role and apply the user list filters
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.status] - ACTIVE or INACTIVE
+ * @param {string} [filters.role] - Role name
+ * @param {string} [filters.search] - Case-insensitive match on name, email or role name
+ * @param {string} [filters.skill] - Skill tag (case-insensitive exact match)
+ * @param {string} [filters.createdFrom] - Earliest creation date or time (ISO 8601)
+ * @param {string} [filters.createdTo] - Latest creation date or time; a plain date includes the whole day
+ * @returns {Array<Object>} Pipeline stages (the joined role is available as roleInfo)
+ */
+userSchema.statics.buildFilterPipeline = function({ status, role, search, skill, createdFrom, createdTo } = {}) {
+  const pipeline = [
+    {
+      $lookup: {
+        from: 'roles',
+        localField: 'role',
+        foreignField: '_id',
+        as: 'roleInfo'
+      }
+    },
+    { $unwind: '$roleInfo' }
+  ];
+
+  const matchConditions = {};
+
+  if (status) {
+    matchConditions.status = status;
+  }
+
+  if (role) {
+    matchConditions['roleInfo.name'] = role;
+  }
+
+  if (skill) {
+    matchConditions.skills = { $regex: `^${escapeRegExp(skill)}$`, $options: 'i' };
+  }
+
+  if (createdFrom || createdTo) {
+    matchConditions.createdAt = {};
+    if (createdFrom) {
+      matchConditions.createdAt.$gte = new Date(createdFrom);
+    }
+    if (createdTo) {
+      matchConditions.createdAt.$lt = /^\d{4}-\d{2}-\d{2}$/.test(createdTo)
+        ? new Date(Date.parse(createdTo) + DAY_MS)
+        : new Date(Date.parse(createdTo) + 1);
+    }
+  }
+
+  if (search) {
+    // Plain text: "Node.js" or "C++" must not be read as a pattern
+    const pattern = escapeRegExp(search);
+    matchConditions.$or = [
+      { name: { $regex: pattern, $options: 'i' } },
+      { email: { $regex: pattern, $options: 'i' } },
+      { 'roleInfo.name': { $regex: pattern, $options: 'i' } }
+    ];
+  }
+
+  if (Object.keys(matchConditions).length > 0) {
+    pipeline.push({ $match: matchConditions });
+  }
+
+  return pipeline;
+};
+
+/**
+ * Aggregation stages that score users against a search query for semantic or hybrid search
+ * Adds searchScore (and semanticScore/keywordScore) and drops users below minScore.
+ * Semantic scores are cosine similarities, computed as dot products of unit vectors; users
+ * without an embedding from the current model have none. Hybrid search blends the semantic
+ * score with the share of query words found in the name, email, role, headline, skills or bio.
+ * Expects the stages of buildFilterPipeline (roleInfo) to run first.
+ * @param {Object} options - Scoring options
+ * @param {Array<number>} options.vector - Unit embedding of the query
+ * @param {string} options.model - Embedding model the vector came from
+ * @param {string} options.search - Query text
+ * @param {string} options.mode - semantic or hybrid
+ * @param {number} options.weight - Weight of the semantic score in hybrid mode (0-1)
+ * @param {number} options.minScore - Lowest searchScore returned
+ * @returns {Array<Object>} Pipeline stages
+ */
+userSchema.statics.buildSearchScoreStages = function({ vector, model, search, mode, weight, minScore }) {
+  const semanticScore = {
+    $cond: [
+      {
+        $and: [
+          { $eq: ['$embedding.model', model] },
+          { $isArray: '$embedding.vector' },
+          { $eq: [{ $size: { $ifNull: ['$embedding.vector', []] } }, vector.length] }
+        ]
+      },
+      {
+        $reduce: {
+          input: { $zip: { inputs: ['$embedding.vector', vector] } },
+          initialValue: 0,
+          in: { $add: ['$$value', { $multiply: [{ $arrayElemAt: ['$$this', 0] }, { $arrayElemAt: ['$$this', 1] }] }] }
+        }
+      },
+      null
+    ]
+  };
+
+  if (mode === 'semantic') {
+    return [
+      { $addFields: { semanticScore } },
+      { $match: { semanticScore: { $ne: null, $gte: minScore } } },
+      { $addFields: { searchScore: '$semanticScore' } }
+    ];
+  }
+
+  const terms = [...new Set(search.toLowerCase().split(/\s+/).filter(Boolean))];
+  const searchText = {
+    $concat: [
+      { $ifNull: ['$name', ''] }, ' ',
+      { $ifNull: ['$email', ''] }, ' ',
+      { $ifNull: ['$roleInfo.name', ''] }, ' ',
+      { $ifNull: ['$headline', ''] }, ' ',
+      { $reduce: { input: { $ifNull: ['$skills', []] }, initialValue: '', in: { $concat: ['$$value', ' ', '$$this'] } } }, ' ',
+      { $ifNull: ['$bio', ''] }
+    ]
+  };
+
+  return [
+    {
+      $addFields: {
+        semanticScore,
+        keywordScore: {
+          $divide: [
+            { $add: terms.map(term => ({ $cond: [{ $regexMatch: { input: searchText, regex: escapeRegExp(term), options: 'i' } }, 1, 0] })) },
+            terms.length
+          ]
+        }
+      }
+    },
+    {
+      $addFields: {
+        searchScore: {
+          $add: [
+            { $multiply: [weight, { $ifNull: ['$semanticScore', 0] }] },
+            { $multiply: [1 - weight, '$keywordScore'] }
+          ]
+        }
+      }
+    },
+    { $match: { searchScore: { $gte: minScore } } }
+  ];
+};
+
 // Static method to search users by name or role
 userSchema.statics.searchUsers = function(query) {
   return this.find({
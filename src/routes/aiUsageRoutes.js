@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { getUsageReport } = require('../controllers/aiUsageController');
+
+const {
+  validateAIUsageReport,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const { authenticate, authorize } = require('../middleware/auth');
+
+router.use(authenticate);
+
+router.get('/report', authorize('usage:read'), validateAIUsageReport, handleValidationErrors, getUsageReport);
+
+module.exports = router;
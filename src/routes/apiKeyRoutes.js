@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createApiKey,
+  getAllApiKeys,
+  getApiKeyById,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+
+const {
+  validateApiKeyCreation,
+  validateApiKeyQuery,
+  validateApiKeyId,
+  validateApiKeyRevocation,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const { authenticate, authorize } = require('../middleware/auth');
+
+router.use(authenticate, authorize('apiKeys:manage'));
+
+router.route('/')
+  .get(validateApiKeyQuery, handleValidationErrors, getAllApiKeys)
+  .post(validateApiKeyCreation, handleValidationErrors, createApiKey);
+
+router.get('/:id', validateApiKeyId, handleValidationErrors, getApiKeyById);
+
+router.post('/:id/revoke', validateApiKeyRevocation, handleValidationErrors, revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditEvents } = require('../controllers/auditController');
+
+const {
+  validateAuditQuery,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const { authenticate, authorize } = require('../middleware/auth');
+
+router.use(authenticate);
+
+router.get('/', authorize('audit:read'), validateAuditQuery, handleValidationErrors, getAuditEvents);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  login,
+  refreshTokens,
+  logout,
+  getCurrentUser
+} = require('../controllers/authController');
+
+const {
+  validateLogin,
+  validateRefreshToken,
+  validateLogout,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const { authLimiter } = require('../middleware/rateLimiter');
+const { authenticate } = require('../middleware/auth');
+
+router.post('/login', authLimiter, validateLogin, handleValidationErrors, login);
+router.post('/refresh', authLimiter, validateRefreshToken, handleValidationErrors, refreshTokens);
+router.post('/logout', validateLogout, handleValidationErrors, logout);
+router.get('/me', authenticate, getCurrentUser);
+
+module.exports = router;
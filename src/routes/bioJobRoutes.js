@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBioJobs,
+  getBioJobById,
+  retryBioJob
+} = require('../controllers/bioJobController');
+
+const {
+  validateBioJobQuery,
+  validateBioJobId,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const { authenticate, authorize } = require('../middleware/auth');
+
+router.use(authenticate);
+
+router.get('/', authorize('jobs:read'), validateBioJobQuery, handleValidationErrors, getBioJobs);
+
+router.get('/:id', authorize('jobs:read'), validateBioJobId, handleValidationErrors, getBioJobById);
+router.post('/:id/retry', authorize('jobs:manage'), validateBioJobId, handleValidationErrors, retryBioJob);
+
+module.exports = router;
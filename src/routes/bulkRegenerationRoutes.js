@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  startBulkRegeneration,
+  getBulkRegenerations,
+  getBulkRegenerationById,
+  cancelBulkRegeneration
+} = require('../controllers/bulkRegenerationController');
+
+const {
+  validateBulkRegeneration,
+  validateBulkRegenerationQuery,
+  validateBulkRegenerationId,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const { authenticate, authorize } = require('../middleware/auth');
+
+router.use(authenticate);
+
+router.route('/')
+  .get(authorize('bulk:read'), validateBulkRegenerationQuery, handleValidationErrors, getBulkRegenerations)
+  .post(authorize('bulk:manage', 'ai:generate'), validateBulkRegeneration, handleValidationErrors, startBulkRegeneration);
+
+router.get('/:id', authorize('bulk:read'), validateBulkRegenerationId, handleValidationErrors, getBulkRegenerationById);
+router.post('/:id/cancel', authorize('bulk:manage'), validateBulkRegenerationId, handleValidationErrors, cancelBulkRegeneration);
+
+module.exports = router;
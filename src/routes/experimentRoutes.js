@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllExperiments,
+  getExperimentById,
+  createExperiment,
+  updateExperiment,
+  getExperimentReport
+} = require('../controllers/experimentController');
+
+const {
+  validateExperimentCreation,
+  validateExperimentUpdate,
+  validateExperimentId,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const { authenticate, authorize } = require('../middleware/auth');
+
+router.use(authenticate);
+
+router.route('/')
+  .get(authorize('experiments:read'), getAllExperiments)
+  .post(authorize('experiments:manage'), validateExperimentCreation, handleValidationErrors, createExperiment);
+
+router.route('/:id')
+  .get(authorize('experiments:read'), validateExperimentId, handleValidationErrors, getExperimentById)
+  .put(authorize('experiments:manage'), validateExperimentUpdate, handleValidationErrors, updateExperiment);
+
+router.get('/:id/report', authorize('experiments:read'), validateExperimentId, handleValidationErrors, getExperimentReport);
+
+module.exports = router;
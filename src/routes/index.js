@@ -2,10 +2,26 @@ const express = require('express');
 const router = express.Router();
 
 // Import route modules
+const authRoutes = require('./authRoutes');
 const userRoutes = require('./userRoutes');
+const promptTemplateRoutes = require('./promptTemplateRoutes');
+const bioJobRoutes = require('./bioJobRoutes');
+const aiUsageRoutes = require('./aiUsageRoutes');
+const bulkRegenerationRoutes = require('./bulkRegenerationRoutes');
+const experimentRoutes = require('./experimentRoutes');
+const apiKeyRoutes = require('./apiKeyRoutes');
+const auditRoutes = require('./auditRoutes');
 
 // API Routes
+router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
+router.use('/prompt-templates', promptTemplateRoutes);
+router.use('/bio-jobs', bioJobRoutes);
+router.use('/ai-usage', aiUsageRoutes);
+router.use('/bulk-regenerations', bulkRegenerationRoutes);
+router.use('/experiments', experimentRoutes);
+router.use('/api-keys', apiKeyRoutes);
+router.use('/audit', auditRoutes);
 
 // API Documentation route
 router.get('/', (req, res) => {
@@ -14,25 +30,84 @@ router.get('/', (req, res) => {
     message: 'Node.js AI Integration API',
     version: '1.0.0',
     endpoints: {
+      auth: {
+        'POST /api/auth/login': 'Log in with email and password; returns a JWT access token and a refresh token',
+        'POST /api/auth/refresh': 'Exchange a refresh token for a new token pair (refresh tokens are single-use)',
+        'POST /api/auth/logout': 'Revoke a refresh token\'s session ("allSessions": true for every session)',
+        'GET /api/auth/me': 'Get the authenticated user (or API key)'
+      },
+      apiKeys: {
+        'POST /api/api-keys': 'Issue a scoped API key for a backend service (the key is shown only once)',
+        'GET /api/api-keys': 'List API keys (filter by status: active, expired, revoked)',
+        'GET /api/api-keys/:id': 'Get API key by ID, including when it was last used',
+        'POST /api/api-keys/:id/revoke': 'Revoke an API key'
+      },
+      audit: {
+        'GET /api/audit': 'Search the audit log of user, role and API key changes (filter by actor, action, target, changed field, request ID and date; paginated)'
+      },
       users: {
-        'POST /api/users': 'Create a new user with AI-generated bio',
-        'POST /api/users/list': 'Get all users with advanced filtering, pagination, and search',
-        'GET /api/users/:id': 'Get user by ID',
-        'PUT /api/users/:id': 'Update user by ID (regenerates bio if role changes)',
+        'POST /api/users': 'Create a new user; without a hand-written bio, the AI bio is generated in the background (see bioJobs)',
+        'POST /api/users/list': 'Get all users with advanced filtering (including by skill and creation date), pagination, and text, semantic or hybrid search',
+        'POST /api/users/query': 'List users from a plain-English question; returns the results and the filter the AI derived from it',
+        'GET /api/users/:id': 'Get user by ID, with the bio in the locale from ?locale= or Accept-Language',
+        'PUT /api/users/:id': 'Update user by ID (queues bio regeneration if role changes and the bio is not locked)',
         'DELETE /api/users/:id': 'Delete user by ID',
+        'POST /api/users/:id/bio/regenerate': 'Queue bio regeneration with generation options, even for a locked bio',
+        'POST /api/users/:id/bio/translations/:locale': 'Add or refresh the bio in another locale (AI translation, generation in that language, or hand-written text)',
+        'POST /api/users/:id/bio/select': 'Promote a pending bio draft (see "variants") to the user\'s bio',
+        'GET /api/users/:id/bio/revisions': 'List the user\'s bio revisions with their source, model and template version',
+        'GET /api/users/:id/bio/revisions/diff': 'Word-level diff between two bio revisions (?from=&to=)',
+        'POST /api/users/:id/bio/revisions/:revision/revert': 'Restore the bio from an earlier revision',
+        'POST /api/users/:id/bio/feedback': 'Rate the current bio thumbs up or down with an optional comment',
         'GET /api/users/status-options': 'Get available user status options'
       },
       roles: {
         'GET /api/users/roles': 'Get all active roles',
-        'POST /api/users/roles': 'Create a new role (spaces automatically converted to underscores)'
+        'POST /api/users/roles': 'Create a new role with a set of permissions (spaces automatically converted to underscores)',
+        'PUT /api/users/roles/:id': 'Change a role\'s description, permissions or active flag'
       },
       ai: {
-        'GET /api/users/ai/status': 'Get AI service status (OpenAI and Gemini)',
-        'POST /api/users/ai/test-bio': 'Test AI bio generation with fallback support'
+        'GET /api/users/ai/status': 'Get AI service status for the configured provider chain, including circuit breakers and health probe results (reachability, p50/p95 latency, failure rate)',
+        'POST /api/users/ai/providers/:provider/breaker/reset': 'Manually close a provider\'s circuit breaker (admin)',
+        'POST /api/users/embeddings/reindex': 'Re-embed users whose search embedding is missing or stale (admin; "force": true for all)',
+        'POST /api/users/ai/test-bio': 'Test AI bio generation with fallback support ("structured": true for a JSON profile)',
+        'POST /api/users/ai/bio/stream': 'Stream AI bio generation as Server-Sent Events'
+      },
+      bioJobs: {
+        'GET /api/bio-jobs': 'List bio generation jobs (filter by status, e.g. dead, or userId)',
+        'GET /api/bio-jobs/:id': 'Get bio job status, attempts and errors',
+        'POST /api/bio-jobs/:id/retry': 'Re-queue a dead or cancelled bio job'
+      },
+      bulkRegenerations: {
+        'POST /api/bulk-regenerations': 'Regenerate bios for users matching status, role, search and skill filters (admin; supports dryRun)',
+        'GET /api/bulk-regenerations': 'List bulk bio regenerations',
+        'GET /api/bulk-regenerations/:id': 'Get progress and per-user failures of a bulk regeneration',
+        'POST /api/bulk-regenerations/:id/cancel': 'Cancel a running bulk regeneration'
+      },
+      experiments: {
+        'GET /api/experiments': 'List provider/prompt A/B experiments',
+        'POST /api/experiments': 'Create an experiment splitting bio generation traffic between weighted variants',
+        'GET /api/experiments/:id': 'Get experiment by ID',
+        'PUT /api/experiments/:id': 'Update an experiment, or start, pause, resume or complete it via status',
+        'GET /api/experiments/:id/report': 'Compare acceptance rate, regeneration rate, latency and cost per variant'
+      },
+      aiUsage: {
+        'GET /api/ai-usage/report': 'Token usage, estimated cost and latency per day, provider, model or role'
+      },
+      promptTemplates: {
+        'GET /api/prompt-templates': 'List bio prompt templates (default and per-role overrides)',
+        'POST /api/prompt-templates': 'Create a prompt template (omit role for the default template)',
+        'GET /api/prompt-templates/:id': 'Get prompt template by ID',
+        'PUT /api/prompt-templates/:id': 'Update a prompt template (text changes create a new version)',
+        'DELETE /api/prompt-templates/:id': 'Delete a prompt template',
+        'GET /api/prompt-templates/:id/versions': 'Get the version history of a prompt template',
+        'POST /api/prompt-templates/:id/versions/:version/restore': 'Restore an earlier template version',
+        'POST /api/prompt-templates/:id/preview': 'Render a saved template against sample input',
+        'POST /api/prompt-templates/preview': 'Render unsaved template text against sample input'
       }
     },
     features: [
-      'AI-powered bio generation with OpenAI and Gemini fallback',
+      'AI-powered bio generation with a configurable provider fallback chain (OpenAI, Gemini, OpenAI-compatible local models)',
       'Intelligent role name processing (spaces to underscores)',
       'MongoDB integration with Mongoose ODM',
       'Advanced Express middleware stack',
@@ -41,7 +116,22 @@ router.get('/', (req, res) => {
       'Rate limiting and security middleware',
       'Advanced pagination, search, and filtering',
       'Automatic bio regeneration on role updates',
-      'Dual AI service support with failover mechanism'
+      'Persistent bio job queue with retries and dead-lettering',
+      'Dual AI service support with failover mechanism',
+      'Database-backed, versioned prompt templates with per-role overrides',
+      'Token usage and estimated cost accounting for every AI call',
+      'Bio revision history with diff and revert',
+      'Bulk bio regeneration with dry runs, progress and cancellation',
+      'Structured profiles with a headline, short bio and skill tags, validated against a JSON schema',
+      'Bios stored per locale, translated or generated by the AI and served by Accept-Language',
+      'Semantic and hybrid user search over profile embeddings (OpenAI, Gemini or an offline hashing embedder)',
+      'Natural-language user queries turned into validated list filters by the AI',
+      'A/B experiments across providers, models and prompt templates with bio feedback and per-variant reports',
+      'JWT authentication with rotating, revocable refresh tokens',
+      'Permission-based authorization per role, with ownership rules for editing your own profile',
+      'Scoped, revocable API keys for backend services, with per-key rate limits',
+      'Audit log of every change to users, roles, API keys, prompt templates, experiments and bulk regenerations, with field-level diffs and configurable retention',
+      'Rate limit policies configured from the environment, with counters shared across instances in MongoDB'
     ]
   });
 });
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllPromptTemplates,
+  getPromptTemplateById,
+  createPromptTemplate,
+  updatePromptTemplate,
+  deletePromptTemplate,
+  getPromptTemplateVersions,
+  restorePromptTemplateVersion,
+  previewPromptTemplate,
+  previewDraftTemplate
+} = require('../controllers/promptTemplateController');
+
+const {
+  validatePromptTemplateCreation,
+  validatePromptTemplateUpdate,
+  validatePromptTemplateId,
+  validatePromptTemplateVersion,
+  validatePromptPreview,
+  validateDraftPromptPreview,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const { authenticate, authorize } = require('../middleware/auth');
+
+router.use(authenticate);
+
+router.route('/')
+  .get(authorize('prompts:read'), getAllPromptTemplates)
+  .post(authorize('prompts:manage'), validatePromptTemplateCreation, handleValidationErrors, createPromptTemplate);
+
+router.post('/preview', authorize('prompts:read'), validateDraftPromptPreview, handleValidationErrors, previewDraftTemplate);
+
+router.route('/:id')
+  .get(authorize('prompts:read'), validatePromptTemplateId, handleValidationErrors, getPromptTemplateById)
+  .put(authorize('prompts:manage'), validatePromptTemplateUpdate, handleValidationErrors, updatePromptTemplate)
+  .delete(authorize('prompts:manage'), validatePromptTemplateId, handleValidationErrors, deletePromptTemplate);
+
+router.get('/:id/versions', authorize('prompts:read'), validatePromptTemplateId, handleValidationErrors, getPromptTemplateVersions);
+router.post('/:id/versions/:version/restore', authorize('prompts:manage'), validatePromptTemplateId, validatePromptTemplateVersion, handleValidationErrors, restorePromptTemplateVersion);
+router.post('/:id/preview', authorize('prompts:read'), validatePromptTemplateId, validatePromptPreview, handleValidationErrors, previewPromptTemplate);
+
+module.exports = router;
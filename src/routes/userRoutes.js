@@ -3,46 +3,96 @@ const router = express.Router();
 const {
   createUser,
   getAllUsers,
+  queryUsers,
   getUserById,
   updateUser,
   deleteUser,
+  regenerateBio,
+  selectBioDraft,
   getAIStatus,
+  resetProviderBreaker,
+  reindexEmbeddings,
   testAIBio,
+  streamBio,
   getUserStatusOptions,
   getAllRoles,
-  createRole
+  createRole,
+  updateRole
 } = require('../controllers/userController');
+const { upsertBioTranslation } = require('../controllers/bioTranslationController');
+const {
+  getBioRevisions,
+  diffBioRevisions,
+  revertBioRevision
+} = require('../controllers/bioRevisionController');
+const { submitBioFeedback } = require('../controllers/bioFeedbackController');
 
 const {
   validateUserCreation,
   validateUserUpdate,
   validateUserId,
+  validateLocale,
   validateGetAllUsers,
+  validateUserQueryRequest,
   validateRoleCreation,
+  validateRoleUpdate,
+  validateBioGeneration,
+  validateStructuredProfile,
+  validateBioDraftSelection,
+  validateBioRegeneration,
+  validateBioTranslation,
+  validateBioRevisionList,
+  validateBioRevisionDiff,
+  validateBioRevisionRevert,
+  validateProviderName,
+  validateEmbeddingReindex,
+  validateBioFeedback,
   handleValidationErrors
 } = require('../middleware/validation');
 
 const { createUserLimiter, aiServiceLimiter } = require('../middleware/rateLimiter');
+const { resolveLocale } = require('../middleware/locale');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// Every user and role route requires a valid access token and the permissions listed per route
+router.use(authenticate);
 
 // AI Service Routes
-router.get('/ai/status', aiServiceLimiter, getAIStatus);
-router.post('/ai/test-bio', aiServiceLimiter, testAIBio);
+router.get('/ai/status', aiServiceLimiter, authorize('ai:read'), getAIStatus);
+router.post('/ai/providers/:provider/breaker/reset', authorize('ai:manage'), validateProviderName, handleValidationErrors, resetProviderBreaker);
+router.post('/ai/test-bio', aiServiceLimiter, authorize('ai:generate'), validateBioGeneration, validateStructuredProfile, handleValidationErrors, testAIBio);
+router.post('/ai/bio/stream', aiServiceLimiter, authorize('ai:generate'), validateBioGeneration, handleValidationErrors, streamBio);
+
+router.post('/embeddings/reindex', authorize('ai:manage'), validateEmbeddingReindex, handleValidationErrors, reindexEmbeddings);
 
-router.get('/status-options', getUserStatusOptions);
+router.get('/status-options', authorize('users:read'), getUserStatusOptions);
 
 router.route('/roles')
-  .get(getAllRoles)
-  .post(validateRoleCreation, handleValidationErrors, createRole);
+  .get(authorize('roles:read'), getAllRoles)
+  .post(authorize('roles:create'), validateRoleCreation, handleValidationErrors, createRole);
+
+router.put('/roles/:id', authorize('roles:update'), validateRoleUpdate, handleValidationErrors, updateRole);
 
 // User CRUD Routes
 router.route('/')
-  .post(createUserLimiter, validateUserCreation, handleValidationErrors, createUser);
+  .post(createUserLimiter, authorize('users:create'), validateUserCreation, handleValidationErrors, createUser);
 
-router.post('/list', validateGetAllUsers, handleValidationErrors, getAllUsers);
+router.post('/list', authorize('users:read'), validateGetAllUsers, handleValidationErrors, resolveLocale, getAllUsers);
+router.post('/query', aiServiceLimiter, authorize('users:read', 'ai:generate'), validateUserQueryRequest, handleValidationErrors, resolveLocale, queryUsers);
 
 router.route('/:id')
-  .get(validateUserId, handleValidationErrors, getUserById)
-  .put(validateUserId, validateUserUpdate, handleValidationErrors, updateUser)
-  .delete(validateUserId, handleValidationErrors, deleteUser);
+  .get(authorize('users:read'), validateUserId, validateLocale, handleValidationErrors, resolveLocale, getUserById)
+  .put(authorize('users:update'), validateUserId, validateUserUpdate, handleValidationErrors, updateUser)
+  .delete(authorize('users:delete'), validateUserId, handleValidationErrors, deleteUser);
+
+router.post('/:id/bio/regenerate', aiServiceLimiter, authorize('users:update', 'ai:generate'), validateBioRegeneration, handleValidationErrors, regenerateBio);
+router.post('/:id/bio/select', authorize('users:update'), validateBioDraftSelection, handleValidationErrors, selectBioDraft);
+router.post('/:id/bio/translations/:locale', aiServiceLimiter, authorize('users:update', 'ai:generate'), validateBioTranslation, handleValidationErrors, upsertBioTranslation);
+router.post('/:id/bio/feedback', authorize('bios:feedback'), validateBioFeedback, handleValidationErrors, submitBioFeedback);
+
+// Bio revision history
+router.get('/:id/bio/revisions', authorize('users:read'), validateBioRevisionList, handleValidationErrors, getBioRevisions);
+router.get('/:id/bio/revisions/diff', authorize('users:read'), validateBioRevisionDiff, handleValidationErrors, diffBioRevisions);
+router.post('/:id/bio/revisions/:revision/revert', authorize('users:update'), validateBioRevisionRevert, handleValidationErrors, revertBioRevision);
 
 module.exports = router;
@@ -0,0 +1,23 @@
+require('dotenv').config();
+
+const connectDB = require('../config/database');
+const logger = require('../config/logger');
+const bioJobQueue = require('../services/bioJobQueue');
+
+// Standalone bio job worker for deployments that run the API with BIO_WORKER_ENABLED=false
+const startWorker = async () => {
+  await connectDB();
+  bioJobQueue.start();
+  logger.info('Bio worker running. Press Ctrl+C to stop.');
+};
+
+const shutdown = (signal) => {
+  logger.info(`${signal} received. Stopping bio worker...`);
+  bioJobQueue.stop();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+startWorker();
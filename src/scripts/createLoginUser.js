@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const Role = require('../models/Role');
+const RefreshToken = require('../models/RefreshToken');
+const logger = require('../config/logger');
+const { PASSWORD_MIN_LENGTH, PASSWORD_MAX_LENGTH } = require('../config/auth');
+
+// Creates a user who can log in, or sets the password of an existing one. The user API requires
+// a login, so this is how the first account is made:
+//   USER_PASSWORD=... node src/scripts/createLoginUser.js admin@example.com "Jane Admin" ADMIN
+// The password is read from the environment to keep it out of the shell history.
+const [email, name = 'Administrator', roleName = 'ADMIN'] = process.argv.slice(2);
+const password = process.env.USER_PASSWORD;
+
+const createLoginUser = async () => {
+  try {
+    if (!email || !password) {
+      throw new Error('Usage: USER_PASSWORD=<password> node src/scripts/createLoginUser.js <email> [name] [role]');
+    }
+    if (password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+      throw new Error(`Password must be between ${PASSWORD_MIN_LENGTH} and ${PASSWORD_MAX_LENGTH} characters`);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/node-ai-integration');
+
+    let user = await User.findOne({ email: email.toLowerCase() });
+    if (user) {
+      user.password = password;
+      await user.save();
+      await RefreshToken.revokeForUser(user._id, 'password-change');
+      logger.info(`Password set for existing user: ${user.email}; existing sessions revoked`);
+    } else {
+      const role = await Role.findOne({ name: roleName });
+      if (!role) {
+        throw new Error(`Role ${roleName} not found; run src/scripts/initializeRoles.js first`);
+      }
+
+      user = await User.create({ name, email, role: role._id, password });
+      logger.info(`User created: ${user.email} (${role.name})`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error creating login user:', error.message);
+    process.exit(1);
+  }
+};
+
+createLoginUser();
@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 require('dotenv').config();
 
 const Role = require('../models/Role');
+const PromptTemplate = require('../models/PromptTemplate');
 const logger = require('../config/logger');
 
 // Connect to MongoDB
@@ -22,6 +23,9 @@ const initializeRoles = async () => {
     logger.info('Initializing default roles...');
     await Role.initializeDefaultRoles();
     
+    logger.info('Initializing default prompt template...');
+    await PromptTemplate.initializeDefaultTemplate();
+
     const roles = await Role.find({});
     logger.info('Current roles in database:');
     roles.forEach(role => {
@@ -1,123 +1,420 @@
-const OpenAI = require('openai');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const PromptTemplate = require('../models/PromptTemplate');
 const logger = require('../config/logger');
+const { loadProviderConfig } = require('../config/aiProviders');
+const { createProvider } = require('./providers');
+const CircuitBreaker = require('./circuitBreaker');
+const ProviderHealth = require('./providerHealth');
+const { recordUsage } = require('./usageTracker');
+const GenerationCache = require('./generationCache');
+const BioGuardrails = require('./bioGuardrails');
+const { LENGTHS, normalizeBioOptions, bioOptionVariables } = require('../config/bioOptions');
+const {
+  PROFILE_SCHEMA,
+  PROFILE_SCHEMA_NAME,
+  PROFILE_INSTRUCTIONS,
+  PROFILE_EXTRA_TOKENS,
+  parseProfile
+} = require('../config/profileSchema');
+const {
+  USER_QUERY_SCHEMA,
+  USER_QUERY_SCHEMA_NAME,
+  buildUserQueryInstructions,
+  parseUserQuery
+} = require('../config/userQuerySchema');
+const { localeLanguage } = require('../config/locales');
+
+// Sampling temperatures used for successive bio candidates
+const CANDIDATE_TEMPERATURES = [0.7, 0.95, 0.5, 1.1, 0.85];
+
+// Requirement lines appended for option variables a template does not reference itself
+const OPTION_REQUIREMENTS = {
+  tone: value => `Tone: ${value}`,
+  length: value => `Length: ${value}`,
+  pointOfView: value => `Write in ${value}`,
+  language: value => `Write in ${value}`,
+  highlights: value => `Mention: ${value}`
+};
 
 class AIService {
   constructor() {
-    // Initialize OpenAI client only if API key is provided
-    if (process.env.OPENAI_API_KEY) {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
-    } else {
-      this.openai = null;
-      logger.warn('OpenAI API key not provided. OpenAI features will be disabled.');
-    }
-    
-    // Initialize Gemini client only if API key is provided
-    if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here') {
-      this.gemini = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-      this.geminiModel = this.gemini.getGenerativeModel({ model: 'gemini-2.5-flash' });
+    this.providers = [];
+    this.breakers = new Map();
+    this.health = new Map();
+    this.healthCheckIntervalMs = Number(process.env.AI_HEALTH_CHECK_INTERVAL_MS) || 60000;
+    this.healthCheckTimeoutMs = Number(process.env.AI_HEALTH_CHECK_TIMEOUT_MS) || 10000;
+    this.healthTimer = null;
+    this.cache = new GenerationCache();
+    this.guardrails = new BioGuardrails();
+
+    for (const definition of loadProviderConfig()) {
+      const provider = createProvider(definition);
+
+      if (!provider.isConfigured()) {
+        logger.warn(`AI provider "${provider.name}" (${provider.type}) is not configured and will be disabled.`);
+        continue;
+      }
+
+      this.providers.push(provider);
+      this.breakers.set(provider.name, new CircuitBreaker(provider.name, definition.breaker));
+      this.health.set(provider.name, new ProviderHealth(provider.name, definition.health));
+    }
+
+    // Fallback chain: lowest priority value is tried first
+    this.providers.sort((a, b) => a.priority - b.priority);
+
+    if (this.providers.length > 0) {
+      logger.info(`AI provider chain: ${this.providers.map(p => `${p.name} (${p.model})`).join(' -> ')}`);
     } else {
-      this.gemini = null;
-      this.geminiModel = null;
-      logger.warn('Gemini API key not provided. Gemini features will be disabled.');
+      logger.warn('No AI provider configured. Bio generation will be unavailable.');
     }
+  }
 
+  /**
+   * Look up a registered provider by name
+   * @param {string} name - Provider name
+   * @returns {BaseProvider|undefined} Provider instance
+   */
+  getProvider(name) {
+    return this.providers.find(provider => provider.name === name);
   }
 
   /**
-   * Generate professional bio using OpenAI
-   * @param {string} name - User's name
-   * @param {string} role - User's role/profession
-   * @returns {Promise<string>} Generated bio
+   * Get the circuit breaker guarding a provider
+   * @param {string} name - Provider name
+   * @returns {CircuitBreaker|undefined} Circuit breaker
+   */
+  getBreaker(name) {
+    return this.breakers.get(name);
+  }
+
+  /**
+   * Close a provider's circuit breaker by hand
+   * @param {string} name - Provider name
+   * @returns {Object|null} Breaker status after the reset, or null if the provider is unknown
+   */
+  resetBreaker(name) {
+    const breaker = this.breakers.get(name);
+    if (!breaker) {
+      return null;
+    }
+    breaker.reset();
+    logger.info(`Circuit breaker for ${name} manually reset`);
+    return breaker.getStatus();
+  }
+
+  /**
+   * Providers in the order to try them: the configured chain, with providers the health
+   * probes found unhealthy moved to the end (keeping their relative order)
+   * @param {string} [preferred] - Provider to try first unless it is unhealthy (an experiment variant's)
+   * @returns {Array<BaseProvider>} Provider chain
+   */
+  getChain(preferred = null) {
+    const healthy = this.providers.filter(provider => !this.health.get(provider.name).isUnhealthy());
+    const unhealthy = this.providers.filter(provider => this.health.get(provider.name).isUnhealthy());
+
+    const first = healthy.findIndex(provider => provider.name === preferred);
+    if (first > 0) {
+      healthy.unshift(...healthy.splice(first, 1));
+    }
+    return [...healthy, ...unhealthy];
+  }
+
+  /**
+   * Probe one provider and record the result
+   * @param {BaseProvider} provider - Provider to probe
+   * @returns {Promise<Object>} Health status after the probe
    */
-  async generateBioWithOpenAI(name, role) {
+  async probeProvider(provider) {
+    const health = this.health.get(provider.name);
+    const startedAt = Date.now();
+    let timeout;
+
     try {
-      if (!this.openai) {
-        throw new Error('OpenAI client not initialized');
+      await Promise.race([
+        provider.healthCheck(),
+        new Promise((resolve, reject) => {
+          timeout = setTimeout(() => reject(Object.assign(
+            new Error(`Health check timed out after ${this.healthCheckTimeoutMs}ms`),
+            { code: 'timeout' }
+          )), this.healthCheckTimeoutMs);
+        })
+      ]);
+      health.record({ ok: true, latencyMs: Date.now() - startedAt });
+    } catch (error) {
+      const wasUnhealthy = health.isUnhealthy();
+      health.record({ ok: false, latencyMs: Date.now() - startedAt, error });
+      if (!wasUnhealthy) {
+        logger.warn(`Health check for AI provider ${provider.name} failed: ${error.message}`);
       }
+    } finally {
+      clearTimeout(timeout);
+    }
 
-      const prompt = `Generate a comprehensive, professional bio (100-200 words) for a person named ${name} who works as a ${role}. The bio should be engaging, professional, and highlight their expertise, experience, and passion for their field. Include details about their skills, approach to work, and commitment to excellence. Do not include any personal information beyond what's provided.`;
-
-      const completion = await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a professional bio writer. Create detailed, engaging professional bios between 100-200 words that highlight expertise, experience, and passion without being overly promotional. Focus on professional qualities, skills, and work approach.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 250,
-        temperature: 0.7,
-        top_p: 1,
-        frequency_penalty: 0,
-        presence_penalty: 0
-      });
+    return health.getStatus();
+  }
 
-      const bio = completion.choices[0].message.content.trim();
-      logger.info(`Generated bio using OpenAI for ${name} (${role})`);
-      return bio;
+  /**
+   * Probe every provider in parallel
+   * @returns {Promise<void>}
+   */
+  async probeAll() {
+    await Promise.all(this.providers.map(provider => this.probeProvider(provider)));
+  }
+
+  /**
+   * Start the background health probes: one right away, then every healthCheckIntervalMs
+   */
+  startHealthChecks() {
+    if (this.healthTimer || this.providers.length === 0) {
+      return;
+    }
+
+    const run = () => this.probeAll().catch(error => logger.error('AI provider health checks failed:', error.message));
+    this.healthTimer = setInterval(run, this.healthCheckIntervalMs);
+    this.healthTimer.unref();
+    run();
+
+    logger.info(`AI provider health checks started (every ${this.healthCheckIntervalMs}ms)`);
+  }
+
+  /**
+   * Stop the background health probes
+   */
+  stopHealthChecks() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+      logger.info('AI provider health checks stopped');
+    }
+  }
+
+  /**
+   * Throw if no provider is available
+   */
+  ensureConfigured() {
+    if (this.providers.length === 0) {
+      logger.error('No AI service configured');
+      throw new Error('No AI service is configured. Please set OPENAI_API_KEY, GEMINI_API_KEY, LOCAL_LLM_BASE_URL, AI_PROVIDERS or AI_MOCK_ENABLED=true.');
+    }
+  }
 
+  /**
+   * Build the error raised when every provider in the chain failed
+   * @param {Array<{provider: string, error: Error}>} failures - Failures in chain order
+   * @returns {Error} Error to throw
+   */
+  chainFailure(failures) {
+    logger.error('All AI providers failed:', {
+      failures: failures.map(({ provider, error }) => ({ provider, error: error.message }))
+    });
+
+    // A single provider keeps its original error so status codes reach the error handler
+    if (failures.length === 1) {
+      return failures[0].error;
+    }
+
+    const summary = failures.map(({ provider, error }) => `${provider} (${error.message})`).join(', ');
+    return new Error(`Bio generation failed: ${summary} all failed`);
+  }
+
+  /**
+   * Find the prompt template for a role
+   * Uses the given template (an experiment variant's), then the role's override, then the
+   * database default, then the built-in template.
+   * @param {string} role - Role name
+   * @param {ObjectId} [templateId] - Template to use regardless of role, even if inactive
+   * @returns {Promise<Object>} Template text, identity and role description
+   */
+  async resolveBioTemplate(role, templateId = null) {
+    const builtIn = { ...PromptTemplate.BUILT_IN_TEMPLATE, id: null, version: 0, roleDescription: '' };
+
+    // Skip the lookup instead of waiting on mongoose's command buffer when the DB is down
+    if (mongoose.connection.readyState !== 1) {
+      return builtIn;
+    }
+
+    try {
+      const roleInfo = await Role.findOne({ name: role });
+      const template = (templateId && await PromptTemplate.findById(templateId))
+        || await PromptTemplate.findForRole(roleInfo ? roleInfo._id : null);
+
+      if (!template) {
+        return { ...builtIn, roleDescription: roleInfo ? roleInfo.description : '' };
+      }
+
+      return {
+        id: template._id,
+        name: template.name,
+        version: template.version,
+        system: template.system,
+        prompt: template.prompt,
+        roleDescription: roleInfo ? roleInfo.description : ''
+      };
     } catch (error) {
-      logger.error('OpenAI bio generation failed:', {
-        message: error.message,
-        status: error.status,
-        code: error.code,
-        type: error.type,
-        stack: error.stack
-      });
-      // Re-throw the original error to preserve error details for retry logic
-      throw error;
+      logger.warn('Prompt template lookup failed, using built-in template:', error.message);
+      return builtIn;
     }
   }
 
   /**
-   * Generate professional bio using Google Gemini
+   * Build the bio generation request sent to every provider
    * @param {string} name - User's name
    * @param {string} role - User's role/profession
-   * @returns {Promise<string>} Generated bio
+   * @param {Object} [options] - Bio generation options (tone, length, pointOfView, language, highlights)
+   * @param {Object} [context] - Request context: usage accounting ({ userId, operation }),
+   *   cache: false to bypass the generation cache, and experiment: the A/B variant to generate
+   *   with ({ id, variant, provider, template, params })
+   * @returns {Promise<Object>} Generation request
    */
-  async generateBioWithGemini(name, role) {
-    if (!this.geminiModel) {
-      throw new Error('Gemini API is not configured');
+  async buildBioRequest(name, role, options = {}, context = {}) {
+    const bioOptions = normalizeBioOptions(options);
+    const experiment = context.experiment || null;
+    const template = await this.resolveBioTemplate(role, experiment && experiment.template);
+    const optionVariables = bioOptionVariables(bioOptions);
+    const variables = { name, role, roleDescription: template.roleDescription, ...optionVariables };
+
+    // Templates that ignore an option still honour it through an explicit requirement
+    const referenced = PromptTemplate.findVariables(`${template.system} ${template.prompt}`);
+    const requirements = Object.entries(optionVariables)
+      .filter(([variable, value]) => value && !referenced.includes(variable))
+      .map(([variable, value]) => `- ${OPTION_REQUIREMENTS[variable](value)}`);
+
+    let prompt = PromptTemplate.renderText(template.prompt, variables);
+    if (requirements.length > 0) {
+      prompt += `\n\nRequirements:\n${requirements.join('\n')}`;
     }
 
-    try {
-      const prompt = `Generate a professional bio for ${name} who is a ${role}. 
-      
-      Requirements:
-      - Write in third person
-      - Length: 100-200 words
-      - Professional tone
-      - Include expertise, experience, and key qualities
-      - Focus on professional achievements and skills
-      - Make it engaging and well-structured
-      
-      Do not include any formatting, just return the bio text.`;
-
-      const result = await this.geminiModel.generateContent(prompt);
-      const response = await result.response;
-      const bio = response.text().trim();
-      
-      logger.info(`Generated bio using Gemini for ${name} (${role})`);
-      return bio;
+    return {
+      variables,
+      options: { ...bioOptions, maxTokens: LENGTHS[bioOptions.length].maxTokens },
+      template: { id: template.id, version: template.version },
+      system: PromptTemplate.renderText(template.system, variables),
+      prompt,
+      ...(experiment && experiment.params && { params: experiment.params }),
+      context
+    };
+  }
 
-    } catch (error) {
-      logger.error('Gemini bio generation failed:', {
-        message: error.message,
-        status: error.status,
-        code: error.code,
-        type: error.type,
-        stack: error.stack
-      });
-      // Re-throw the original error to preserve error details for retry logic
-      throw error;
+  /**
+   * Build a structured profile request: the bio request plus a JSON response format
+   * @param {string} name - User's name
+   * @param {string} role - User's role/profession
+   * @param {Object} [options] - Bio generation options; they shape the long bio
+   * @param {Object} [context] - Request context ({ userId, operation, cache })
+   * @returns {Promise<Object>} Generation request
+   */
+  async buildProfileRequest(name, role, options = {}, context = {}) {
+    const request = await this.buildBioRequest(name, role, options, { operation: 'profile', ...context });
+
+    return {
+      ...request,
+      options: { ...request.options, maxTokens: request.options.maxTokens + PROFILE_EXTRA_TOKENS },
+      prompt: `${request.prompt}\n\n${PROFILE_INSTRUCTIONS}`,
+      responseFormat: { name: PROFILE_SCHEMA_NAME, schema: PROFILE_SCHEMA }
+    };
+  }
+
+  /**
+   * Build a request that translates an existing bio into another locale
+   * @param {string} text - Bio to translate
+   * @param {string} locale - Target locale
+   * @param {Object} variables - name and role of the user, for logging and accounting
+   * @param {Object} [context] - Request context ({ userId, operation, cache })
+   * @returns {Object} Generation request
+   */
+  buildTranslationRequest(text, locale, { name, role }, context = {}) {
+    const language = localeLanguage(locale);
+
+    return {
+      variables: { name, role, language },
+      // Roughly two characters per token leaves room for languages that tokenize less efficiently
+      options: { maxTokens: Math.ceil(text.length / 2) + 100 },
+      template: { id: null, version: 0 },
+      system: 'You are a professional translator of profile texts.',
+      prompt: `Translate the following professional bio into ${language}. Keep names, job titles and facts unchanged, keep the tone and point of view, and return only the translated bio.\n\n${text}`,
+      translation: { locale, language, text },
+      context: { operation: 'bio-translate', ...context }
+    };
+  }
+
+  /**
+   * Build a request that turns a natural-language question into a users list filter
+   * @param {string} query - The question, e.g. "inactive developers created in the last 30 days"
+   * @param {Object} [context] - Request context ({ operation, cache })
+   * @returns {Promise<Object>} Generation request
+   */
+  async buildUserQueryRequest(query, context = {}) {
+    const roles = (await Role.find({ isActive: true }).select('name').lean()).map(role => role.name).sort();
+    const today = new Date().toISOString().slice(0, 10);
+
+    return {
+      variables: { query },
+      options: { maxTokens: 300 },
+      params: { temperature: 0 },
+      template: { id: null, version: 0 },
+      system: 'You translate requests about a user directory into search filters. You only ever return the filter.',
+      prompt: `${buildUserQueryInstructions({ roles, today })}\n\nRequest: ${query}`,
+      responseFormat: { name: USER_QUERY_SCHEMA_NAME, schema: USER_QUERY_SCHEMA },
+      userQuery: { query, roles, today },
+      description: `user query "${query}"`,
+      context: { operation: 'user-query', ...context }
+    };
+  }
+
+  /**
+   * Label a request for log messages
+   * @param {Object} request - Generation request
+   * @returns {string} The user a bio is for, or the request's own description
+   */
+  describeRequest(request) {
+    return request.description || `${request.variables.name} (${request.variables.role})`;
+  }
+
+  /**
+   * Parse a structured profile and run its text through the guardrails
+   * The long bio gets the full bio checks; the other fields are checked for contact details
+   * and blocked terms.
+   * @param {string} text - Raw model output
+   * @param {Object} [options] - Normalized bio options
+   * @returns {{output: ?Object, violations: Array<Object>}} Profile and failed checks
+   */
+  checkProfile(text, options = {}) {
+    const { profile, errors } = parseProfile(text);
+
+    if (errors.length > 0) {
+      return { output: null, violations: errors.map(message => ({ check: 'schema', message })) };
     }
+
+    const { bio, violations } = this.guardrails.check(profile.longBio, options);
+    const summary = [profile.headline, profile.shortBio, ...profile.skills, ...profile.keywords].join('\n');
+    violations.push(...this.guardrails.checkContent(summary, 'Profile'));
+
+    return { output: { ...profile, longBio: bio }, violations };
+  }
+
+  /**
+   * Validate generated text for a request: a structured profile, a translation or a plain bio
+   * @param {string} text - Raw model output
+   * @param {Object} request - Generation request
+   * @returns {{output: *, violations: Array<Object>}} Checked output and failed checks
+   */
+  checkOutput(text, request) {
+    if (request.userQuery) {
+      const { filter, errors } = parseUserQuery(text, request.userQuery);
+      return { output: filter, violations: errors.map(message => ({ check: 'schema', message })) };
+    }
+    if (request.responseFormat) {
+      return this.checkProfile(text, request.options);
+    }
+    if (request.translation) {
+      const { bio, violations } = this.guardrails.checkTranslation(text);
+      return { output: bio, violations };
+    }
+
+    const { bio, violations } = this.guardrails.check(text, request.options);
+    return { output: bio, violations };
   }
 
   /**
@@ -130,25 +427,40 @@ class AIService {
   }
 
   /**
-   * Generate bio with OpenAI using retry mechanism
-   * @param {string} name - User's name
-   * @param {string} role - User's role/profession
+   * Generate bio with a single provider using retry mechanism
+   * @param {BaseProvider} provider - Provider to call
+   * @param {Object} request - Generation request from buildBioRequest
    * @param {number} maxRetries - Maximum number of retry attempts
    * @param {number} baseDelay - Base delay in milliseconds for exponential backoff
    * @returns {Promise<string>} Generated bio
    */
-  async generateBioWithRetry(name, role, maxRetries = 3, baseDelay = 1000) {
+  async generateBioWithRetry(provider, request, maxRetries = provider.retries, baseDelay = provider.retryDelayMs) {
+    const label = this.describeRequest(request);
+    const breaker = this.breakers.get(provider.name);
     let lastError;
-    
+
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      // An open circuit skips the provider without paying for retries
+      if (!breaker.allowRequest()) {
+        logger.warn(`Skipping ${provider.name}: circuit breaker is ${breaker.state}`);
+        throw lastError || breaker.createOpenError();
+      }
+
+      const startedAt = Date.now();
       try {
-        logger.info(`OpenAI bio generation attempt ${attempt}/${maxRetries} for ${name} (${role})`);
-        return await this.generateBioWithOpenAI(name, role);
+        logger.info(`${provider.name} bio generation attempt ${attempt}/${maxRetries} for ${label}`);
+        const { text, usage } = await provider.generate(request);
+        recordUsage({ provider, request, usage, latencyMs: Date.now() - startedAt });
+        breaker.recordSuccess();
+        logger.info(`Generated bio using ${provider.name} (${provider.model}) for ${label}`);
+        return text;
       } catch (error) {
         lastError = error;
-        
+        recordUsage({ provider, request, usage: null, latencyMs: Date.now() - startedAt, error });
+        breaker.recordFailure(error);
+
         // Log detailed error information
-        logger.error(`OpenAI bio generation attempt ${attempt} failed:`, {
+        logger.error(`${provider.name} bio generation attempt ${attempt} failed:`, {
           message: error.message,
           status: error.status,
           code: error.code,
@@ -162,6 +474,17 @@ class AIService {
           throw error;
         }
 
+        // A rejected request (e.g. a parameter the model does not support) fails the same way every time
+        if (error.status === 400 || error.type === 'invalid_request_error') {
+          logger.error('Invalid request error - not retrying');
+          throw error;
+        }
+
+        if (breaker.state === CircuitBreaker.STATES.OPEN) {
+          logger.warn(`Circuit breaker for ${provider.name} opened - not retrying`);
+          break;
+        }
+
         // If this isn't the last attempt, wait before retrying
         if (attempt < maxRetries) {
           const delay = baseDelay * Math.pow(2, attempt - 1); // Exponential backoff
@@ -172,56 +495,297 @@ class AIService {
     }
 
     // If all retries failed, throw the last error
-    logger.error(`All ${maxRetries} OpenAI bio generation attempts failed`);
+    logger.error(`${provider.name} bio generation failed, giving up`);
     throw lastError;
   }
 
   /**
-   * Main method to generate bio using OpenAI with retry mechanism and Gemini fallback
-   * @param {string} name - User's name
-   * @param {string} role - User's role/profession
-   * @returns {Promise<string>} Generated bio
+   * Generate with a single provider and run the output through its checks
+   * Rejected output (a bio failing the guardrails, or a malformed structured profile) is
+   * regenerated up to guardrails.maxRegenerations times before the provider is given up on,
+   * so the chain can fall back to the next one.
+   * @param {BaseProvider} provider - Provider to call
+   * @param {Object} request - Generation request from buildBioRequest or buildProfileRequest
+   * @returns {Promise<string|Object>} Cleaned bio or profile that passed every check
    */
-  async generateBio(name, role) {
-    // Try OpenAI first if configured
-    if (process.env.OPENAI_API_KEY && this.openai) {
+  async generateCheckedOutput(provider, request) {
+    const label = this.describeRequest(request);
+    const subject = request.userQuery ? 'filter' : request.responseFormat ? 'profile' : 'bio';
+    const attempts = this.guardrails.maxRegenerations + 1;
+    let violations = [];
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const text = await this.generateBioWithRetry(provider, request);
+      const result = this.checkOutput(text, request);
+
+      if (result.violations.length === 0) {
+        return result.output;
+      }
+
+      violations = result.violations;
+      logger.warn(`${provider.name} ${subject} for ${label} rejected by output checks (attempt ${attempt}/${attempts})`, {
+        reasons: violations.map(violation => violation.message)
+      });
+    }
+
+    throw this.guardrails.createViolationError(provider.name, violations, subject);
+  }
+
+  /**
+   * Walk a provider chain until one provider produces checked output
+   * @param {Object} request - Generation request from buildBioRequest or buildProfileRequest
+   * @param {Array<BaseProvider>} [chain] - Providers in the order to try them; defaults to the
+   *   current chain, led by the request's experiment provider if it has one
+   * @returns {Promise<{output: string|Object, provider: string, model: string, template: Object, cached: boolean}>} Output and its source
+   */
+  async runChain(request, chain = this.getChain(request.context && request.context.experiment && request.context.experiment.provider)) {
+    const failures = [];
+
+    for (const provider of chain) {
+      const cached = await this.cache.get(provider, request);
+      if (cached) {
+        logger.info(`Using cached ${provider.name} output for ${this.describeRequest(request)}`);
+        return { output: cached, provider: provider.name, model: provider.model, template: request.template, cached: true };
+      }
+
       try {
-        logger.info('Attempting bio generation with OpenAI');
-        return await this.generateBioWithRetry(name, role);
+        logger.info(`Attempting bio generation with ${provider.name}`);
+        const output = await this.generateCheckedOutput(provider, request);
+        this.cache.set(provider, request, output);
+        return { output, provider: provider.name, model: provider.model, template: request.template, cached: false };
       } catch (error) {
-        logger.warn('OpenAI bio generation failed after retries, attempting Gemini fallback:', {
+        failures.push({ provider: provider.name, error });
+        logger.warn(`${provider.name} bio generation failed, moving to next provider:`, {
           error: error.message
         });
-        
-        // If OpenAI fails completely, try Gemini as fallback
-        if (this.geminiModel) {
-          try {
-            logger.info('Falling back to Gemini for bio generation');
-            return await this.generateBioWithGemini(name, role);
-          } catch (geminiError) {
-            logger.error('Both OpenAI and Gemini failed:', {
-              openaiError: error.message,
-              geminiError: geminiError.message
-            });
-            throw new Error(`Bio generation failed: OpenAI (${error.message}) and Gemini (${geminiError.message}) both failed`);
+      }
+    }
+
+    throw this.chainFailure(failures);
+  }
+
+  /**
+   * Walk a provider chain until one provider produces a bio
+   * @param {Object} request - Generation request from buildBioRequest
+   * @param {Array<BaseProvider>} [chain] - Providers in the order to try them (see runChain for the default)
+   * @returns {Promise<{bio: string, provider: string, model: string, template: Object, cached: boolean}>} Bio and its source
+   */
+  async generateWithChain(request, chain) {
+    const { output, ...source } = await this.runChain(request, chain);
+    return { bio: output, ...source };
+  }
+
+  /**
+   * Generate a structured profile (headline, short and long bio, skills, keywords)
+   * @param {string} name - User's name
+   * @param {string} role - User's role/profession
+   * @param {Object} [options] - Bio generation options
+   * @param {Object} [context] - Request context ({ userId, operation, cache })
+   * @returns {Promise<{profile: Object, provider: string, model: string, template: Object, cached: boolean}>} Profile and its source
+   */
+  async generateProfile(name, role, options = {}, context = {}) {
+    this.ensureConfigured();
+
+    const request = await this.buildProfileRequest(name, role, options, context);
+    const { output, ...source } = await this.runChain(request);
+
+    logger.info(`Generated structured profile for ${name} (${role}) using ${source.provider}`);
+    return { profile: output, ...source };
+  }
+
+  /**
+   * Turn a natural-language question into a users list filter, walking the configured provider chain
+   * The filter only ever holds known fields with plain string values (see config/userQuerySchema).
+   * @param {string} query - The question
+   * @param {Object} [context] - Request context ({ cache })
+   * @returns {Promise<{filter: Object, provider: string, model: string, cached: boolean}>} Filter and its source
+   */
+  async interpretUserQuery(query, context = {}) {
+    this.ensureConfigured();
+
+    const request = await this.buildUserQueryRequest(query, context);
+    const { output, provider, model, cached } = await this.runChain(request);
+
+    logger.info(`Interpreted user query "${query}" using ${provider}`, { filter: output });
+    return { filter: output, provider, model, cached };
+  }
+
+  /**
+   * Translate a bio into another locale, walking the configured provider chain
+   * @param {string} text - Bio to translate
+   * @param {string} locale - Target locale
+   * @param {Object} variables - name and role of the user
+   * @param {Object} [context] - Request context ({ userId, operation, cache })
+   * @returns {Promise<{bio: string, provider: string, model: string, template: Object, cached: boolean}>} Translated bio and its source
+   */
+  async translateBio(text, locale, variables, context = {}) {
+    this.ensureConfigured();
+
+    const request = this.buildTranslationRequest(text, locale, variables, context);
+    const result = await this.generateWithChain(request);
+
+    logger.info(`Translated bio for ${variables.name} into ${locale} using ${result.provider}`);
+    return result;
+  }
+
+  /**
+   * Main method to generate bio, walking the configured provider chain
+   * @param {string} name - User's name
+   * @param {string} role - User's role/profession
+   * @param {Object} [options] - Bio generation options
+   * @param {Object} [context] - Request context ({ userId, operation, cache })
+   * @returns {Promise<string>} Generated bio
+   */
+  async generateBio(name, role, options = {}, context = {}) {
+    this.ensureConfigured();
+
+    const request = await this.buildBioRequest(name, role, options, context);
+    const { bio } = await this.generateWithChain(request);
+    return bio;
+  }
+
+  /**
+   * Generate several alternative bios
+   * Candidate i starts the chain at provider i (wrapping around, so fallback still applies)
+   * and uses its own temperature, giving variety across both providers and sampling.
+   * @param {string} name - User's name
+   * @param {string} role - User's role/profession
+   * @param {Object} [options] - Bio generation options
+   * @param {number} [count] - Number of candidates
+   * @param {Object} [context] - Request context ({ userId, operation, cache })
+   * @returns {Promise<Array<{bio: string, provider: string, model: string, template: Object, temperature: number}>>} Candidates
+   */
+  async generateBioCandidates(name, role, options = {}, count = 3, context = {}) {
+    this.ensureConfigured();
+
+    const request = await this.buildBioRequest(name, role, options, { operation: 'bio-candidates', ...context });
+
+    const providers = this.getChain();
+    const results = await Promise.allSettled(
+      Array.from({ length: count }, (_, index) => {
+        const offset = index % providers.length;
+        const chain = [...providers.slice(offset), ...providers.slice(0, offset)];
+        const temperature = CANDIDATE_TEMPERATURES[index % CANDIDATE_TEMPERATURES.length];
+
+        return this.generateWithChain({ ...request, params: { ...request.params, temperature } }, chain)
+          .then(candidate => ({ ...candidate, temperature }));
+      })
+    );
+
+    const candidates = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    const failed = results.filter(result => result.status === 'rejected');
+
+    if (candidates.length === 0) {
+      throw failed[0].reason;
+    }
+    if (failed.length > 0) {
+      logger.warn(`${failed.length}/${count} bio candidates failed for ${name} (${role}):`, {
+        errors: failed.map(result => result.reason.message)
+      });
+    }
+
+    logger.info(`Generated ${candidates.length} bio candidates for ${name} (${role})`);
+    return candidates;
+  }
+
+  /**
+   * Stream bio generation, walking the provider chain
+   * Yields events:
+   * - { type: 'token', provider, text } for each chunk
+   * - { type: 'fallback', from, to, error } when a provider fails and the next one takes over;
+   *   tokens already emitted by the failed provider should be discarded
+   * - { type: 'done', provider, model, bio, cached } once a provider finishes; bio is the
+   *   cleaned text that passed the guardrails and a cached bio arrives as a single token
+   * @param {string} name - User's name
+   * @param {string} role - User's role/profession
+   * @param {Object} [options] - Bio generation options
+   * @param {Object} [context] - Request context ({ userId, operation, cache })
+   * @returns {AsyncGenerator<Object>} Stream events
+   */
+  async *streamBio(name, role, options = {}, context = {}) {
+    this.ensureConfigured();
+
+    const request = await this.buildBioRequest(name, role, options, { operation: 'bio-stream', ...context });
+    const providers = this.getChain();
+    const failures = [];
+
+    for (let index = 0; index < providers.length; index++) {
+      const provider = providers[index];
+      const breaker = this.breakers.get(provider.name);
+      let bio = '';
+
+      const cached = await this.cache.get(provider, request);
+      if (cached) {
+        logger.info(`Using cached ${provider.name} bio for ${name} (${role})`);
+        yield { type: 'token', provider: provider.name, text: cached };
+        yield { type: 'done', provider: provider.name, model: provider.model, bio: cached.trim(), cached: true };
+        return;
+      }
+
+      try {
+        if (!breaker.allowRequest()) {
+          throw breaker.createOpenError();
+        }
+
+        logger.info(`Streaming bio generation with ${provider.name} for ${name} (${role})`);
+
+        const startedAt = Date.now();
+        let usage = null;
+        let outcome = 'abandoned';
+        try {
+          for await (const chunk of provider.stream(request)) {
+            if (chunk.usage) {
+              usage = chunk.usage;
+            }
+            if (chunk.text) {
+              bio += chunk.text;
+              yield { type: 'token', provider: provider.name, text: chunk.text };
+            }
           }
-        } else {
-          logger.error('OpenAI failed and Gemini not configured');
+          outcome = 'success';
+          recordUsage({ provider, request, usage, latencyMs: Date.now() - startedAt });
+        } catch (error) {
+          outcome = 'failure';
+          recordUsage({ provider, request, usage, latencyMs: Date.now() - startedAt, error });
+          breaker.recordFailure(error);
           throw error;
+        } finally {
+          // The consumer stopped reading (client disconnected) before the provider finished
+          if (outcome === 'abandoned') {
+            breaker.release();
+          }
+        }
+        breaker.recordSuccess();
+
+        // Tokens have already gone out, so a rejected stream falls back instead of regenerating
+        const { bio: checkedBio, violations } = this.guardrails.check(bio, request.options);
+        if (violations.length > 0) {
+          logger.warn(`${provider.name} streamed bio for ${name} (${role}) rejected by guardrails`, {
+            reasons: violations.map(violation => violation.message)
+          });
+          throw this.guardrails.createViolationError(provider.name, violations);
+        }
+        this.cache.set(provider, request, checkedBio);
+
+        logger.info(`Streamed bio using ${provider.name} (${provider.model}) for ${name} (${role})`);
+        yield { type: 'done', provider: provider.name, model: provider.model, bio: checkedBio, cached: false };
+        return;
+      } catch (error) {
+        failures.push({ provider: provider.name, error });
+        logger.error(`${provider.name} bio streaming failed after ${bio.length} characters:`, {
+          message: error.message,
+          status: error.status,
+          code: error.code
+        });
+
+        const next = providers[index + 1];
+        if (next) {
+          yield { type: 'fallback', from: provider.name, to: next.name, error: error.message };
         }
       }
     }
-    
-    // If OpenAI is not configured, try Gemini directly
-    if (this.geminiModel) {
-      logger.info('OpenAI not configured, using Gemini for bio generation');
-      return await this.generateBioWithGemini(name, role);
-    }
-    
-    // If neither service is configured
-    const error = new Error('No AI service is configured. Please set either OPENAI_API_KEY or GEMINI_API_KEY environment variable.');
-    logger.error('No AI service configured');
-    throw error;
+
+    throw this.chainFailure(failures);
   }
 
   /**
@@ -229,18 +793,26 @@ class AIService {
    * @returns {Object} Configuration status
    */
   getServiceStatus() {
-    const openaiConfigured = !!(process.env.OPENAI_API_KEY && this.openai);
-    const geminiConfigured = !!(process.env.GEMINI_API_KEY && 
-                               process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here' && 
-                               this.geminiModel);
-    
     return {
-      openai: openaiConfigured,
-      gemini: geminiConfigured,
-      hasAnyService: openaiConfigured || geminiConfigured,
-      fallback: geminiConfigured // Gemini serves as fallback when OpenAI fails
+      providers: this.providers.map(provider => ({
+        ...provider.getStatus(),
+        breaker: this.breakers.get(provider.name).getStatus(),
+        health: this.health.get(provider.name).getStatus()
+      })),
+      chain: this.providers.map(provider => provider.name),
+      effectiveChain: this.getChain().map(provider => provider.name),
+      hasAnyService: this.providers.length > 0,
+      hasHealthyService: this.providers.some(provider => !this.health.get(provider.name).isUnhealthy()),
+      healthChecks: {
+        running: Boolean(this.healthTimer),
+        intervalMs: this.healthCheckIntervalMs,
+        timeoutMs: this.healthCheckTimeoutMs
+      },
+      fallback: this.providers.length > 1,
+      cache: this.cache.getStatus(),
+      guardrails: this.guardrails.getStatus()
     };
   }
 }
 
-module.exports = new AIService();
\ No newline at end of file
+module.exports = new AIService();
@@ -0,0 +1,202 @@
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const idOf = value => (value && value._id ? value._id : value);
+
+/**
+ * Days audit events are kept; a typo must not silently keep them forever
+ * @returns {number} Days, 0 for no expiry (365 when unset or empty)
+ */
+const readRetentionDays = () => {
+  const raw = process.env.AUDIT_RETENTION_DAYS;
+  if (raw === undefined || raw.trim() === '') {
+    return 365;
+  }
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`AUDIT_RETENTION_DAYS must be a positive integer, or 0 to keep events forever (got "${raw}")`);
+  }
+  return value;
+};
+
+// The fields of each target type that are audited, as plain JSON values. Secrets are left out:
+// a password change shows up as passwordChangedAt, and API key hashes are never recorded.
+const SNAPSHOTS = {
+  User: user => ({
+    name: user.name,
+    email: user.email,
+    role: idOf(user.role),
+    status: user.status,
+    passwordChangedAt: user.passwordChangedAt,
+    bio: user.bio,
+    bioSource: user.bioSource,
+    bioLocked: user.bioLocked,
+    headline: user.headline,
+    shortBio: user.shortBio,
+    skills: user.skills,
+    keywords: user.keywords,
+    // One field per locale, e.g. bios.de-DE
+    ...Object.fromEntries(Array.from(user.bios || [], ([locale, bio]) => [`bios.${locale}`, bio.text]))
+  }),
+  Role: role => ({
+    name: role.name,
+    description: role.description,
+    isActive: role.isActive,
+    permissions: role.permissions
+  }),
+  ApiKey: apiKey => ({
+    name: apiKey.name,
+    description: apiKey.description,
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expiresAt,
+    rateLimits: apiKey.rateLimits,
+    revokedAt: apiKey.revokedAt,
+    revokedReason: apiKey.revokedReason
+  }),
+  PromptTemplate: template => ({
+    name: template.name,
+    role: idOf(template.role),
+    isActive: template.isActive,
+    version: template.version,
+    system: template.system,
+    prompt: template.prompt
+  }),
+  Experiment: experiment => ({
+    name: experiment.name,
+    description: experiment.description,
+    status: experiment.status,
+    variants: experiment.variants,
+    startedAt: experiment.startedAt,
+    endedAt: experiment.endedAt
+  }),
+  BulkRegeneration: operation => ({
+    filters: {
+      status: operation.filters.status || null,
+      role: operation.filters.role || null,
+      search: operation.filters.search || null,
+      skill: operation.filters.skill || null
+    },
+    bioOptions: operation.bioOptions,
+    structured: operation.structured,
+    includeLocked: operation.includeLocked,
+    dryRun: operation.dryRun,
+    status: operation.status,
+    cancelRequested: operation.cancelRequested,
+    matched: operation.totals && operation.totals.matched,
+    queued: operation.totals && operation.totals.queued
+  })
+};
+
+// null, '', [] and {} all mean "not set"
+const isBlank = value => value === null || value === undefined || value === ''
+  || (typeof value === 'object' && Object.keys(value).length === 0);
+
+/**
+ * Durable record of changes to users, roles, API keys, prompt templates, experiments and bulk
+ * regenerations (the AuditEvent collection)
+ * Writing an event never fails the change it describes: the change has already been saved,
+ * so an audit write error is logged instead.
+ */
+class AuditLog {
+  constructor() {
+    // 0 keeps events until they are deleted by hand
+    const retentionDays = readRetentionDays();
+    this.retentionMs = retentionDays > 0 ? retentionDays * DAY_MS : null;
+  }
+
+  /**
+   * Audited fields of a document, taken before or after a change
+   * @param {string} targetType - One of AuditEvent.TARGET_TYPES
+   * @param {?Object} doc - Document
+   * @returns {?Object} Field values as JSON, or null without a document
+   */
+  snapshot(targetType, doc) {
+    if (!doc) {
+      return null;
+    }
+    return JSON.parse(JSON.stringify(SNAPSHOTS[targetType](doc)));
+  }
+
+  /**
+   * Fields that differ between two snapshots
+   * @param {?Object} before - Snapshot before the change (null when created)
+   * @param {?Object} after - Snapshot after the change (null when deleted)
+   * @returns {Array<{field: string, before: *, after: *}>} Changes
+   */
+  diff(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    for (const field of fields) {
+      const from = before && before[field] !== undefined ? before[field] : null;
+      const to = after && after[field] !== undefined ? after[field] : null;
+
+      if ((isBlank(from) && isBlank(to)) || JSON.stringify(from) === JSON.stringify(to)) {
+        continue;
+      }
+      changes.push({ field, before: from, after: to });
+    }
+    return changes;
+  }
+
+  /**
+   * Who made a request
+   * @param {?Object} req - Express request; null for background work
+   * @returns {{actorType: string, actorId: ?ObjectId, actorLabel: ?string}} Actor fields
+   */
+  actorFrom(req) {
+    if (req && req.apiKey) {
+      return { actorType: 'apiKey', actorId: req.apiKey._id, actorLabel: `${req.apiKey.name} (${req.apiKey.prefix})` };
+    }
+    if (req && req.user) {
+      return { actorType: 'user', actorId: req.user._id, actorLabel: req.user.email };
+    }
+    return { actorType: 'system', actorId: null, actorLabel: null };
+  }
+
+  /**
+   * Actor fields for background work
+   * @param {string} name - Process, e.g. bio-worker
+   * @returns {{actorType: string, actorId: null, actorLabel: string}} Actor fields
+   */
+  systemActor(name) {
+    return { actorType: 'system', actorId: null, actorLabel: name };
+  }
+
+  /**
+   * Record a change
+   * @param {?Object} req - Request that made the change; null for background work
+   * @param {Object} event - What changed
+   * @param {string} event.action - e.g. user.update
+   * @param {string} event.targetType - One of AuditEvent.TARGET_TYPES
+   * @param {ObjectId} event.targetId - Changed document
+   * @param {?Object} [event.before] - Snapshot before the change
+   * @param {?Object} [event.after] - Snapshot after the change
+   * @param {Object} [event.metadata] - Action details
+   * @param {Object} [event.actor] - Actor fields, instead of the request's (see actorFrom)
+   * @returns {Promise<?Object>} Stored event, or null if it could not be written
+   */
+  async record(req, { action, targetType, targetId, before = null, after = null, metadata = {}, actor }) {
+    try {
+      return await AuditEvent.create({
+        ...(actor || this.actorFrom(req)),
+        action,
+        targetType,
+        targetId,
+        changes: this.diff(before, after),
+        metadata,
+        requestId: req ? req.id || null : null,
+        ip: req ? req.ip || null : null,
+        expiresAt: this.retentionMs ? new Date(Date.now() + this.retentionMs) : null
+      });
+    } catch (error) {
+      logger.error(`Failed to record audit event ${action} for ${targetType} ${targetId}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new AuditLog();
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const logger = require('../config/logger');
+const { AUTH_CONFIG } = require('../config/auth');
+
+/**
+ * Error carrying the HTTP status the error handler should respond with
+ * @param {string} message - Error message
+ * @param {number} [statusCode] - HTTP status
+ * @returns {Error} Error
+ */
+const authError = (message, statusCode = 401) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Issues and checks credentials: short-lived JWT access tokens and rotating refresh tokens
+ */
+class AuthService {
+  /**
+   * Fingerprint of a refresh token, as stored in the database
+   * @param {string} token - Refresh token
+   * @returns {string} Hash
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Sign an access token for a user
+   * @param {Object} user - User document
+   * @returns {string} JWT
+   */
+  signAccessToken(user) {
+    return jwt.sign({}, AUTH_CONFIG.jwtSecret, {
+      subject: String(user._id),
+      issuer: AUTH_CONFIG.jwtIssuer,
+      expiresIn: AUTH_CONFIG.jwtExpiresIn
+    });
+  }
+
+  /**
+   * Verify an access token
+   * Throws jsonwebtoken's JsonWebTokenError or TokenExpiredError, which the error handler maps to 401.
+   * @param {string} token - JWT
+   * @returns {Object} Token claims
+   */
+  verifyAccessToken(token) {
+    return jwt.verify(token, AUTH_CONFIG.jwtSecret, {
+      issuer: AUTH_CONFIG.jwtIssuer,
+      algorithms: ['HS256']
+    });
+  }
+
+  /**
+   * Create and store a refresh token
+   * @param {Object} user - User document
+   * @param {Object} [session] - Session details
+   * @param {string} [session.family] - Family of the token being rotated (a new login starts one)
+   * @param {string} [session.ip] - Client IP
+   * @param {string} [session.userAgent] - Client user agent
+   * @returns {Promise<{token: string, expiresAt: Date}>} Refresh token
+   */
+  async createRefreshToken(user, { family, ip, userAgent } = {}) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + AUTH_CONFIG.refreshTokenTtlMs);
+
+    await RefreshToken.create({
+      user: user._id,
+      tokenHash: this.hashToken(token),
+      family: family || crypto.randomUUID(),
+      expiresAt,
+      createdByIp: ip || null,
+      userAgent: userAgent || null
+    });
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Issue an access and refresh token pair
+   * @param {Object} user - User document
+   * @param {Object} [session] - Session details (see createRefreshToken)
+   * @returns {Promise<Object>} Tokens as returned to the client
+   */
+  async issueTokens(user, session) {
+    const accessToken = this.signAccessToken(user);
+    const { exp } = jwt.decode(accessToken);
+    const refresh = await this.createRefreshToken(user, session);
+
+    return {
+      tokenType: 'Bearer',
+      accessToken,
+      accessTokenExpiresAt: new Date(exp * 1000),
+      refreshToken: refresh.token,
+      refreshTokenExpiresAt: refresh.expiresAt
+    };
+  }
+
+  /**
+   * Check email and password
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   * @returns {Promise<Object>} User document with role populated
+   */
+  async verifyCredentials(email, password) {
+    const user = await User.findOne({ email: email.toLowerCase() }).select('+password').populate('role', 'name description permissions isActive');
+
+    // Same error for unknown emails and wrong passwords, so accounts cannot be probed
+    if (!user || !(await user.comparePassword(password))) {
+      throw authError('Invalid email or password');
+    }
+    if (user.status !== 'ACTIVE') {
+      throw authError('Account is inactive', 403);
+    }
+    return user;
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * The token is revoked as it is used; presenting an already rotated token revokes its whole family.
+   * @param {string} token - Refresh token
+   * @param {Object} [session] - Session details ({ ip, userAgent })
+   * @returns {Promise<{user: Object, tokens: Object}>} User and new tokens
+   */
+  async rotateRefreshToken(token, session = {}) {
+    const tokenHash = this.hashToken(token);
+
+    // Claim the token atomically, so two concurrent refreshes cannot both succeed
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { revokedAt: new Date(), revokedReason: 'rotated' }
+    );
+
+    if (!current) {
+      const known = await RefreshToken.findOne({ tokenHash });
+      if (known && known.revokedReason === 'rotated') {
+        await RefreshToken.revokeFamily(known.family, 'reuse');
+        logger.warn(`Refresh token reuse detected for user ${known.user}; revoked token family ${known.family}`);
+      }
+      throw authError('Invalid or expired refresh token');
+    }
+
+    const user = await User.findById(current.user).populate('role', 'name description permissions isActive');
+    if (!user || user.status !== 'ACTIVE') {
+      await RefreshToken.revokeFamily(current.family, 'logout');
+      throw authError('Invalid or expired refresh token');
+    }
+
+    const tokens = await this.issueTokens(user, { ...session, family: current.family });
+    return { user, tokens };
+  }
+
+  /**
+   * Revoke a refresh token's session, or every session of its user
+   * @param {string} token - Refresh token
+   * @param {Object} [options] - Logout options
+   * @param {boolean} [options.allSessions] - Revoke all of the user's refresh tokens
+   * @returns {Promise<?ObjectId>} User the token belonged to, or null for an unknown token
+   */
+  async revokeRefreshToken(token, { allSessions = false } = {}) {
+    const known = await RefreshToken.findOne({ tokenHash: this.hashToken(token) });
+    if (!known) {
+      return null;
+    }
+
+    if (allSessions) {
+      await RefreshToken.revokeForUser(known.user, 'logout');
+    } else {
+      await RefreshToken.revokeFamily(known.family, 'logout');
+    }
+    return known.user;
+  }
+
+  /**
+   * Revoke every refresh token of a user, e.g. after a password change
+   * @param {ObjectId} userId - User
+   * @param {string} reason - Why the tokens are revoked
+   * @returns {Promise<Object>} Update result
+   */
+  revokeUserTokens(userId, reason) {
+    return RefreshToken.revokeForUser(userId, reason);
+  }
+}
+
+module.exports = new AuthService();
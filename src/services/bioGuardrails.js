@@ -0,0 +1,278 @@
+const { LENGTHS, MAX_BIO_CHARACTERS } = require('../config/bioOptions');
+
+// Mild built-in profanity list; AI_BIO_BLOCKLIST adds deployment-specific terms
+const DEFAULT_BLOCKLIST = ['fuck', 'shit', 'bitch', 'bastard', 'asshole', 'cunt', 'dickhead', 'motherfucker'];
+
+// Chatty openings and sign-offs models wrap around the bio itself
+const PREAMBLES = [
+  /^(?:sure|certainly|of course|absolutely|okay|ok)\b[!,.]*\s*/i,
+  /^(?:here(?:'s| is)|below is)\b[^\n:]*:\s*/i,
+  /^(?:professional\s+)?(?:bio|biography)\s*:\s*/i
+];
+const SIGN_OFFS = /\s*(?:let me know|i hope this|feel free to|would you like)[^\n]*$/i;
+
+// Contact details a model has no way of knowing and therefore must have invented
+const PERSONAL_DATA = {
+  email: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i,
+  url: /\b(?:https?:\/\/|www\.)\S+|\b[\w-]+\.(?:com|org|net|io)\/\S*/i,
+  phone: /\+?\d[\d\s().-]{7,}\d/g
+};
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Characters of scripts written without spaces between words (Chinese, Japanese, Thai, ...)
+const UNSPACED_CHARACTER = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/gu;
+
+/**
+ * Count the words in a text
+ * Each character of a script without spaces counts as a word, which never undercounts them;
+ * punctuation on its own is not a word.
+ * @param {string} text - Text
+ * @returns {number} Word count
+ */
+const countWords = (text) => {
+  const unspaced = (text.match(UNSPACED_CHARACTER) || []).length;
+  const words = (text.replace(UNSPACED_CHARACTER, ' ').match(/\S+/g) || []).filter(word => /[\p{L}\p{N}]/u.test(word));
+  return words.length + unspaced;
+};
+
+/**
+ * Whether a text is mostly written in scripts without spaces between words
+ * @param {string} text - Text
+ * @returns {boolean} True if most of its letters are from such scripts
+ */
+const isUnspaced = (text) => {
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  return letters > 0 && (text.match(UNSPACED_CHARACTER) || []).length * 2 > letters;
+};
+
+/**
+ * Post-generation checks for AI bios
+ * clean() repairs what can safely be repaired (markdown, preambles, overlong endings);
+ * check() reports what cannot, so the caller can regenerate or fall back.
+ */
+class BioGuardrails {
+  /**
+   * @param {Object} [options] - Settings (defaults come from the environment)
+   * @param {boolean} [options.enabled] - Whether checks run at all
+   * @param {number} [options.wordTolerance] - Allowed deviation from the requested word range (0.2 = 20%)
+   * @param {number} [options.maxRegenerations] - Extra attempts per provider after a rejected bio
+   * @param {Array<string>} [options.blocklist] - Additional blocked words or phrases
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== undefined ? options.enabled : process.env.AI_GUARDRAILS_ENABLED !== 'false';
+    this.wordTolerance = options.wordTolerance !== undefined
+      ? options.wordTolerance
+      : Number(process.env.AI_GUARDRAIL_WORD_TOLERANCE || 0.2);
+    this.maxRegenerations = options.maxRegenerations !== undefined
+      ? options.maxRegenerations
+      : Number(process.env.AI_GUARDRAIL_MAX_REGENERATIONS || 1);
+
+    const extra = options.blocklist || (process.env.AI_BIO_BLOCKLIST || '').split(',');
+    this.blocklist = [...DEFAULT_BLOCKLIST, ...extra]
+      .map(term => term.trim().toLowerCase())
+      .filter(Boolean);
+    this.blocklistPattern = new RegExp(`\\b(?:${this.blocklist.map(escapeRegExp).join('|')})\\b`, 'gi');
+  }
+
+  /**
+   * Accepted word range for a bio length, widened by the tolerance
+   * @param {string} length - Bio length option
+   * @returns {{min: number, max: number}} Word bounds
+   */
+  wordRange(length) {
+    const { minWords, maxWords } = LENGTHS[length] || LENGTHS.medium;
+    return {
+      min: Math.floor(minWords * (1 - this.wordTolerance)),
+      max: Math.ceil(maxWords * (1 + this.wordTolerance))
+    };
+  }
+
+  /**
+   * Strip markdown, preambles, sign-offs and wrapping quotes
+   * @param {string} text - Raw model output
+   * @returns {string} Plain bio text
+   */
+  clean(text) {
+    let bio = String(text || '')
+      .replace(/```[a-z]*\n?/gi, '')
+      .replace(/^\s{0,3}#{1,6}\s+.*$/gm, '')
+      .replace(/^\s{0,3}>\s?/gm, '')
+      .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, '')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(^|[^\w*])\*(\S(?:[^*]*\S)?)\*/g, '$1$2')
+      .replace(/(^|\W)_(\S(?:[^_]*\S)?)_(?=\W|$)/g, '$1$2')
+      .replace(/`([^`]*)`/g, '$1')
+      .trim();
+
+    let previous;
+    do {
+      previous = bio;
+      for (const pattern of PREAMBLES) {
+        bio = bio.replace(pattern, '').trim();
+      }
+    } while (bio !== previous);
+
+    bio = bio.replace(SIGN_OFFS, '').trim();
+
+    const quoted = bio.match(/^["“](.*)["”]$/s);
+    if (quoted) {
+      bio = quoted[1].trim();
+    }
+
+    return bio
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n');
+  }
+
+  /**
+   * Cut an overlong bio back to whole sentences within the word and character limits
+   * @param {string} bio - Cleaned bio
+   * @param {number} maxWords - Word limit
+   * @returns {string} Trimmed bio (unchanged when it already fits)
+   */
+  trimToLimit(bio, maxWords) {
+    if (countWords(bio) <= maxWords && bio.length <= MAX_BIO_CHARACTERS) {
+      return bio;
+    }
+
+    const sentences = bio.match(/[^.!?。！？]+[.!?。！？]+["”’」]?\s*|[^.!?。！？]+$/g) || [bio];
+    let trimmed = '';
+    for (const sentence of sentences) {
+      const candidate = trimmed + sentence;
+      if (countWords(candidate) > maxWords || candidate.trim().length > MAX_BIO_CHARACTERS) {
+        break;
+      }
+      trimmed = candidate;
+    }
+    return trimmed.trim();
+  }
+
+  /**
+   * Clean a generated bio and check it against the guardrails
+   * @param {string} text - Raw model output
+   * @param {Object} [options] - Normalized bio options the bio was requested with
+   * @returns {{bio: string, violations: Array<{check: string, message: string}>}} Cleaned bio and failed checks
+   */
+  check(text, options = {}) {
+    if (!this.enabled) {
+      return { bio: String(text || '').trim(), violations: [] };
+    }
+
+    const violations = [];
+    const { min, max } = this.wordRange(options.length);
+    const cleaned = this.clean(text);
+    // Counted per character, text without spaces runs well past the word limit at a normal
+    // length, so only the character limit cuts it back
+    const bio = this.trimToLimit(cleaned, isUnspaced(cleaned) ? Infinity : max);
+    const words = countWords(bio);
+
+    if (words === 0) {
+      violations.push({ check: 'empty', message: 'Bio is empty after cleanup' });
+    } else if (words < min) {
+      violations.push({ check: 'length', message: `Bio has ${words} words, expected at least ${min}` });
+    }
+
+    violations.push(...this.checkContent(bio));
+
+    return { bio, violations };
+  }
+
+  /**
+   * Check text for invented contact details and blocked terms (no cleanup or length checks)
+   * @param {string} text - Generated text
+   * @param {string} [label] - What the text is, used in messages
+   * @returns {Array<{check: string, message: string}>} Failed checks
+   */
+  checkContent(text, label = 'Bio') {
+    if (!this.enabled) {
+      return [];
+    }
+
+    const violations = [];
+
+    if (PERSONAL_DATA.email.test(text)) {
+      violations.push({ check: 'personal_data', message: `${label} contains an email address` });
+    }
+    if (PERSONAL_DATA.url.test(text)) {
+      violations.push({ check: 'personal_data', message: `${label} contains a URL` });
+    }
+    const phones = (text.match(PERSONAL_DATA.phone) || []).filter(match => match.replace(/\D/g, '').length >= 9);
+    if (phones.length > 0) {
+      violations.push({ check: 'personal_data', message: `${label} contains a phone number` });
+    }
+
+    violations.push(...this.checkBlocklist(text, label));
+
+    return violations;
+  }
+
+  /**
+   * Check text for blocked terms
+   * @param {string} text - Generated text
+   * @param {string} [label] - What the text is, used in messages
+   * @returns {Array<{check: string, message: string}>} Failed checks
+   */
+  checkBlocklist(text, label = 'Bio') {
+    const blocked = [...new Set((text.match(this.blocklistPattern) || []).map(term => term.toLowerCase()))];
+    return blocked.length > 0
+      ? [{ check: 'blocklist', message: `${label} contains blocked terms: ${blocked.join(', ')}` }]
+      : [];
+  }
+
+  /**
+   * Clean a translated bio and check it
+   * Word ranges do not carry over between languages and contact details come from the
+   * source bio, so only emptiness, the storage limit and the blocklist apply.
+   * @param {string} text - Raw model output
+   * @returns {{bio: string, violations: Array<{check: string, message: string}>}} Cleaned bio and failed checks
+   */
+  checkTranslation(text) {
+    if (!this.enabled) {
+      return { bio: String(text || '').trim(), violations: [] };
+    }
+
+    const bio = this.trimToLimit(this.clean(text), Infinity);
+    const violations = bio
+      ? this.checkBlocklist(bio, 'Translation')
+      : [{ check: 'empty', message: 'Translation is empty after cleanup' }];
+
+    return { bio, violations };
+  }
+
+  /**
+   * Error raised when a provider keeps producing bios that fail the guardrails
+   * @param {string} providerName - Provider that produced the bio
+   * @param {Array<Object>} violations - Failed checks of the last attempt
+   * @param {string} [subject] - What was generated, used in the message
+   * @returns {Error} Guardrail error
+   */
+  createViolationError(providerName, violations, subject = 'bio') {
+    return Object.assign(
+      new Error(`${providerName} ${subject} failed output checks: ${violations.map(v => v.message).join('; ')}`),
+      { code: 'guardrail_failed', statusCode: 502, violations }
+    );
+  }
+
+  /**
+   * Describe the guardrails for status reporting
+   * @returns {Object} Guardrail settings
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      wordTolerance: this.wordTolerance,
+      maxRegenerations: this.maxRegenerations,
+      blocklistSize: this.blocklist.length
+    };
+  }
+}
+
+module.exports = BioGuardrails;
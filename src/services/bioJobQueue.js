@@ -0,0 +1,448 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const BioJob = require('../models/BioJob');
+const User = require('../models/User');
+const BioRevision = require('../models/BioRevision');
+const Experiment = require('../models/Experiment');
+const aiService = require('./aiService');
+const embeddingIndex = require('./embeddingIndex');
+const auditLog = require('./auditLog');
+const logger = require('../config/logger');
+const { normalizeBioOptions } = require('../config/bioOptions');
+const { localeLanguage } = require('../config/locales');
+
+/**
+ * Mongo-backed queue for bio generation
+ * Jobs are claimed atomically, so any number of app instances can run workers
+ * against the same collection. Failed jobs are retried with exponential backoff
+ * and dead-lettered once maxAttempts is reached.
+ */
+class BioJobQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollIntervalMs = Number(process.env.BIO_QUEUE_POLL_MS) || 2000;
+    this.concurrency = Number(process.env.BIO_QUEUE_CONCURRENCY) || 2;
+    this.maxAttempts = Number(process.env.BIO_QUEUE_MAX_ATTEMPTS) || 5;
+    this.retryBaseDelayMs = Number(process.env.BIO_QUEUE_RETRY_BASE_MS) || 30000;
+    this.lockTimeoutMs = Number(process.env.BIO_QUEUE_LOCK_TIMEOUT_MS) || 5 * 60 * 1000;
+
+    this.timer = null;
+    this.active = 0;
+    this.polling = false;
+  }
+
+  /**
+   * Queue bio generation for a user
+   * Pending jobs already queued for the same user are cancelled; the newest request wins.
+   * Translation jobs only supersede earlier translations into the same locale.
+   * @param {Object} user - User document
+   * @param {string} type - Job type (create, regenerate or translate)
+   * @param {Object} [payload] - Generation inputs (bioOptions, variants, cache, force, structured;
+   *   locale and mode for translations)
+   * @returns {Promise<Object>} Created job
+   */
+  async enqueue(user, type, payload = {}) {
+    const superseded = type === 'translate'
+      ? { type, 'payload.locale': payload.locale }
+      : { type: { $ne: 'translate' } };
+
+    await BioJob.updateMany(
+      { user: user._id, status: 'pending', ...superseded },
+      { status: 'cancelled', lastError: 'Superseded by a newer bio job' }
+    );
+
+    const job = await BioJob.create({
+      user: user._id,
+      type,
+      payload: {
+        bioOptions: payload.bioOptions || {},
+        variants: payload.variants || 1,
+        cache: payload.cache !== false,
+        force: Boolean(payload.force),
+        structured: Boolean(payload.structured),
+        locale: payload.locale || null,
+        mode: type === 'translate' ? payload.mode || 'translate' : null
+      },
+      maxAttempts: this.maxAttempts
+    });
+
+    logger.info(`Bio job queued: ${job._id} (${type}) for user ${user._id}`);
+
+    // Pick the job up right away instead of waiting for the next poll
+    setImmediate(() => this.poll());
+
+    return job;
+  }
+
+  /**
+   * Put a dead, cancelled or pending job back at the front of the queue
+   * @param {Object} job - Job document
+   * @returns {Promise<Object>} Updated job
+   */
+  async retry(job) {
+    job.status = 'pending';
+    job.attempts = 0;
+    job.runAt = new Date();
+    job.lockedAt = null;
+    job.lockedBy = null;
+    await job.save();
+
+    // bioStatus tracks the primary bio only
+    if (job.type !== 'translate') {
+      await User.updateOne({ _id: job.user }, { bioStatus: 'pending' });
+    }
+
+    logger.info(`Bio job ${job._id} manually re-queued`);
+    setImmediate(() => this.poll());
+
+    return job;
+  }
+
+  /**
+   * Atomically claim the next runnable job
+   * Jobs stuck in processing longer than the lock timeout (e.g. after a crash) are reclaimed.
+   * @returns {Promise<Object|null>} Claimed job
+   */
+  claimNext() {
+    const now = new Date();
+
+    return BioJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', runAt: { $lte: now } },
+          { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - this.lockTimeoutMs) } }
+        ]
+      },
+      {
+        status: 'processing',
+        lockedAt: now,
+        lockedBy: this.workerId,
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { runAt: 1 } }
+    );
+  }
+
+  /**
+   * Run a claimed job
+   * @param {Object} job - Job document
+   */
+  async process(job) {
+    const user = await User.findById(job.user).populate('role', 'name description');
+
+    if (!user) {
+      job.status = 'cancelled';
+      job.lastError = 'User no longer exists';
+      job.lockedAt = null;
+      job.lockedBy = null;
+      await job.save();
+      logger.warn(`Bio job ${job._id} cancelled: user ${job.user} no longer exists`);
+      return;
+    }
+
+    // The bio may have been locked after the job was queued (translations leave the primary bio alone)
+    if (job.type !== 'translate' && user.bioLocked && !job.payload.force) {
+      job.status = 'cancelled';
+      job.lastError = 'Bio is locked against automatic regeneration';
+      job.lockedAt = null;
+      job.lockedBy = null;
+      await job.save();
+      user.bioStatus = 'completed';
+      await user.save();
+      logger.info(`Bio job ${job._id} cancelled: bio for user ${user._id} is locked`);
+      return;
+    }
+
+    try {
+      logger.info(`Processing bio job ${job._id} (attempt ${job.attempts}/${job.maxAttempts}) for ${user.name} (${user.role ? user.role.name : ''})`);
+
+      const audit = { metadata: { bioJob: job._id } };
+      job.result = job.type === 'translate'
+        ? await this.translateForUser(user, job.payload, audit)
+        : await this.generateForUser(user, job.payload, audit);
+
+      job.status = 'completed';
+      job.completedAt = new Date();
+      job.lastError = null;
+      job.lockedAt = null;
+      job.lockedBy = null;
+      await job.save();
+
+      logger.info(`Bio job ${job._id} completed for user ${user._id}`, job.result);
+
+    } catch (error) {
+      await this.handleFailure(job, user, error);
+    }
+  }
+
+  /**
+   * Pick the experiment variant for a user's next bio
+   * @param {Object} user - User document
+   * @returns {Promise<?Object>} Variant as request context ({ id, variant, provider, template, params }),
+   *   or null when no experiment is running
+   */
+  async assignExperiment(user) {
+    const experiment = await Experiment.findRunning();
+    if (!experiment) {
+      return null;
+    }
+
+    const variant = experiment.pickVariant(user._id);
+    return {
+      id: experiment._id,
+      variant: variant.name,
+      provider: variant.provider,
+      template: variant.template,
+      params: variant.params
+    };
+  }
+
+  /**
+   * Generate and save a bio (bio drafts, or a structured profile) for a user
+   * Shared by queued jobs and bulk regeneration. While an experiment is running, single bios
+   * and profiles are generated with the user's variant, which is recorded on the user and
+   * the revision; bio drafts are left out of experiments.
+   * @param {Object} user - User document with role populated
+   * @param {Object} payload - Generation inputs (bioOptions, variants, cache, structured)
+   * @param {Object} [audit] - Audit event details: actor (defaults to the bio worker) and metadata
+   * @returns {Promise<{provider: string, model: string, draftCount: number, variant: ?string}>} Generation result
+   */
+  async generateForUser(user, { bioOptions, variants = 1, cache, structured = false } = {}, audit = {}) {
+    const before = auditLog.snapshot('User', user);
+    const roleName = user.role ? user.role.name : '';
+    const experiment = variants > 1 ? null : await this.assignExperiment(user);
+    const context = { userId: user._id, cache, ...(experiment && { experiment }) };
+    const variantFields = {
+      experiment: experiment ? experiment.id : null,
+      variant: experiment ? experiment.variant : null
+    };
+    const tagVariant = (provider, model) => {
+      user.bioVariant = experiment
+        ? { experiment: experiment.id, variant: experiment.variant, provider, model, assignedAt: new Date() }
+        : null;
+    };
+    let revision = null;
+    let result;
+
+    if (structured) {
+      const { profile, provider, model, template } = await aiService.generateProfile(user.name, roleName, bioOptions, context);
+      revision = {
+        previousText: user.bio,
+        change: { text: profile.longBio, source: 'ai', provider, model, template, bioOptions: normalizeBioOptions(bioOptions), ...variantFields }
+      };
+      tagVariant(provider, model);
+      user.bio = profile.longBio;
+      user.bioSource = 'ai';
+      user.headline = profile.headline;
+      user.shortBio = profile.shortBio;
+      user.skills = profile.skills;
+      user.keywords = profile.keywords;
+      result = { provider, model, draftCount: 0, variant: variantFields.variant };
+    } else if (variants > 1) {
+      const candidates = await aiService.generateBioCandidates(user.name, roleName, bioOptions, variants, context);
+      user.bioDrafts = candidates.map(candidate => ({
+        text: candidate.bio,
+        provider: candidate.provider,
+        model: candidate.model,
+        temperature: candidate.temperature,
+        template: candidate.template
+      }));
+      result = { provider: candidates[0].provider, model: candidates[0].model, draftCount: candidates.length };
+    } else {
+      const request = await aiService.buildBioRequest(user.name, roleName, bioOptions, context);
+      const { bio, provider, model, template } = await aiService.generateWithChain(request);
+      revision = {
+        previousText: user.bio,
+        change: { text: bio, source: 'ai', provider, model, template, bioOptions: request.options, ...variantFields }
+      };
+      tagVariant(provider, model);
+      user.bio = bio;
+      user.bioSource = 'ai';
+      result = { provider, model, draftCount: 0, variant: variantFields.variant };
+    }
+
+    user.bioStatus = 'completed';
+    await user.save();
+    embeddingIndex.refresh(user._id);
+
+    // Bio drafts leave the bio alone until one is selected (user.bio.select)
+    if (revision) {
+      await this.recordRevision(user, revision);
+      await auditLog.record(null, {
+        action: 'user.bio.generated',
+        targetType: 'User',
+        targetId: user._id,
+        before,
+        after: auditLog.snapshot('User', user),
+        metadata: { ...audit.metadata, provider: result.provider, model: result.model, variant: result.variant },
+        actor: audit.actor || auditLog.systemActor('bio-worker')
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Generate and save a bio in another locale for a user
+   * @param {Object} user - User document with role populated
+   * @param {Object} payload - Generation inputs (locale, mode, bioOptions, cache)
+   * @param {Object} [audit] - Audit event details: actor (defaults to the bio worker) and metadata
+   * @returns {Promise<{provider: string, model: string, draftCount: number, locale: string}>} Generation result
+   */
+  async translateForUser(user, { locale, mode = 'translate', bioOptions, cache } = {}, audit = {}) {
+    const before = auditLog.snapshot('User', user);
+    const roleName = user.role ? user.role.name : '';
+    const context = { userId: user._id, cache };
+    let generated;
+
+    if (mode === 'generate') {
+      const request = await aiService.buildBioRequest(
+        user.name,
+        roleName,
+        { ...bioOptions, language: localeLanguage(locale) },
+        { operation: 'bio-translate', ...context }
+      );
+      generated = await aiService.generateWithChain(request);
+    } else {
+      if (!user.bio) {
+        throw new Error('User has no bio to translate');
+      }
+      generated = await aiService.translateBio(user.bio, locale, { name: user.name, role: roleName }, context);
+    }
+
+    user.bios.set(locale, {
+      text: generated.bio,
+      source: mode === 'generate' ? 'generated' : 'translated',
+      provider: generated.provider,
+      model: generated.model,
+      sourceHash: mode === 'generate' ? null : User.hashBio(user.bio),
+      updatedAt: new Date()
+    });
+    await user.save();
+
+    await auditLog.record(null, {
+      action: 'user.bio.translated',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: auditLog.snapshot('User', user),
+      metadata: { ...audit.metadata, locale, mode, provider: generated.provider, model: generated.model },
+      actor: audit.actor || auditLog.systemActor('bio-worker')
+    });
+
+    return { provider: generated.provider, model: generated.model, draftCount: 0, locale };
+  }
+
+  /**
+   * Store a generated bio in the user's revision history
+   * The bio is already saved, so a history failure is logged rather than retried
+   * (retrying would pay for a new generation).
+   * @param {Object} user - User document
+   * @param {Object} revision - Revision change and the bio it replaced
+   */
+  async recordRevision(user, { change, previousText }) {
+    try {
+      await BioRevision.recordChange(user._id, change, previousText);
+    } catch (error) {
+      logger.error(`Failed to record bio revision for user ${user._id}:`, error.message);
+    }
+  }
+
+  /**
+   * Record a failed attempt and schedule a retry or dead-letter the job
+   * @param {Object} job - Job document
+   * @param {Object} user - User document
+   * @param {Error} error - Failure
+   */
+  async handleFailure(job, user, error) {
+    job.lastError = error.message;
+    job.errorHistory.push({
+      attempt: job.attempts,
+      message: error.message,
+      status: error.status,
+      code: error.code ? String(error.code) : undefined
+    });
+    job.lockedAt = null;
+    job.lockedBy = null;
+
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'dead';
+      await job.save();
+      if (job.type !== 'translate') {
+        await User.updateOne({ _id: user._id }, { bioStatus: 'failed' });
+      }
+
+      logger.error(`Bio job ${job._id} dead-lettered after ${job.attempts} attempts:`, {
+        userId: user._id,
+        error: error.message
+      });
+      return;
+    }
+
+    const delay = this.retryBaseDelayMs * Math.pow(2, job.attempts - 1);
+    job.status = 'pending';
+    job.runAt = new Date(Date.now() + delay);
+    await job.save();
+
+    logger.warn(`Bio job ${job._id} attempt ${job.attempts} failed, retrying in ${delay}ms:`, {
+      userId: user._id,
+      error: error.message
+    });
+  }
+
+  /**
+   * Claim and run jobs until the concurrency limit is reached or the queue is empty
+   */
+  async poll() {
+    if (this.polling || !this.timer || mongoose.connection.readyState !== 1) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      while (this.active < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) {
+          break;
+        }
+
+        this.active++;
+        this.process(job)
+          .catch(error => logger.error(`Bio job ${job._id} crashed:`, { error: error.message, stack: error.stack }))
+          .finally(() => {
+            this.active--;
+            setImmediate(() => this.poll());
+          });
+      }
+    } catch (error) {
+      logger.error('Bio job queue poll failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Start the worker loop
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.timer.unref();
+    logger.info(`Bio job worker ${this.workerId} started (concurrency ${this.concurrency}, poll ${this.pollIntervalMs}ms)`);
+  }
+
+  /**
+   * Stop claiming new jobs; jobs in flight are reclaimed after the lock timeout if the process exits
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info(`Bio job worker ${this.workerId} stopped`);
+    }
+  }
+}
+
+module.exports = new BioJobQueue();
@@ -0,0 +1,237 @@
+const os = require('os');
+const User = require('../models/User');
+const BulkRegeneration = require('../models/BulkRegeneration');
+const bioJobQueue = require('./bioJobQueue');
+const logger = require('../config/logger');
+
+// Users listed in a dry run's preview
+const MAX_PREVIEW = 200;
+
+/**
+ * Regenerates bios for every user matching the user list filters
+ * Operations run in the background of the API process with a fixed number of
+ * concurrent generations; progress and failures are written to the
+ * BulkRegeneration document so any instance can report them.
+ */
+class BulkRegenerationRunner {
+  constructor() {
+    this.defaultConcurrency = Number(process.env.BULK_REGENERATION_CONCURRENCY) || 3;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.heartbeatMs = Number(process.env.BULK_REGENERATION_HEARTBEAT_MS) || 30000;
+    // Operations whose instance missed this many heartbeats are taken to be abandoned
+    this.staleAfterMs = this.heartbeatMs * 3;
+    // Operation ID -> { cancelled } for operations running in this process
+    this.active = new Map();
+  }
+
+  /**
+   * Start a bulk regeneration (or just report what it would do)
+   * @param {Object} options - Operation settings
+   * @param {Object} options.filters - status, role, search and skill, as in POST /api/users/list
+   * @param {Object} [options.bioOptions] - Bio generation options
+   * @param {boolean} [options.cache] - false bypasses the generation cache
+   * @param {boolean} [options.structured] - Generate structured profiles
+   * @param {boolean} [options.includeLocked] - Also regenerate locked bios
+   * @param {boolean} [options.dryRun] - Only count and preview the matching users
+   * @param {number} [options.concurrency] - Concurrent generations
+   * @param {string} [options.requestedBy] - Who started the operation
+   * @param {Object} [options.actor] - Caller, recorded as the actor of each bio change (see auditLog.actorFrom)
+   * @returns {Promise<Object>} Operation document
+   */
+  async start({ filters = {}, bioOptions = {}, cache, structured = false, includeLocked = false, dryRun = false, concurrency, requestedBy, actor }) {
+    const matched = await User.aggregate([
+      ...User.buildFilterPipeline(filters),
+      { $sort: { _id: 1 } },
+      { $project: { name: 1, bioLocked: 1, role: '$roleInfo.name' } }
+    ]);
+    const targets = includeLocked ? matched : matched.filter(user => !user.bioLocked);
+
+    const operation = await BulkRegeneration.create({
+      filters: {
+        status: filters.status || null,
+        role: filters.role || null,
+        search: filters.search || null,
+        skill: filters.skill || null
+      },
+      bioOptions,
+      cache: cache !== false,
+      structured,
+      includeLocked,
+      dryRun,
+      concurrency: concurrency || this.defaultConcurrency,
+      requestedBy: requestedBy || null,
+      runBy: dryRun ? null : this.instanceId,
+      heartbeatAt: dryRun ? null : new Date(),
+      status: dryRun ? 'completed' : 'running',
+      totals: {
+        matched: matched.length,
+        skippedLocked: matched.length - targets.length,
+        queued: targets.length
+      },
+      preview: dryRun
+        ? targets.slice(0, MAX_PREVIEW).map(user => ({ user: user._id, name: user.name, role: user.role, bioLocked: Boolean(user.bioLocked) }))
+        : [],
+      completedAt: dryRun ? new Date() : null
+    });
+
+    logger.info(`Bulk bio regeneration ${operation._id} ${dryRun ? 'dry run' : 'started'}`, {
+      filters: operation.filters,
+      matched: matched.length,
+      queued: targets.length,
+      concurrency: operation.concurrency
+    });
+
+    if (!dryRun) {
+      // Runs in the background; the caller polls the operation for progress
+      this.run(operation, targets.map(user => user._id), actor);
+    }
+
+    return operation;
+  }
+
+  /**
+   * Work through the users with a bounded pool of workers
+   * @param {Object} operation - Operation document
+   * @param {Array<ObjectId>} userIds - Users to regenerate
+   * @param {Object} [actor] - Audit actor fields of the caller
+   */
+  async run(operation, userIds, actor) {
+    const id = String(operation._id);
+    const state = { cancelled: false };
+    this.active.set(id, state);
+
+    // Tells other instances the operation is still alive, so they leave its cancellation to us
+    const heartbeat = setInterval(() => {
+      BulkRegeneration.updateOne({ _id: operation._id }, { heartbeatAt: new Date() })
+        .catch(error => logger.warn(`Bulk bio regeneration ${id} heartbeat failed:`, error.message));
+    }, this.heartbeatMs);
+    heartbeat.unref();
+
+    let next = 0;
+    const worker = async () => {
+      while (next < userIds.length && !state.cancelled) {
+        const userId = userIds[next++];
+        await this.regenerateOne(operation, userId, actor);
+
+        // Cancellation may have been requested through another API instance
+        if (!state.cancelled && await BulkRegeneration.exists({ _id: operation._id, cancelRequested: true })) {
+          state.cancelled = true;
+        }
+      }
+    };
+
+    try {
+      const workers = Math.min(operation.concurrency, userIds.length);
+      await Promise.all(Array.from({ length: workers }, worker));
+
+      const status = state.cancelled ? 'cancelled' : 'completed';
+      await BulkRegeneration.updateOne({ _id: operation._id }, { status, completedAt: new Date() });
+      logger.info(`Bulk bio regeneration ${id} ${status}`);
+    } catch (error) {
+      // Stop the remaining workers
+      state.cancelled = true;
+      logger.error(`Bulk bio regeneration ${id} failed:`, error.message);
+      await BulkRegeneration.updateOne(
+        { _id: operation._id },
+        { status: 'failed', lastError: error.message, completedAt: new Date() }
+      ).catch(updateError => logger.error('Failed to record bulk regeneration failure:', updateError.message));
+    } finally {
+      clearInterval(heartbeat);
+      this.active.delete(id);
+    }
+  }
+
+  /**
+   * Regenerate one user's bio and record the outcome on the operation
+   * @param {Object} operation - Operation document
+   * @param {ObjectId} userId - User to regenerate
+   * @param {Object} [actor] - Audit actor fields of the caller
+   */
+  async regenerateOne(operation, userId, actor) {
+    const user = await User.findById(userId).populate('role', 'name description');
+
+    if (!user) {
+      await this.recordFailure(operation, { user: userId, name: '', error: 'User no longer exists' });
+      return;
+    }
+
+    // The bio may have been locked since the operation started
+    if (user.bioLocked && !operation.includeLocked) {
+      await BulkRegeneration.updateOne(
+        { _id: operation._id },
+        { $inc: { 'totals.processed': 1, 'totals.skippedLocked': 1 } }
+      );
+      return;
+    }
+
+    try {
+      await bioJobQueue.generateForUser(user, {
+        bioOptions: operation.bioOptions,
+        cache: operation.cache,
+        structured: operation.structured
+      }, {
+        actor,
+        metadata: { bulkRegeneration: operation._id }
+      });
+      await BulkRegeneration.updateOne(
+        { _id: operation._id },
+        { $inc: { 'totals.processed': 1, 'totals.succeeded': 1 } }
+      );
+    } catch (error) {
+      logger.warn(`Bulk bio regeneration ${operation._id} failed for user ${user._id}:`, error.message);
+      await this.recordFailure(operation, { user: user._id, name: user.name, error: error.message });
+    }
+  }
+
+  /**
+   * Count a failed user and keep its reason on the operation
+   * @param {Object} operation - Operation document
+   * @param {Object} failure - { user, name, error }
+   */
+  async recordFailure(operation, failure) {
+    await BulkRegeneration.updateOne(
+      { _id: operation._id },
+      {
+        $inc: { 'totals.processed': 1, 'totals.failed': 1 },
+        $push: { failures: { $each: [failure], $slice: BulkRegeneration.MAX_RECORDED_FAILURES } }
+      }
+    );
+  }
+
+  /**
+   * Cancel a running operation; users already being regenerated finish first
+   * @param {Object} operation - Operation document
+   * @returns {Promise<Object>} Updated operation document
+   */
+  async cancel(operation) {
+    const state = this.active.get(String(operation._id));
+
+    if (state) {
+      state.cancelled = true;
+      return BulkRegeneration.findByIdAndUpdate(operation._id, { cancelRequested: true }, { new: true });
+    }
+
+    // Not running here. If the instance running it has stopped sending heartbeats (it crashed or
+    // was shut down), nothing would ever finish it, so it is closed now. Operations started before
+    // heartbeats were recorded have none.
+    const abandoned = await BulkRegeneration.findOneAndUpdate(
+      {
+        _id: operation._id,
+        status: 'running',
+        $or: [{ heartbeatAt: null }, { heartbeatAt: { $lte: new Date(Date.now() - this.staleAfterMs) } }]
+      },
+      { cancelRequested: true, status: 'cancelled', completedAt: new Date() },
+      { new: true }
+    );
+
+    if (abandoned) {
+      logger.warn(`Bulk bio regeneration ${operation._id} was abandoned by ${abandoned.runBy || 'an unknown instance'}; marked cancelled`);
+      return abandoned;
+    }
+
+    // Still alive on another instance, which stops once it sees the flag
+    return BulkRegeneration.findByIdAndUpdate(operation._id, { cancelRequested: true }, { new: true });
+  }
+}
+
+module.exports = new BulkRegenerationRunner();
@@ -0,0 +1,28 @@
+const MemoryCache = require('./memoryCache');
+const MongoCache = require('./mongoCache');
+
+// Backend name -> implementation
+const cacheBackends = new Map([
+  ['memory', MemoryCache],
+  ['mongo', MongoCache]
+]);
+
+/**
+ * Instantiate a cache backend
+ * @param {string} type - Backend name
+ * @param {Object} [options] - Backend options
+ * @returns {Object} Cache backend
+ */
+const createCacheBackend = (type, options = {}) => {
+  const Backend = cacheBackends.get(type);
+
+  if (!Backend) {
+    throw new Error(`Unknown AI cache backend "${type}". Known backends: ${[...cacheBackends.keys()].join(', ')}`);
+  }
+
+  return new Backend(options);
+};
+
+module.exports = {
+  createCacheBackend
+};
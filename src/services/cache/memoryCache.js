@@ -0,0 +1,72 @@
+/**
+ * In-process LRU cache backend
+ * Relies on Map preserving insertion order: reads re-insert an entry so the
+ * first key is always the least recently used one.
+ */
+class MemoryCache {
+  /**
+   * @param {Object} [options] - Backend options
+   * @param {number} [options.maxEntries] - Entries kept before the least recently used is evicted
+   */
+  constructor(options = {}) {
+    this.type = 'memory';
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = new Map();
+  }
+
+  /**
+   * Look up a value
+   * @param {string} key - Cache key
+   * @returns {Promise<?Object>} Cached value, or null when missing or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {Object} value - Value to cache
+   * @param {number} ttlMs - Time to live in milliseconds
+   */
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Describe the backend for status reporting
+   * @returns {Object} Backend status
+   */
+  getStatus() {
+    return {
+      backend: this.type,
+      size: this.entries.size,
+      maxEntries: this.maxEntries
+    };
+  }
+}
+
+module.exports = MemoryCache;
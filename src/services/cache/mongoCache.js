@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const CachedGeneration = require('../../models/CachedGeneration');
+
+/**
+ * MongoDB cache backend, shared by every API and worker process
+ * Expired documents are removed by a TTL index; reads also ignore them because
+ * the TTL monitor only runs about once a minute.
+ */
+class MongoCache {
+  constructor() {
+    this.type = 'mongo';
+  }
+
+  /**
+   * Whether the database can be used right now
+   * @returns {boolean} True when connected
+   */
+  isConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Look up a value
+   * @param {string} key - Cache key
+   * @returns {Promise<?Object>} Cached value, or null when missing, expired or disconnected
+   */
+  async get(key) {
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const entry = await CachedGeneration.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {Object} value - Value to cache
+   * @param {number} ttlMs - Time to live in milliseconds
+   */
+  async set(key, value, ttlMs) {
+    if (!this.isConnected()) {
+      return;
+    }
+
+    await CachedGeneration.updateOne(
+      { key },
+      { $set: { value, expiresAt: new Date(Date.now() + ttlMs), createdAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    if (this.isConnected()) {
+      await CachedGeneration.deleteMany({});
+    }
+  }
+
+  /**
+   * Describe the backend for status reporting
+   * @returns {Object} Backend status
+   */
+  getStatus() {
+    return {
+      backend: this.type,
+      connected: this.isConnected()
+    };
+  }
+}
+
+module.exports = MongoCache;
@@ -0,0 +1,161 @@
+const logger = require('../config/logger');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Circuit breaker guarding calls to a single AI provider
+ * - closed: calls pass through; consecutive failures are counted
+ * - open: calls are rejected until resetTimeoutMs has elapsed
+ * - half-open: one trial call at a time; successThreshold successes close the
+ *   circuit, any failure opens it again
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name used in logs (usually the provider name)
+   * @param {Object} [options] - Thresholds
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+   * @param {number} [options.resetTimeoutMs] - Time the circuit stays open before a trial call
+   * @param {number} [options.successThreshold] - Successful trial calls needed to close it again
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || Number(process.env.AI_BREAKER_FAILURE_THRESHOLD) || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || Number(process.env.AI_BREAKER_RESET_TIMEOUT_MS) || 30000;
+    this.successThreshold = options.successThreshold || Number(process.env.AI_BREAKER_SUCCESS_THRESHOLD) || 1;
+    this.reset();
+  }
+
+  /**
+   * Close the circuit and clear all counters
+   */
+  reset() {
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.successes = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Whether a call may be made now. In half-open state this reserves the single trial slot.
+   * @returns {boolean} True if the call may proceed
+   */
+  allowRequest() {
+    if (this.state === STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+        return false;
+      }
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a successful call
+   */
+  recordSuccess() {
+    if (this.state === STATES.HALF_OPEN) {
+      this.trialInFlight = false;
+      this.successes++;
+      if (this.successes >= this.successThreshold) {
+        this.transition(STATES.CLOSED);
+      }
+      return;
+    }
+    this.failures = 0;
+  }
+
+  /**
+   * Record a failed call
+   * @param {Error} error - Failure
+   */
+  recordFailure(error) {
+    this.lastError = error.message;
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.trialInFlight = false;
+      this.transition(STATES.OPEN);
+      return;
+    }
+
+    this.failures++;
+    if (this.state === STATES.CLOSED && this.failures >= this.failureThreshold) {
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  /**
+   * Give back a reserved half-open trial slot when a call was abandoned without an outcome
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Move to a new state
+   * @param {string} state - Target state
+   */
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+    this.successes = 0;
+
+    if (state === STATES.OPEN) {
+      this.openedAt = Date.now();
+    } else if (state === STATES.CLOSED) {
+      this.failures = 0;
+      this.openedAt = null;
+    }
+
+    const log = state === STATES.OPEN ? logger.warn : logger.info;
+    log.call(logger, `Circuit breaker for ${this.name}: ${previous} -> ${state}`, {
+      failures: this.failures,
+      lastError: this.lastError
+    });
+  }
+
+  /**
+   * Error raised for calls rejected by an open circuit
+   * @returns {Error} Circuit open error
+   */
+  createOpenError() {
+    return Object.assign(new Error(`Circuit breaker for ${this.name} is ${this.state}`), {
+      code: 'circuit_open',
+      statusCode: 503
+    });
+  }
+
+  /**
+   * Describe the breaker for status reporting
+   * @returns {Object} Breaker status
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      resetTimeoutMs: this.resetTimeoutMs,
+      successThreshold: this.successThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === STATES.OPEN ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
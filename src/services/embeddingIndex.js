@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { createConfiguredEmbedder } = require('./embeddings');
+const { recordUsage } = require('./usageTracker');
+
+// Users embedded per provider call during a reindex
+const REINDEX_BATCH_SIZE = 50;
+
+/**
+ * Keeps a vector embedding of every user's profile text for semantic search
+ * Embeddings are refreshed in the background whenever the text changes; the stored text hash
+ * and model let unchanged users be skipped and vectors from a previous model be replaced.
+ */
+class EmbeddingIndex {
+  constructor() {
+    this.enabled = process.env.EMBEDDINGS_ENABLED !== 'false';
+    this.embedder = createConfiguredEmbedder();
+    this.hybridWeight = Number(process.env.SEMANTIC_SEARCH_HYBRID_WEIGHT || 0.7);
+    this.minScore = Number(process.env.SEMANTIC_SEARCH_MIN_SCORE || 0.25);
+    this.lastReindex = null;
+
+    if (this.enabled) {
+      logger.info(`Embedding provider: ${this.embedder.name} (${this.embedder.model})`);
+    }
+  }
+
+  /**
+   * Text embedded for a user: name, role, headline, skills and primary bio
+   * @param {Object} user - User document with role populated
+   * @returns {string} Profile text
+   */
+  buildText(user) {
+    return [
+      user.name,
+      user.role && user.role.name ? user.role.name.replace(/_/g, ' ') : '',
+      user.headline,
+      (user.skills || []).join(', '),
+      user.bio
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Fingerprint of the embedded text
+   * @param {string} text - Profile text
+   * @returns {string} Hash
+   */
+  hashText(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  /**
+   * Embed texts and record the call in the usage accounting
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} [context] - Usage context ({ userId })
+   * @returns {Promise<Array<Array<number>>>} Unit vectors
+   */
+  async embedTexts(texts, context = {}) {
+    const request = { context: { operation: 'embedding', ...context } };
+    const startedAt = Date.now();
+
+    try {
+      const { vectors, usage } = await this.embedder.embed(texts);
+      recordUsage({ provider: this.embedder, request, usage, latencyMs: Date.now() - startedAt });
+      return vectors;
+    } catch (error) {
+      recordUsage({ provider: this.embedder, request, usage: null, latencyMs: Date.now() - startedAt, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Embed a search query
+   * @param {string} query - Search text
+   * @returns {Promise<Array<number>>} Unit vector
+   */
+  async embedQuery(query) {
+    if (!this.enabled) {
+      throw Object.assign(new Error('Semantic search is disabled (EMBEDDINGS_ENABLED=false)'), { statusCode: 503 });
+    }
+
+    const [vector] = await this.embedTexts([query], { operation: 'embedding-query' });
+    return vector;
+  }
+
+  /**
+   * Refresh a user's embedding in the background
+   * Fire-and-forget: an embedding failure never fails the change that triggered it.
+   * @param {ObjectId} userId - User whose profile text may have changed
+   */
+  refresh(userId) {
+    if (!this.enabled || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    this.refreshUser(userId).catch(error => {
+      logger.warn(`Failed to refresh embedding for user ${userId}:`, error.message);
+    });
+  }
+
+  /**
+   * Recompute a user's embedding if the profile text or embedding model changed
+   * @param {ObjectId} userId - User to refresh
+   * @returns {Promise<boolean>} True if a new embedding was stored
+   */
+  async refreshUser(userId) {
+    const user = await User.findById(userId).select('+embedding').populate('role', 'name');
+    if (!user || this.isCurrent(user)) {
+      return false;
+    }
+
+    const text = this.buildText(user);
+    const [vector] = await this.embedTexts([text], { userId: user._id });
+    await this.store(user._id, text, vector);
+    return true;
+  }
+
+  /**
+   * Whether a user's stored embedding matches their current text and the current model and size
+   * @param {Object} user - User document with embedding selected and role populated
+   * @returns {boolean} True if the embedding is up to date
+   */
+  isCurrent(user) {
+    return Boolean(user.embedding)
+      && user.embedding.model === this.embedder.model
+      && (!this.embedder.dimensions || user.embedding.vector.length === this.embedder.dimensions)
+      && user.embedding.textHash === this.hashText(this.buildText(user));
+  }
+
+  /**
+   * Save an embedding on a user
+   * @param {ObjectId} userId - User
+   * @param {string} text - Embedded text
+   * @param {Array<number>} vector - Unit vector
+   */
+  async store(userId, text, vector) {
+    await User.updateOne(
+      { _id: userId },
+      { embedding: { vector, model: this.embedder.model, textHash: this.hashText(text), updatedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Embed every user whose embedding is missing or out of date, in batches
+   * Runs in the background; progress is reported through getStatus().
+   * @param {Object} [options] - Reindex options
+   * @param {boolean} [options.force] - Re-embed users whose embedding is current
+   * @returns {Promise<Object>} Summary ({ processed, updated, failed })
+   */
+  async reindex({ force = false } = {}) {
+    const summary = { running: true, force, processed: 0, updated: 0, failed: 0, startedAt: new Date(), completedAt: null };
+    this.lastReindex = summary;
+
+    const embedBatch = async (users) => {
+      const stale = force ? users : users.filter(user => !this.isCurrent(user));
+      summary.processed += users.length;
+      if (stale.length === 0) {
+        return;
+      }
+
+      const texts = stale.map(user => this.buildText(user));
+      try {
+        const vectors = await this.embedTexts(texts);
+        await Promise.all(stale.map((user, index) => this.store(user._id, texts[index], vectors[index])));
+        summary.updated += stale.length;
+      } catch (error) {
+        summary.failed += stale.length;
+        logger.warn(`Embedding batch of ${stale.length} users failed:`, error.message);
+      }
+    };
+
+    try {
+      let batch = [];
+      for await (const user of User.find().select('+embedding').populate('role', 'name').cursor()) {
+        batch.push(user);
+        if (batch.length === REINDEX_BATCH_SIZE) {
+          await embedBatch(batch);
+          batch = [];
+        }
+      }
+      await embedBatch(batch);
+
+      logger.info('Embedding reindex completed', summary);
+    } catch (error) {
+      summary.error = error.message;
+      logger.error('Embedding reindex failed:', error.message);
+    } finally {
+      summary.running = false;
+      summary.completedAt = new Date();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Whether a reindex is running in this process
+   * @returns {boolean} True while reindexing
+   */
+  isReindexing() {
+    return Boolean(this.lastReindex && this.lastReindex.running);
+  }
+
+  /**
+   * Describe the index for status reporting
+   * @returns {Object} Embedding settings and the last reindex
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      embedder: this.embedder.getStatus(),
+      hybridWeight: this.hybridWeight,
+      minScore: this.minScore,
+      lastReindex: this.lastReindex
+    };
+  }
+}
+
+module.exports = new EmbeddingIndex();
@@ -0,0 +1,57 @@
+/**
+ * Base class for text embedding providers
+ * Every embedder returns unit-length vectors, so cosine similarity is a plain dot product.
+ */
+class BaseEmbedder {
+  /**
+   * @param {Object} config - Embedder settings
+   * @param {string} config.name - Embedder name
+   * @param {string} [config.model] - Embedding model
+   */
+  constructor(config) {
+    this.name = config.name;
+    this.model = config.model;
+  }
+
+  /**
+   * Whether the embedder has everything it needs to serve requests
+   * @returns {boolean} True if the embedder can be used
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<{vectors: Array<Array<number>>, usage: ?Object}>} One unit vector per text and
+   *   token usage ({ promptTokens, completionTokens }, or null when the provider does not report it)
+   */
+  async embed(texts) {
+    throw new Error(`Embedder "${this.name}" does not implement embed()`);
+  }
+
+  /**
+   * Scale a vector to unit length
+   * @param {Array<number>} vector - Raw vector
+   * @returns {Array<number>} Normalized vector (all zeros stays all zeros)
+   */
+  normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  /**
+   * Describe the embedder for status reporting
+   * @returns {Object} Embedder status
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      model: this.model,
+      configured: this.isConfigured()
+    };
+  }
+}
+
+module.exports = BaseEmbedder;
@@ -0,0 +1,35 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const BaseEmbedder = require('./baseEmbedder');
+
+/**
+ * Google Gemini embeddings
+ */
+class GeminiEmbedder extends BaseEmbedder {
+  constructor(config) {
+    super(config);
+    this.model = config.model || 'text-embedding-004';
+    this.client = config.apiKey ? new GoogleGenerativeAI(config.apiKey) : null;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  async embed(texts) {
+    if (!this.client) {
+      throw new Error(`Embedder "${this.name}" is not configured`);
+    }
+
+    const model = this.client.getGenerativeModel({ model: this.model });
+    const response = await model.batchEmbedContents({
+      requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+    });
+
+    return {
+      vectors: response.embeddings.map(embedding => this.normalize(embedding.values)),
+      usage: null
+    };
+  }
+}
+
+module.exports = GeminiEmbedder;
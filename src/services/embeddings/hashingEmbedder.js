@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const BaseEmbedder = require('./baseEmbedder');
+
+/**
+ * Offline embedder using feature hashing of words and word pairs
+ * Deterministic and free, so it suits development, CI and air-gapped deployments. It only
+ * matches shared vocabulary; finding related terms ("cloud" vs "Kubernetes") needs a model.
+ */
+class HashingEmbedder extends BaseEmbedder {
+  constructor(config) {
+    super(config);
+    this.dimensions = config.dimensions || 256;
+    this.model = config.model || `hashing-v1-${this.dimensions}`;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Split text into lowercase word tokens
+   * @param {string} text - Text
+   * @returns {Array<string>} Tokens
+   */
+  tokenize(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  /**
+   * Embed one text: each word and adjacent word pair adds +1 or -1 to a hashed bucket
+   * @param {string} text - Text
+   * @returns {Array<number>} Unit vector
+   */
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = this.tokenize(text);
+    const features = [...tokens, ...tokens.slice(1).map((token, index) => `${tokens[index]} ${token}`)];
+
+    for (const feature of features) {
+      const digest = crypto.createHash('md5').update(feature).digest();
+      const bucket = digest.readUInt32BE(0) % this.dimensions;
+      vector[bucket] += digest[4] & 1 ? 1 : -1;
+    }
+
+    return this.normalize(vector);
+  }
+
+  async embed(texts) {
+    return { vectors: texts.map(text => this.embedText(text)), usage: null };
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      dimensions: this.dimensions
+    };
+  }
+}
+
+module.exports = HashingEmbedder;
@@ -0,0 +1,63 @@
+const HashingEmbedder = require('./hashingEmbedder');
+const OpenAIEmbedder = require('./openaiEmbedder');
+const GeminiEmbedder = require('./geminiEmbedder');
+
+const PLACEHOLDER_GEMINI_KEY = 'your_gemini_api_key_here';
+
+// Embedder name -> implementation and the API key it reads
+const embedders = new Map([
+  ['openai', { Embedder: OpenAIEmbedder, apiKeyEnv: 'OPENAI_API_KEY' }],
+  ['gemini', { Embedder: GeminiEmbedder, apiKeyEnv: 'GEMINI_API_KEY' }],
+  ['hashing', { Embedder: HashingEmbedder }]
+]);
+
+/**
+ * Instantiate an embedder
+ * @param {string} type - Embedder name
+ * @param {Object} [options] - Embedder options (model, dimensions, apiKey, baseURL)
+ * @returns {BaseEmbedder} Embedder
+ */
+const createEmbedder = (type, options = {}) => {
+  const entry = embedders.get(type);
+
+  if (!entry) {
+    throw new Error(`Unknown embedding provider "${type}". Known providers: ${[...embedders.keys()].join(', ')}`);
+  }
+
+  const apiKey = options.apiKey || (entry.apiKeyEnv ? process.env[entry.apiKeyEnv] : undefined);
+  return new entry.Embedder({
+    ...options,
+    name: type,
+    apiKey: apiKey && apiKey !== PLACEHOLDER_GEMINI_KEY ? apiKey : undefined
+  });
+};
+
+/**
+ * Create the embedder selected by EMBEDDING_PROVIDER
+ * Without a selection the first configured of OpenAI, Gemini and the hashing embedder is used.
+ * @returns {BaseEmbedder} Embedder
+ */
+const createConfiguredEmbedder = () => {
+  const options = {
+    model: process.env.EMBEDDING_MODEL || undefined,
+    dimensions: Number(process.env.EMBEDDING_DIMENSIONS) || undefined,
+    baseURL: process.env.EMBEDDING_BASE_URL || undefined
+  };
+
+  if (process.env.EMBEDDING_PROVIDER) {
+    return createEmbedder(process.env.EMBEDDING_PROVIDER, options);
+  }
+
+  for (const type of ['openai', 'gemini']) {
+    const embedder = createEmbedder(type, options);
+    if (embedder.isConfigured()) {
+      return embedder;
+    }
+  }
+  return createEmbedder('hashing', options);
+};
+
+module.exports = {
+  createEmbedder,
+  createConfiguredEmbedder
+};
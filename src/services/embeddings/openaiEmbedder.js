@@ -0,0 +1,41 @@
+const OpenAI = require('openai');
+const BaseEmbedder = require('./baseEmbedder');
+
+/**
+ * OpenAI embeddings API (also works with OpenAI-compatible servers through baseURL)
+ */
+class OpenAIEmbedder extends BaseEmbedder {
+  constructor(config) {
+    super(config);
+    this.model = config.model || 'text-embedding-3-small';
+    // Only text-embedding-3 models accept a dimensions parameter
+    this.dimensions = config.dimensions || null;
+    this.client = config.apiKey ? new OpenAI({ apiKey: config.apiKey, baseURL: config.baseURL }) : null;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  async embed(texts) {
+    if (!this.client) {
+      throw new Error(`Embedder "${this.name}" is not configured`);
+    }
+
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: texts,
+      ...(this.dimensions && { dimensions: this.dimensions })
+    });
+    const vectors = [...response.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => this.normalize(item.embedding));
+
+    return {
+      vectors,
+      usage: response.usage ? { promptTokens: response.usage.prompt_tokens || 0, completionTokens: 0 } : null
+    };
+  }
+}
+
+module.exports = OpenAIEmbedder;
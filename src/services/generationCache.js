@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const { createCacheBackend } = require('./cache');
+
+/**
+ * Cache of generated bios, keyed by everything that determines a provider's output:
+ * provider, model, rendered system instruction and prompt, and sampling parameters.
+ * Backend errors are logged and treated as misses so the cache can never fail a generation.
+ */
+class GenerationCache {
+  /**
+   * @param {Object} [options] - Cache settings (defaults come from the environment)
+   * @param {boolean} [options.enabled] - Whether generations are cached at all
+   * @param {string} [options.backend] - memory or mongo
+   * @param {number} [options.ttlMs] - Time a generation stays cached
+   * @param {number} [options.maxEntries] - LRU size of the memory backend
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== undefined ? options.enabled : process.env.AI_CACHE_ENABLED !== 'false';
+    this.ttlMs = options.ttlMs || Number(process.env.AI_CACHE_TTL_MS) || 3600000;
+    this.backend = createCacheBackend(options.backend || process.env.AI_CACHE_BACKEND || 'memory', {
+      maxEntries: options.maxEntries || Number(process.env.AI_CACHE_MAX_ENTRIES) || 500
+    });
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Whether a request may use the cache
+   * @param {Object} request - Generation request
+   * @returns {boolean} True unless caching is disabled globally or for this request
+   */
+  appliesTo(request) {
+    return this.enabled && !(request.context && request.context.cache === false);
+  }
+
+  /**
+   * Build the cache key for a provider call
+   * @param {BaseProvider} provider - Provider that would be called
+   * @param {Object} request - Generation request
+   * @returns {string} SHA-256 hex digest
+   */
+  buildKey(provider, request) {
+    return crypto.createHash('sha256').update(JSON.stringify({
+      provider: provider.name,
+      model: provider.model,
+      system: request.system,
+      prompt: request.prompt,
+      params: provider.resolveParams(request)
+    })).digest('hex');
+  }
+
+  /**
+   * Look up a cached generation
+   * @param {BaseProvider} provider - Provider that would be called
+   * @param {Object} request - Generation request
+   * @returns {Promise<?string>} Cached text, or null on a miss
+   */
+  async get(provider, request) {
+    if (!this.appliesTo(request)) {
+      return null;
+    }
+
+    try {
+      const value = await this.backend.get(this.buildKey(provider, request));
+      if (value) {
+        this.hits++;
+        return value.text;
+      }
+    } catch (error) {
+      logger.warn('AI cache lookup failed:', error.message);
+    }
+
+    this.misses++;
+    return null;
+  }
+
+  /**
+   * Store a generation
+   * @param {BaseProvider} provider - Provider that produced the text
+   * @param {Object} request - Generation request
+   * @param {string} text - Generated text
+   */
+  async set(provider, request, text) {
+    if (!this.appliesTo(request)) {
+      return;
+    }
+
+    try {
+      await this.backend.set(this.buildKey(provider, request), { text }, this.ttlMs);
+    } catch (error) {
+      logger.warn('AI cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Describe the cache for status reporting
+   * @returns {Object} Cache status
+   */
+  getStatus() {
+    const lookups = this.hits + this.misses;
+
+    return {
+      enabled: this.enabled,
+      ttlMs: this.ttlMs,
+      ...this.backend.getStatus(),
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Number((this.hits / lookups).toFixed(3)) : null
+    };
+  }
+}
+
+module.exports = GenerationCache;
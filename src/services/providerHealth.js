@@ -0,0 +1,114 @@
+/**
+ * Results of the background health probes for a single AI provider
+ * Keeps a sliding window of recent probes for the failure rate and latency percentiles.
+ * A provider is unhealthy when its last probe failed or too many recent probes did; one
+ * that has not been probed yet is assumed healthy.
+ */
+class ProviderHealth {
+  /**
+   * @param {string} name - Provider name
+   * @param {Object} [options] - Window settings
+   * @param {number} [options.windowSize] - Probes kept for the failure rate and latency
+   * @param {number} [options.unhealthyFailureRate] - Failure rate (0-1) at which the provider counts as unhealthy
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.windowSize = options.windowSize || Number(process.env.AI_HEALTH_WINDOW_SIZE) || 20;
+    this.unhealthyFailureRate = options.unhealthyFailureRate || Number(process.env.AI_HEALTH_UNHEALTHY_FAILURE_RATE) || 0.5;
+    this.samples = [];
+    this.lastCheckedAt = null;
+    this.lastSuccessAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Record the outcome of a probe
+   * @param {Object} result - Probe result
+   * @param {boolean} result.ok - Whether the provider answered
+   * @param {number} result.latencyMs - Time the probe took
+   * @param {Error} [result.error] - Error of a failed probe
+   */
+  record({ ok, latencyMs, error }) {
+    this.samples.push({ ok, latencyMs });
+    if (this.samples.length > this.windowSize) {
+      this.samples.shift();
+    }
+
+    this.lastCheckedAt = new Date();
+    if (ok) {
+      this.lastSuccessAt = this.lastCheckedAt;
+    } else {
+      this.lastError = {
+        message: error.message,
+        status: error.status || null,
+        code: error.code || null,
+        at: this.lastCheckedAt
+      };
+    }
+  }
+
+  /**
+   * Whether the most recent probe succeeded
+   * @returns {?boolean} Reachability, or null before the first probe
+   */
+  isReachable() {
+    return this.samples.length > 0 ? this.samples[this.samples.length - 1].ok : null;
+  }
+
+  /**
+   * Share of failed probes in the window
+   * @returns {?number} Failure rate (0-1), or null before the first probe
+   */
+  getFailureRate() {
+    if (this.samples.length === 0) {
+      return null;
+    }
+    return this.samples.filter(sample => !sample.ok).length / this.samples.length;
+  }
+
+  /**
+   * Latency percentile of the successful probes in the window (nearest rank)
+   * @param {number} percentile - Percentile (0-100)
+   * @returns {?number} Latency in milliseconds, or null without successful probes
+   */
+  getLatencyPercentile(percentile) {
+    const latencies = this.samples.filter(sample => sample.ok).map(sample => sample.latencyMs).sort((a, b) => a - b);
+    if (latencies.length === 0) {
+      return null;
+    }
+    return latencies[Math.max(0, Math.ceil((percentile / 100) * latencies.length) - 1)];
+  }
+
+  /**
+   * Whether the fallback chain should try this provider after the healthy ones
+   * @returns {boolean} True if known to be unhealthy
+   */
+  isUnhealthy() {
+    if (this.samples.length === 0) {
+      return false;
+    }
+    return this.isReachable() === false || this.getFailureRate() >= this.unhealthyFailureRate;
+  }
+
+  /**
+   * Describe the provider's health for status reporting
+   * @returns {Object} Health status
+   */
+  getStatus() {
+    return {
+      reachable: this.isReachable(),
+      healthy: !this.isUnhealthy(),
+      lastCheckedAt: this.lastCheckedAt,
+      lastSuccessAt: this.lastSuccessAt,
+      lastError: this.lastError,
+      latencyMs: {
+        p50: this.getLatencyPercentile(50),
+        p95: this.getLatencyPercentile(95)
+      },
+      failureRate: this.getFailureRate(),
+      samples: this.samples.length
+    };
+  }
+}
+
+module.exports = ProviderHealth;
@@ -0,0 +1,103 @@
+/**
+ * Base class for AI text providers
+ * Every provider registered with AIService implements this interface.
+ */
+class BaseProvider {
+  /**
+   * @param {Object} config - Provider definition from config/aiProviders
+   */
+  constructor(config) {
+    this.name = config.name;
+    this.type = config.type;
+    this.model = config.model;
+    this.priority = config.priority;
+    this.retries = config.retries || 1;
+    this.retryDelayMs = config.retryDelayMs !== undefined
+      ? config.retryDelayMs
+      : Number(process.env.AI_RETRY_BASE_DELAY_MS) || 1000;
+    this.params = config.params || {};
+  }
+
+  /**
+   * Whether the provider has everything it needs to serve requests
+   * @returns {boolean} True if the provider can be used
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Generate a completion
+   * @param {Object} request - Generation request
+   * @param {string} request.system - System instruction
+   * @param {string} request.prompt - User prompt
+   * @param {Object} [request.variables] - Raw inputs the prompt was built from (name, role)
+   * @param {Object} [request.options] - Bio generation options (tone, length, pointOfView, language, highlights, maxTokens)
+   * @param {Object} [request.params] - Per-request parameter overrides
+   * @param {Object} [request.responseFormat] - Structured output: { name, schema } with a JSON schema
+   *   the text must match; providers with native support should constrain the output to it
+   * @returns {Promise<{text: string, usage: ?Object}>} Generated text and token usage
+   *   ({ promptTokens, completionTokens }, or null when the provider does not report it)
+   */
+  async generate(request) {
+    throw new Error(`Provider "${this.name}" does not implement generate()`);
+  }
+
+  /**
+   * Stream a completion
+   * Yields { text } for each chunk and, when the provider reports it, a final { usage }.
+   * Providers without native streaming emit the whole completion as one chunk.
+   * @param {Object} request - Generation request (see generate)
+   * @returns {AsyncGenerator<Object>} Text chunks and usage
+   */
+  async *stream(request) {
+    const { text, usage } = await this.generate(request);
+    yield { text };
+    if (usage) {
+      yield { usage };
+    }
+  }
+
+  /**
+   * Check that the provider answers, as cheaply as possible
+   * Used by the background health probes; resolves when the provider is reachable and the
+   * credentials are accepted, and throws the provider's error otherwise. The default sends a
+   * one-token completion; providers override it with a call that costs no tokens.
+   * @returns {Promise<void>}
+   */
+  async healthCheck() {
+    await this.generate({ prompt: 'Reply with OK.', params: { maxTokens: 1 }, context: { operation: 'health-check' } });
+  }
+
+  /**
+   * Merge the configured parameters with per-request overrides
+   * A configured token limit is raised when the requested bio length needs more room.
+   * @param {Object} [request] - Generation request
+   * @returns {Object} Effective parameters
+   */
+  resolveParams(request = {}) {
+    const params = { ...this.params, ...request.params };
+    const neededTokens = request.options && request.options.maxTokens;
+
+    if (params.maxTokens !== undefined && neededTokens > params.maxTokens) {
+      params.maxTokens = neededTokens;
+    }
+    return params;
+  }
+
+  /**
+   * Describe the provider for status reporting
+   * @returns {Object} Provider status
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      type: this.type,
+      model: this.model,
+      priority: this.priority,
+      configured: this.isConfigured()
+    };
+  }
+}
+
+module.exports = BaseProvider;
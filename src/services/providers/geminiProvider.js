@@ -0,0 +1,143 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const BaseProvider = require('./baseProvider');
+const { resolveApiKey } = require('../../config/aiProviders');
+
+const PLACEHOLDER_KEY = 'your_gemini_api_key_here';
+
+// JSON schema keywords Gemini's responseSchema understands; others (e.g. additionalProperties) are rejected
+const GEMINI_SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items'];
+
+/**
+ * Reduce a JSON schema to the subset accepted as a Gemini responseSchema
+ * String enums are marked with format "enum", and an empty-string member (meaning "not set")
+ * becomes nullable, since Gemini rejects empty enum values.
+ * @param {Object} schema - JSON schema
+ * @returns {Object} Gemini schema
+ */
+const toGeminiSchema = (schema) => {
+  const result = {};
+
+  for (const key of GEMINI_SCHEMA_KEYS.filter(key => schema[key] !== undefined)) {
+    if (key === 'properties') {
+      result.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([name, property]) => [name, toGeminiSchema(property)])
+      );
+    } else if (key === 'items') {
+      result.items = toGeminiSchema(schema.items);
+    } else if (key === 'enum') {
+      result.enum = schema.enum.filter(value => value !== '');
+      if (schema.type === 'string') {
+        result.format = 'enum';
+      }
+      if (result.enum.length < schema.enum.length) {
+        result.nullable = true;
+      }
+    } else {
+      result[key] = schema[key];
+    }
+  }
+  return result;
+};
+
+/**
+ * Google Gemini provider
+ */
+class GeminiProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.model = config.model || 'gemini-2.5-flash';
+
+    const apiKey = resolveApiKey(config, 'GEMINI_API_KEY');
+    this.client = apiKey && apiKey !== PLACEHOLDER_KEY ? new GoogleGenerativeAI(apiKey) : null;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  /**
+   * Build a model handle for the request
+   * @param {Object} request - Generation request
+   * @returns {Object} Gemini generative model
+   */
+  getModel(request) {
+    const params = this.resolveParams(request);
+
+    return this.client.getGenerativeModel({
+      model: this.model,
+      ...(request.system && { systemInstruction: request.system }),
+      generationConfig: {
+        ...(params.maxTokens !== undefined && { maxOutputTokens: params.maxTokens }),
+        ...(params.temperature !== undefined && { temperature: params.temperature }),
+        ...(params.topP !== undefined && { topP: params.topP }),
+        ...(request.responseFormat && {
+          responseMimeType: 'application/json',
+          responseSchema: toGeminiSchema(request.responseFormat.schema)
+        })
+      }
+    });
+  }
+
+  async generate(request) {
+    if (!this.client) {
+      throw new Error(`Provider "${this.name}" is not configured`);
+    }
+
+    const result = await this.getModel(request).generateContent(request.prompt);
+    const response = await result.response;
+
+    return {
+      text: response.text().trim(),
+      usage: this.toUsage(response.usageMetadata)
+    };
+  }
+
+  /**
+   * Count the tokens of a short text, which checks the API key and the model without generating
+   */
+  async healthCheck() {
+    if (!this.client) {
+      throw new Error(`Provider "${this.name}" is not configured`);
+    }
+    await this.client.getGenerativeModel({ model: this.model }).countTokens('ping');
+  }
+
+  /**
+   * Normalize Gemini token usage
+   * @param {Object} [usageMetadata] - Usage metadata from the API
+   * @returns {Object|null} Token usage
+   */
+  toUsage(usageMetadata) {
+    if (!usageMetadata) {
+      return null;
+    }
+    return {
+      promptTokens: usageMetadata.promptTokenCount || 0,
+      completionTokens: usageMetadata.candidatesTokenCount || 0
+    };
+  }
+
+  async *stream(request) {
+    if (!this.client) {
+      throw new Error(`Provider "${this.name}" is not configured`);
+    }
+
+    const result = await this.getModel(request).generateContentStream(request.prompt);
+
+    // Every chunk carries cumulative usage; only the last one is reported
+    let usageMetadata = null;
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) {
+        yield { text };
+      }
+      usageMetadata = chunk.usageMetadata || usageMetadata;
+    }
+
+    if (usageMetadata) {
+      yield { usage: this.toUsage(usageMetadata) };
+    }
+  }
+}
+
+module.exports = GeminiProvider;
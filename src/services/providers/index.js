@@ -0,0 +1,46 @@
+const BaseProvider = require('./baseProvider');
+const OpenAIProvider = require('./openaiProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const GeminiProvider = require('./geminiProvider');
+const MockProvider = require('./mockProvider');
+
+// Provider type -> implementation. New providers only need an entry here.
+const providerTypes = new Map([
+  ['openai', OpenAIProvider],
+  ['openai-compatible', OpenAICompatibleProvider],
+  ['gemini', GeminiProvider],
+  ['mock', MockProvider]
+]);
+
+/**
+ * Register a provider implementation under a type name
+ * @param {string} type - Type name used in provider definitions
+ * @param {Function} ProviderClass - Class extending BaseProvider
+ */
+const registerProviderType = (type, ProviderClass) => {
+  if (!(ProviderClass.prototype instanceof BaseProvider)) {
+    throw new Error(`Provider type "${type}" must extend BaseProvider`);
+  }
+  providerTypes.set(type, ProviderClass);
+};
+
+/**
+ * Instantiate a provider from its definition
+ * @param {Object} config - Provider definition
+ * @returns {BaseProvider} Provider instance
+ */
+const createProvider = (config) => {
+  const ProviderClass = providerTypes.get(config.type);
+
+  if (!ProviderClass) {
+    throw new Error(`Unknown AI provider type "${config.type}". Known types: ${[...providerTypes.keys()].join(', ')}`);
+  }
+
+  return new ProviderClass(config);
+};
+
+module.exports = {
+  BaseProvider,
+  registerProviderType,
+  createProvider
+};
@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const BaseProvider = require('./baseProvider');
+
+// Errors shaped like the ones thrown by the OpenAI SDK so retry logic treats them the same way
+const SIMULATED_FAILURES = {
+  rate_limit: { status: 429, code: 'rate_limit_exceeded', type: 'requests', message: 'Simulated rate limit exceeded' },
+  server_error: { status: 500, code: 'server_error', type: 'server_error', message: 'Simulated internal server error' },
+  unavailable: { status: 503, code: 'service_unavailable', type: 'server_error', message: 'Simulated service unavailable' },
+  auth: { status: 401, code: 'invalid_api_key', type: 'invalid_request_error', message: 'Simulated invalid API key' },
+  bad_request: { status: 400, code: null, type: 'invalid_request_error', message: 'Simulated invalid request' }
+};
+
+const OPENINGS = [
+  '{{name}} is a dedicated {{role}} known for turning complex problems into clear, workable solutions.',
+  'As a {{role}}, {{name}} brings a thoughtful, methodical approach to every project.',
+  '{{name}} works as a {{role}} and has built a reputation for reliability, curiosity and care.'
+];
+
+const BODIES = [
+  'With a strong foundation in the core practices of the field, {{name}} focuses on understanding the needs of colleagues and stakeholders before committing to a plan. This habit keeps projects aligned with real goals and avoids costly rework later on.',
+  'Over the years {{name}} has worked across teams of different sizes, adapting quickly to new tools and processes while keeping quality high. Colleagues value the clarity {{name}} brings to discussions and the consistency of the results delivered.',
+  '{{name}} combines hands-on expertise with a commitment to continuous learning, regularly exploring new techniques and sharing what works with the wider team. That balance of depth and openness makes {{name}} a trusted contributor.'
+];
+
+// Extra paragraphs that only long bios include
+const DETAILS = [
+  'Beyond individual contributions, {{name}} pays close attention to how work is planned and shared. Clear documentation, thoughtful reviews and honest retrospectives are a regular part of how {{name}} helps a team improve from one project to the next.',
+  'When priorities shift or problems arrive without warning, {{name}} stays calm and practical, breaking the situation down into manageable steps. That steady approach helps teams keep moving forward and gives stakeholders confidence in the plan.',
+  '{{name}} also believes that the best results come from diverse perspectives. By listening carefully, asking good questions and giving credit generously, {{name}} creates an environment where everyone feels able to contribute their best ideas.'
+];
+
+const CLOSINGS = [
+  'Outside of day-to-day responsibilities, {{name}} enjoys mentoring others and believes that good work is built on trust, communication and a steady commitment to excellence.',
+  'Driven by a genuine passion for the role, {{name}} continues to raise the bar for what a {{role}} can contribute to an organization.',
+  '{{name}} approaches every challenge with professionalism and optimism, always looking for the next opportunity to learn and to deliver lasting value.'
+];
+
+// Sortable fields as they appear in users queries ("sorted by name", "by creation date")
+const QUERY_SORT_FIELDS = [
+  [/\bname\b/, 'name'],
+  [/\bemail\b/, 'email'],
+  [/\bstatus\b/, 'status'],
+  [/\brole\b/, 'role'],
+  [/\b(updated|update)\b/, 'updatedAt'],
+  [/\b(created|creation|signup|joined)\b/, 'createdAt']
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Skill tags picked for structured profiles
+const SKILLS = [
+  'Communication', 'Problem Solving', 'Project Planning', 'Mentoring', 'Stakeholder Management',
+  'Documentation', 'Collaboration', 'Process Improvement', 'Quality Assurance', 'Research'
+];
+
+/**
+ * Offline provider that returns deterministic template bios
+ * Intended for development, CI and tests. It can simulate latency and
+ * provider failures so retry and fallback paths can be exercised without network access.
+ */
+class MockProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.model = config.model || 'mock-template-v1';
+    this.calls = 0;
+    this.setSimulation(config.simulate);
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Change the simulated behaviour at runtime
+   * @param {Object} [simulate] - Simulation settings
+   * @param {number} [simulate.latencyMs] - Delay before every response
+   * @param {string} [simulate.failure] - One of rate_limit, server_error, unavailable, auth, bad_request
+   * @param {number} [simulate.failTimes] - Fail only the next N calls, then succeed (0 = always fail)
+   * @param {number} [simulate.malformedTimes] - Return invalid JSON for the next N structured requests
+   */
+  setSimulation(simulate = {}) {
+    if (simulate.failure && !SIMULATED_FAILURES[simulate.failure]) {
+      throw new Error(`Unknown mock failure "${simulate.failure}". Use one of: ${Object.keys(SIMULATED_FAILURES).join(', ')}`);
+    }
+
+    this.simulate = {
+      latencyMs: simulate.latencyMs || 0,
+      failure: simulate.failure || null,
+      failTimes: simulate.failTimes || 0,
+      malformedTimes: simulate.malformedTimes || 0
+    };
+    this.failuresRemaining = this.simulate.failTimes;
+    this.malformedRemaining = this.simulate.malformedTimes;
+  }
+
+  /**
+   * Build the error for the configured failure mode
+   * @returns {Error} Simulated provider error
+   */
+  createSimulatedError() {
+    const { message, ...details } = SIMULATED_FAILURES[this.simulate.failure];
+    return Object.assign(new Error(message), details);
+  }
+
+  /**
+   * Decide whether the current call should fail
+   * @returns {boolean} True if a failure should be simulated
+   */
+  shouldFail() {
+    if (!this.simulate.failure) {
+      return false;
+    }
+    if (this.simulate.failTimes === 0) {
+      return true;
+    }
+    if (this.failuresRemaining > 0) {
+      this.failuresRemaining--;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Render a deterministic bio; the same name, role, length and temperature always produce the same text
+   * @param {Object} variables - Template variables
+   * @param {Object} [options] - Bio generation options
+   * @param {Object} [params] - Per-request parameters; an explicit temperature picks a different variant
+   * @returns {string} Bio text
+   */
+  renderBio({ name = 'This professional', role = 'professional' }, options = {}, params = {}) {
+    const seed = params.temperature !== undefined ? `${name}|${role}|${params.temperature}` : `${name}|${role}`;
+    const digest = crypto.createHash('sha256').update(seed).digest();
+    const pick = (parts, offset) => parts[digest[offset] % parts.length];
+
+    // Sized to land inside the word ranges of the length options
+    const body = digest[1] % BODIES.length;
+    let parts = [pick(OPENINGS, 0), BODIES[body], BODIES[(body + 1) % BODIES.length], pick(CLOSINGS, 2)];
+    if (options.length === 'short') {
+      parts = [parts[0], parts[1]];
+    } else if (options.length === 'long') {
+      parts = [parts[0], ...BODIES, ...DETAILS, parts[3]];
+    }
+
+    return parts
+      .join(' ')
+      .replace(/\{\{name\}\}/g, name)
+      .replace(/\{\{role\}\}/g, role);
+  }
+
+  /**
+   * Render a deterministic structured profile as JSON text
+   * @param {Object} variables - Template variables
+   * @param {Object} [options] - Bio generation options
+   * @param {Object} [params] - Per-request parameters
+   * @returns {string} Profile JSON
+   */
+  renderProfile(variables, options = {}, params = {}) {
+    const { name = 'This professional', role = 'professional' } = variables;
+    const longBio = this.renderBio(variables, options, params);
+    const digest = crypto.createHash('sha256').update(`${name}|${role}|skills`).digest();
+    const first = digest[0] % SKILLS.length;
+
+    // Cut off mid-object, the way a model hitting its token limit would
+    if (this.malformedRemaining > 0) {
+      this.malformedRemaining--;
+      return JSON.stringify({ headline: `${role} focused on clear, reliable results`, longBio }).slice(0, 80);
+    }
+
+    return JSON.stringify({
+      headline: `${role} focused on clear, reliable results`,
+      shortBio: longBio.match(/^[^.!?]+[.!?]/)[0],
+      longBio,
+      skills: [0, 1, 2, 3].map(offset => SKILLS[(first + offset * 3) % SKILLS.length]),
+      keywords: [...role.toLowerCase().split(/[\s_]+/), 'collaboration', 'delivery']
+    });
+  }
+
+  /**
+   * Render a users list filter for a natural-language query as JSON text
+   * Keyword matching only: status words, role names (singular or plural), "last N days/weeks/months"
+   * and "sorted by <field>" are recognized.
+   * @param {Object} userQuery - Query context ({ query, roles, today })
+   * @returns {string} Filter JSON
+   */
+  renderUserQuery({ query, roles = [], today }) {
+    const text = query.toLowerCase();
+    const filter = { status: '', role: '', search: '', skill: '', createdFrom: '', createdTo: '', sortBy: '', sortOrder: '' };
+
+    if (/\binactive\b/.test(text)) {
+      filter.status = 'INACTIVE';
+    } else if (/\bactive\b/.test(text)) {
+      filter.status = 'ACTIVE';
+    }
+
+    const role = roles.find(name => name.toLowerCase().split('_').every(word => new RegExp(`\\b${word}s?\\b`).test(text)));
+    filter.role = role || '';
+
+    const recent = text.match(/\blast (\d+) (day|week|month)s?\b/);
+    if (recent) {
+      const days = Number(recent[1]) * { day: 1, week: 7, month: 30 }[recent[2]];
+      filter.createdFrom = new Date(Date.parse(today) - days * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    const sort = text.match(/\b(?:sorted|ordered|sort|order) by (.+)$/);
+    if (sort) {
+      const field = QUERY_SORT_FIELDS.find(([pattern]) => pattern.test(sort[1]));
+      filter.sortBy = field ? field[1] : '';
+      filter.sortOrder = /\b(desc|descending|newest|latest|z-a)\b/.test(sort[1]) ? 'desc' : 'asc';
+    }
+
+    return JSON.stringify(filter);
+  }
+
+  /**
+   * Render the response for a request: a users query filter, a profile, a translation or a bio
+   * Translations are the source text tagged with the target locale.
+   * @param {Object} request - Generation request
+   * @returns {string} Response text
+   */
+  render(request) {
+    if (request.userQuery) {
+      return this.renderUserQuery(request.userQuery);
+    }
+    if (request.responseFormat) {
+      return this.renderProfile(request.variables || {}, request.options, request.params);
+    }
+    if (request.translation) {
+      return `[${request.translation.locale}] ${request.translation.text}`;
+    }
+    return this.renderBio(request.variables || {}, request.options, request.params);
+  }
+
+  /**
+   * Wait for the simulated latency
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise} Promise that resolves after delay
+   */
+  delay(ms) {
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+  }
+
+  async generate(request) {
+    this.calls++;
+    await this.delay(this.simulate.latencyMs);
+
+    if (this.shouldFail()) {
+      throw this.createSimulatedError();
+    }
+
+    const text = this.render(request);
+    return {
+      text,
+      usage: this.estimateUsage(request, text)
+    };
+  }
+
+  /**
+   * Approximate token counts (about 4 characters per token) so usage accounting has data offline
+   * @param {Object} request - Generation request
+   * @param {string} text - Generated text
+   * @returns {Object} Token usage
+   */
+  estimateUsage(request, text) {
+    const tokens = (value = '') => Math.ceil(value.length / 4);
+    return {
+      promptTokens: tokens(request.system) + tokens(request.prompt),
+      completionTokens: tokens(text)
+    };
+  }
+
+  /**
+   * Stream the bio word by word. A simulated failure is raised halfway through
+   * the text so mid-stream fallback can be exercised.
+   */
+  async *stream(request) {
+    this.calls++;
+    const text = this.render(request);
+    const words = text.split(' ');
+    const failAt = this.shouldFail() ? Math.floor(words.length / 2) : -1;
+    const wordDelay = Math.round(this.simulate.latencyMs / words.length);
+
+    for (let i = 0; i < words.length; i++) {
+      if (i === failAt) {
+        throw this.createSimulatedError();
+      }
+      await this.delay(wordDelay);
+      yield { text: i === 0 ? words[i] : ` ${words[i]}` };
+    }
+
+    yield { usage: this.estimateUsage(request, text) };
+  }
+
+  /**
+   * Answer health probes after the simulated latency; only a permanent simulated failure
+   * (failTimes 0) fails them, so probes never use up a limited number of failures
+   */
+  async healthCheck() {
+    await this.delay(this.simulate.latencyMs);
+
+    if (this.simulate.failure && this.simulate.failTimes === 0) {
+      throw this.createSimulatedError();
+    }
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      simulate: this.simulate
+    };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,60 @@
+const OpenAI = require('openai');
+const OpenAIProvider = require('./openaiProvider');
+const { resolveApiKey } = require('../../config/aiProviders');
+
+/**
+ * Provider for self-hosted endpoints that speak the OpenAI chat completions API
+ * (Ollama, vLLM, LM Studio, ...). Only a base URL and model are required.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(config) {
+    super(config);
+    this.model = config.model;
+    this.baseURL = config.baseURL;
+  }
+
+  /**
+   * Local model names say nothing about the server's support, so json_schema is used unless
+   * the definition sets structuredOutputs: false
+   * @returns {boolean} True for json_schema, false for json_object
+   */
+  supportsJsonSchema() {
+    return this.structuredOutputs !== false;
+  }
+
+  createClient(config) {
+    if (!config.baseURL || !config.model) {
+      return null;
+    }
+
+    // Local servers usually ignore the key, but the SDK refuses to start without one
+    const apiKey = resolveApiKey(config) || 'not-needed';
+    return new OpenAI({ apiKey, baseURL: config.baseURL });
+  }
+
+  /**
+   * List the served models; not every OpenAI-compatible server supports looking up a single one
+   */
+  async healthCheck() {
+    if (!this.client) {
+      throw new Error(`Provider "${this.name}" is not configured`);
+    }
+
+    const models = [];
+    for await (const model of this.client.models.list()) {
+      models.push(model.id);
+    }
+    if (!models.includes(this.model)) {
+      throw Object.assign(new Error(`Model "${this.model}" is not served by ${this.baseURL}`), { code: 'model_not_found' });
+    }
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      baseURL: this.baseURL
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
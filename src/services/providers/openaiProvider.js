@@ -0,0 +1,157 @@
+const OpenAI = require('openai');
+const BaseProvider = require('./baseProvider');
+const { resolveApiKey } = require('../../config/aiProviders');
+
+// Models that accept the json_schema response format; older ones (gpt-3.5-turbo, gpt-4,
+// gpt-4-turbo, the first gpt-4o snapshot) reject it with a 400 and only accept json_object
+const JSON_SCHEMA_MODELS = /^(?:ft:)?(?:gpt-4o(?!-2024-05-13)|gpt-4\.1|gpt-5|o1(?!-preview|-mini)|o3|o4)/;
+
+/**
+ * OpenAI chat completions provider
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.model = config.model || 'gpt-3.5-turbo';
+    this.structuredOutputs = config.structuredOutputs;
+    this.client = this.createClient(config);
+  }
+
+  /**
+   * Whether structured requests can use the json_schema response format
+   * The structuredOutputs setting of the provider definition wins over the model name.
+   * @returns {boolean} True for json_schema, false for json_object
+   */
+  supportsJsonSchema() {
+    return typeof this.structuredOutputs === 'boolean' ? this.structuredOutputs : JSON_SCHEMA_MODELS.test(this.model);
+  }
+
+  /**
+   * Response format for a structured request
+   * json_object only guarantees valid JSON; the schema is then enforced by the prompt and by
+   * the validation of the parsed output.
+   * @param {Object} responseFormat - { name, schema } of the request
+   * @returns {Object} response_format of the chat completion request
+   */
+  buildResponseFormat({ name, schema }) {
+    return this.supportsJsonSchema()
+      ? { type: 'json_schema', json_schema: { name, schema, strict: true } }
+      : { type: 'json_object' };
+  }
+
+  /**
+   * Create the SDK client, or null when the provider is not configured
+   * @param {Object} config - Provider definition
+   * @returns {OpenAI|null} OpenAI client
+   */
+  createClient(config) {
+    const apiKey = resolveApiKey(config, 'OPENAI_API_KEY');
+    return apiKey ? new OpenAI({ apiKey, baseURL: config.baseURL }) : null;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  /**
+   * Build the chat completion payload shared by all OpenAI-style providers
+   * @param {Object} request - Generation request
+   * @returns {Object} Chat completion request body
+   */
+  buildCompletionRequest(request) {
+    const params = this.resolveParams(request);
+    const messages = [];
+
+    if (request.system) {
+      messages.push({ role: 'system', content: request.system });
+    }
+    messages.push({ role: 'user', content: request.prompt });
+
+    return {
+      model: this.model,
+      messages,
+      ...(params.maxTokens !== undefined && { max_tokens: params.maxTokens }),
+      ...(params.temperature !== undefined && { temperature: params.temperature }),
+      ...(params.topP !== undefined && { top_p: params.topP }),
+      ...(params.frequencyPenalty !== undefined && { frequency_penalty: params.frequencyPenalty }),
+      ...(params.presencePenalty !== undefined && { presence_penalty: params.presencePenalty }),
+      ...(request.responseFormat && { response_format: this.buildResponseFormat(request.responseFormat) })
+    };
+  }
+
+  async generate(request) {
+    if (!this.client) {
+      throw new Error(`Provider "${this.name}" is not configured`);
+    }
+
+    const completion = await this.client.chat.completions.create(this.buildCompletionRequest(request));
+    const { message } = completion.choices[0];
+
+    // Structured output requests report a refusal instead of content
+    if (message.refusal) {
+      throw Object.assign(new Error(`${this.name} refused the request: ${message.refusal}`), { code: 'refusal' });
+    }
+
+    return {
+      text: (message.content || '').trim(),
+      usage: this.toUsage(completion.usage)
+    };
+  }
+
+  /**
+   * Look up the configured model, which checks the API key and the model without using tokens
+   */
+  async healthCheck() {
+    if (!this.client) {
+      throw new Error(`Provider "${this.name}" is not configured`);
+    }
+    await this.client.models.retrieve(this.model);
+  }
+
+  /**
+   * Normalize OpenAI token usage
+   * @param {Object} [usage] - Usage block from the API
+   * @returns {Object|null} Token usage
+   */
+  toUsage(usage) {
+    if (!usage) {
+      return null;
+    }
+    return {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0
+    };
+  }
+
+  async *stream(request) {
+    if (!this.client) {
+      throw new Error(`Provider "${this.name}" is not configured`);
+    }
+
+    const completion = await this.client.chat.completions.create({
+      ...this.buildCompletionRequest(request),
+      stream: true,
+      // The final chunk then carries token usage (with an empty choices array)
+      stream_options: { include_usage: true }
+    });
+
+    for await (const chunk of completion) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) {
+        yield { text };
+      }
+      if (chunk.usage) {
+        yield { usage: this.toUsage(chunk.usage) };
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      structuredOutputs: this.supportsJsonSchema() ? 'json_schema' : 'json_object'
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
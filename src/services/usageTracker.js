@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const AIUsage = require('../models/AIUsage');
+const { estimateCost } = require('../config/aiPricing');
+const logger = require('../config/logger');
+
+/**
+ * Record a single AI provider invocation
+ * Writes are fire-and-forget: accounting problems never fail bio generation.
+ * @param {Object} entry - Invocation details
+ * @param {Object} entry.provider - Provider that was called
+ * @param {Object} entry.request - Generation request (variables and context)
+ * @param {?Object} entry.usage - Token usage reported by the provider
+ * @param {number} entry.latencyMs - Call duration
+ * @param {Error} [entry.error] - Failure, if the call failed
+ */
+const recordUsage = ({ provider, request, usage, latencyMs, error }) => {
+  if (mongoose.connection.readyState !== 1) {
+    return;
+  }
+
+  const promptTokens = usage ? usage.promptTokens : 0;
+  const completionTokens = usage ? usage.completionTokens : 0;
+  const context = request.context || {};
+
+  AIUsage.create({
+    provider: provider.name,
+    model: provider.model,
+    operation: context.operation || 'bio',
+    user: context.userId || null,
+    roleName: request.variables ? request.variables.role : '',
+    experiment: context.experiment ? context.experiment.id : null,
+    variant: context.experiment ? context.experiment.variant : null,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    estimatedCost: estimateCost(provider.model, promptTokens, completionTokens),
+    latencyMs,
+    outcome: error ? 'failure' : 'success',
+    errorMessage: error ? error.message : null,
+    errorCode: error && (error.code || error.status) ? String(error.code || error.status) : null
+  }).catch(recordError => {
+    logger.warn('Failed to record AI usage:', recordError.message);
+  });
+};
+
+module.exports = {
+  recordUsage
+};
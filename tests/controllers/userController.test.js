@@ -0,0 +1,154 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const User = require('../../src/models/User');
+const Role = require('../../src/models/Role');
+const auditLog = require('../../src/services/auditLog');
+const authService = require('../../src/services/authService');
+const embeddingIndex = require('../../src/services/embeddingIndex');
+const aiService = require('../../src/services/aiService');
+const { DEFAULT_ROLE_PERMISSIONS } = require('../../src/config/permissions');
+const { queryUsers, updateUser } = require('../../src/controllers/userController');
+
+const role = (name) => new Role({ name, permissions: DEFAULT_ROLE_PERMISSIONS[name] });
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// A query that resolves to the given result however it is chained
+const query = (result) => {
+  const chain = Promise.resolve(result);
+  chain.populate = jest.fn(() => chain);
+  chain.select = jest.fn(() => chain);
+  return chain;
+};
+
+describe('userController.updateUser', () => {
+  let moderator;
+  let next;
+
+  beforeEach(() => {
+    const moderatorRole = role('MODERATOR');
+    moderator = new User({ name: 'Mo Derator', email: 'mo@example.com', role: moderatorRole });
+    next = jest.fn();
+    jest.spyOn(auditLog, 'record').mockResolvedValue(null);
+    jest.spyOn(embeddingIndex, 'refresh').mockReturnValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const updateAs = async (caller, target, body) => {
+    jest.spyOn(User, 'findById').mockReturnValue(query(target));
+    const res = response();
+    await updateUser({ params: { id: String(target._id) }, body, user: caller, access: caller.role, ownAccess: false }, res, next);
+    return res;
+  };
+
+  it('refuses to let a moderator change an admin', async () => {
+    const admin = new User({ name: 'Ada Admin', email: 'ada@example.com', role: role('ADMIN') });
+    const findByIdAndUpdate = jest.spyOn(User, 'findByIdAndUpdate');
+
+    const res = await updateAs(moderator, admin, { email: 'mo@example.com' });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'You cannot update a user whose role has permissions you do not have' });
+    expect(findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('lets a moderator change a user whose permissions they hold', async () => {
+    const target = new User({ name: 'Uma User', email: 'uma@example.com', role: role('USER') });
+    const updated = new User({ _id: target._id, name: 'Uma Updated', email: 'uma@example.com', role: target.role });
+    const findByIdAndUpdate = jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue(query(updated));
+
+    const res = await updateAs(moderator, target, { name: 'Uma Updated' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(findByIdAndUpdate).toHaveBeenCalledWith(String(target._id), expect.objectContaining({ name: 'Uma Updated' }), expect.any(Object));
+  });
+
+  it('ignores fields outside the editable profile', async () => {
+    const owner = new User({ name: 'Uma User', email: 'uma@example.com', role: role('USER') });
+    jest.spyOn(User, 'findById').mockReturnValue(query(owner));
+    const findByIdAndUpdate = jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue(query(owner));
+    const res = response();
+
+    await updateUser({
+      params: { id: String(owner._id) },
+      body: { headline: 'Backend engineer', embedding: { vector: [1, 0], model: 'hashing-v1-256', textHash: 'forged' }, bioStatus: 'completed', createdAt: '2020-01-01' },
+      user: owner,
+      access: owner.role,
+      ownAccess: true
+    }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Object.keys(findByIdAndUpdate.mock.calls[0][1]).sort()).toEqual(['headline', 'updatedAt']);
+  });
+
+  it('refuses to let a moderator set an admin\'s password', async () => {
+    const admin = new User({ name: 'Ada Admin', email: 'ada@example.com', role: role('ADMIN') });
+    const hashPassword = jest.spyOn(User, 'hashPassword');
+
+    const res = await updateAs(moderator, admin, { password: 'Takeover123!' });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'You cannot change the password of this user' });
+    expect(hashPassword).not.toHaveBeenCalled();
+  });
+
+  it('lets users change their own password through users:update:own', async () => {
+    const owner = new User({ name: 'Uma User', email: 'uma@example.com', role: role('USER') });
+    jest.spyOn(User, 'findById').mockReturnValue(query(owner));
+    const findByIdAndUpdate = jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue(query(owner));
+    const revokeUserTokens = jest.spyOn(authService, 'revokeUserTokens').mockResolvedValue(undefined);
+    const res = response();
+
+    await updateUser({ params: { id: String(owner._id) }, body: { password: 'NewPassword123!' }, user: owner, access: owner.role, ownAccess: true }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(findByIdAndUpdate.mock.calls[0][1].password).toMatch(/^\$2[aby]\$/);
+    expect(revokeUserTokens).toHaveBeenCalledWith(owner._id, 'password-change');
+  });
+
+  it('answers 404 for an unknown user', async () => {
+    const missing = new User({ name: 'Gone', email: 'gone@example.com' });
+    jest.spyOn(User, 'findById').mockReturnValue(query(null));
+    const res = response();
+
+    await updateUser({ params: { id: String(missing._id) }, body: { name: 'Back' }, user: moderator, access: moderator.role, ownAccess: false }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('userController.queryUsers', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('matches the interpreted search as plain text', async () => {
+    jest.spyOn(aiService, 'interpretUserQuery').mockResolvedValue({ filter: { search: 'Node.js (C++)' }, provider: 'mock', model: 'mock-1', cached: false });
+    const aggregate = jest.spyOn(User, 'aggregate').mockResolvedValue([]);
+    const res = response();
+    const next = jest.fn();
+
+    await queryUsers({ body: { query: 'people who know Node.js (C++)' }, locale: 'en' }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { $match } = aggregate.mock.calls[0][0].find(stage => stage.$match);
+    const pattern = new RegExp($match.$or[0].name.$regex, $match.$or[0].name.$options);
+    expect(pattern.test('Ada knows Node.js (C++)')).toBe(true);
+    expect(pattern.test('Ada knows NodeXjs C')).toBe(false);
+  });
+});
@@ -0,0 +1,75 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const RateLimitCounter = require('../../src/models/RateLimitCounter');
+const { MongoRateLimitStore } = require('../../src/middleware/rateLimitStore');
+
+const WINDOW_MS = 60000;
+
+// No database is started: the connection state is set by hand and the model calls are mocked
+const setReadyState = (state) => {
+  mongoose.connection.readyState = state;
+};
+
+describe('MongoRateLimitStore', () => {
+  let store;
+
+  beforeEach(() => {
+    setReadyState(1);
+    store = new MongoRateLimitStore({ prefix: 'api' });
+    store.init({ windowMs: WINDOW_MS });
+  });
+
+  afterEach(() => {
+    setReadyState(0);
+    jest.restoreAllMocks();
+  });
+
+  it('counts in MongoDB under the limiter prefix while connected', async () => {
+    const resetAt = new Date(Date.now() + WINDOW_MS);
+    const findOneAndUpdate = jest.spyOn(RateLimitCounter, 'findOneAndUpdate').mockResolvedValue({ hits: 3, resetAt });
+
+    await expect(store.increment('203.0.113.7')).resolves.toEqual({ totalHits: 3, resetTime: resetAt });
+    expect(findOneAndUpdate).toHaveBeenCalledWith({ _id: 'api:203.0.113.7' }, expect.any(Array), expect.objectContaining({ upsert: true }));
+  });
+
+  it('retries once when two first hits race to create the counter', async () => {
+    const resetAt = new Date(Date.now() + WINDOW_MS);
+    const findOneAndUpdate = jest.spyOn(RateLimitCounter, 'findOneAndUpdate')
+      .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }))
+      .mockResolvedValueOnce({ hits: 2, resetAt });
+
+    await expect(store.increment('203.0.113.7')).resolves.toEqual({ totalHits: 2, resetTime: resetAt });
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(2);
+    expect(findOneAndUpdate.mock.calls[1][2]).not.toHaveProperty('upsert');
+  });
+
+  it('counts in memory without touching MongoDB while disconnected', async () => {
+    setReadyState(0);
+    const findOneAndUpdate = jest.spyOn(RateLimitCounter, 'findOneAndUpdate');
+
+    await store.increment('203.0.113.7');
+    const { totalHits, resetTime } = await store.increment('203.0.113.7');
+
+    expect(totalHits).toBe(2);
+    expect(resetTime.getTime()).toBeGreaterThan(Date.now());
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+    await expect(store.get('203.0.113.7')).resolves.toMatchObject({ totalHits: 2 });
+  });
+
+  it('goes back to MongoDB once reconnected', async () => {
+    setReadyState(2);
+    await store.increment('203.0.113.7');
+
+    setReadyState(1);
+    const findOneAndUpdate = jest.spyOn(RateLimitCounter, 'findOneAndUpdate').mockResolvedValue({ hits: 1, resetAt: new Date() });
+    await store.increment('203.0.113.7');
+
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,31 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const User = require('../../src/models/User');
+
+const matchStage = (filters) => User.buildFilterPipeline(filters).find(stage => stage.$match);
+
+describe('User.buildFilterPipeline', () => {
+  it('matches search text literally', () => {
+    const { $match } = matchStage({ search: 'C++ (Node.js)' });
+
+    expect($match.$or).toEqual([
+      { name: { $regex: 'C\\+\\+ \\(Node\\.js\\)', $options: 'i' } },
+      { email: { $regex: 'C\\+\\+ \\(Node\\.js\\)', $options: 'i' } },
+      { 'roleInfo.name': { $regex: 'C\\+\\+ \\(Node\\.js\\)', $options: 'i' } }
+    ]);
+    expect(() => new RegExp($match.$or[0].name.$regex)).not.toThrow();
+  });
+
+  it('matches a skill exactly, ignoring case', () => {
+    expect(matchStage({ skill: 'C#' }).$match.skills).toEqual({ $regex: '^C#$', $options: 'i' });
+  });
+
+  it('adds no match stage without filters', () => {
+    expect(matchStage({})).toBeUndefined();
+  });
+});
@@ -0,0 +1,135 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+// Two offline providers standing in for the OpenAI -> Gemini chain
+const CHAIN = [
+  { name: 'openai', type: 'mock', priority: 1, retries: 3, retryDelayMs: 0 },
+  { name: 'gemini', type: 'mock', priority: 2, retries: 1, retryDelayMs: 0 }
+];
+
+/**
+ * Load a fresh AIService singleton for a provider chain
+ * @param {Array<Object>} [providers] - AI_PROVIDERS definitions
+ * @returns {Object} AIService instance
+ */
+const loadService = (providers = CHAIN) => {
+  process.env.AI_PROVIDERS = JSON.stringify(providers);
+  let service;
+  jest.isolateModules(() => {
+    service = require('../../src/services/aiService');
+  });
+  return service;
+};
+
+const collect = async (stream) => {
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+  }
+  return events;
+};
+
+describe('AIService provider chain', () => {
+  let service;
+  let primary;
+  let fallback;
+
+  beforeAll(() => {
+    process.env.AI_CACHE_ENABLED = 'false';
+  });
+
+  beforeEach(() => {
+    service = loadService();
+    primary = service.getProvider('openai');
+    fallback = service.getProvider('gemini');
+  });
+
+  afterAll(() => {
+    delete process.env.AI_PROVIDERS;
+    delete process.env.AI_CACHE_ENABLED;
+  });
+
+  it('tries providers in priority order', () => {
+    expect(service.getChain().map(provider => provider.name)).toEqual(['openai', 'gemini']);
+  });
+
+  it('retries a rate limited provider until it succeeds', async () => {
+    primary.setSimulation({ failure: 'rate_limit', failTimes: 2 });
+
+    const result = await service.generateWithChain(await service.buildBioRequest('Ada Lovelace', 'developer'));
+
+    expect(result.provider).toBe('openai');
+    expect(primary.calls).toBe(3);
+    expect(fallback.calls).toBe(0);
+  });
+
+  it.each(['server_error', 'unavailable', 'rate_limit'])('falls back to the next provider after %s on every retry', async (failure) => {
+    primary.setSimulation({ failure });
+
+    const result = await service.generateWithChain(await service.buildBioRequest('Ada Lovelace', 'developer'));
+
+    expect(result.provider).toBe('gemini');
+    expect(primary.calls).toBe(primary.retries);
+    expect(fallback.calls).toBe(1);
+  });
+
+  it('does not retry an authentication error', async () => {
+    primary.setSimulation({ failure: 'auth' });
+
+    const result = await service.generateWithChain(await service.buildBioRequest('Ada Lovelace', 'developer'));
+
+    expect(result.provider).toBe('gemini');
+    expect(primary.calls).toBe(1);
+  });
+
+  it('does not retry a rejected request', async () => {
+    primary.setSimulation({ failure: 'bad_request' });
+
+    const result = await service.generateWithChain(await service.buildProfileRequest('Ada Lovelace', 'developer'));
+
+    expect(result.provider).toBe('gemini');
+    expect(primary.calls).toBe(1);
+    expect(service.getBreaker('openai').getStatus().failures).toBe(1);
+  });
+
+  it('reports every failure when the whole chain fails', async () => {
+    primary.setSimulation({ failure: 'server_error' });
+    fallback.setSimulation({ failure: 'auth' });
+
+    await expect(service.generateBio('Ada Lovelace', 'developer'))
+      .rejects.toThrow('openai (Simulated internal server error), gemini (Simulated invalid API key) all failed');
+  });
+
+  it('keeps the original error when a single provider fails', async () => {
+    service = loadService([CHAIN[0]]);
+    service.getProvider('openai').setSimulation({ failure: 'rate_limit' });
+
+    await expect(service.generateBio('Ada Lovelace', 'developer')).rejects.toMatchObject({ status: 429 });
+  });
+
+  it('falls back mid-stream and tells the client to discard the partial bio', async () => {
+    primary.setSimulation({ failure: 'server_error' });
+
+    const events = await collect(service.streamBio('Ada Lovelace', 'developer'));
+    const fallbackIndex = events.findIndex(event => event.type === 'fallback');
+
+    expect(fallbackIndex).toBeGreaterThan(0);
+    expect(events.slice(0, fallbackIndex).every(event => event.type === 'token' && event.provider === 'openai')).toBe(true);
+    expect(events[fallbackIndex]).toMatchObject({ from: 'openai', to: 'gemini', error: 'Simulated internal server error' });
+    expect(events[events.length - 1]).toMatchObject({ type: 'done', provider: 'gemini', cached: false });
+  });
+
+  it('streams from the first provider when it succeeds', async () => {
+    const events = await collect(service.streamBio('Ada Lovelace', 'developer'));
+    const done = events[events.length - 1];
+    const streamed = events.filter(event => event.type === 'token').map(event => event.text).join('');
+
+    expect(events.some(event => event.type === 'fallback')).toBe(false);
+    expect(done).toMatchObject({ type: 'done', provider: 'openai' });
+    expect(done.bio).toBe(streamed);
+  });
+});
@@ -0,0 +1,45 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load a fresh AuditLog singleton with the given retention setting
+ * @param {string} [retentionDays] - AUDIT_RETENTION_DAYS, unset when undefined
+ * @returns {Object} AuditLog instance
+ */
+const loadAuditLog = (retentionDays) => {
+  if (retentionDays === undefined) {
+    delete process.env.AUDIT_RETENTION_DAYS;
+  } else {
+    process.env.AUDIT_RETENTION_DAYS = retentionDays;
+  }
+  let auditLog;
+  jest.isolateModules(() => {
+    auditLog = require('../../src/services/auditLog');
+  });
+  return auditLog;
+};
+
+describe('AuditLog retention', () => {
+  afterAll(() => {
+    delete process.env.AUDIT_RETENTION_DAYS;
+  });
+
+  it.each([
+    [undefined, 365 * DAY_MS],
+    ['', 365 * DAY_MS],
+    ['30', 30 * DAY_MS],
+    ['0', null]
+  ])('reads AUDIT_RETENTION_DAYS=%p', (retentionDays, retentionMs) => {
+    expect(loadAuditLog(retentionDays).retentionMs).toBe(retentionMs);
+  });
+
+  it.each(['30d', '-1', '1.5', 'forever'])('refuses to start with AUDIT_RETENTION_DAYS=%p', (retentionDays) => {
+    expect(() => loadAuditLog(retentionDays)).toThrow(`AUDIT_RETENTION_DAYS must be a positive integer, or 0 to keep events forever (got "${retentionDays}")`);
+  });
+});
@@ -0,0 +1,122 @@
+const BioGuardrails = require('../../src/services/bioGuardrails');
+
+// Sentences of 20 words each
+const SENTENCE = 'Jane Doe is a careful software developer who builds reliable services and helps her team ship good work every week.';
+const englishBio = (sentences) => Array(sentences).fill(SENTENCE).join(' ');
+
+const CHINESE_BIO = '王伟是一名经验丰富的软件工程师，专注于构建稳定、可扩展的后端系统。'
+  + '他在分布式架构、数据库设计和性能优化方面积累了十多年的实践经验，曾带领团队完成多个大型项目的技术升级。'
+  + '王伟重视代码质量和团队协作，经常组织技术分享，帮助新同事快速成长。'
+  + '在工作之外，他热衷于开源社区，持续关注新技术的发展，并乐于把所学应用到实际业务中，为公司创造长期价值。';
+
+const JAPANESE_BIO = '山田花子は、使いやすく信頼性の高いシステムづくりに取り組むソフトウェアエンジニアです。'
+  + '十年以上にわたり、決済基盤やデータ分析基盤の設計と運用に携わり、チームの生産性向上にも力を注いできました。'
+  + '丁寧なコードレビューと分かりやすいドキュメントを大切にし、若手エンジニアの育成にも積極的に関わっています。'
+  + '休日には勉強会に参加し、新しい技術を学び続けています。';
+
+describe('BioGuardrails', () => {
+  let guardrails;
+
+  beforeEach(() => {
+    guardrails = new BioGuardrails({ enabled: true, wordTolerance: 0.2, maxRegenerations: 1, blocklist: ['synergy'] });
+  });
+
+  describe('clean', () => {
+    it('strips markdown, preambles, sign-offs and wrapping quotes', () => {
+      const raw = 'Sure! Here is a professional bio:\n\n"**Jane Doe** is a _careful_ developer."\n\nLet me know if you want changes.';
+
+      expect(guardrails.clean(raw)).toBe('Jane Doe is a careful developer.');
+    });
+  });
+
+  describe('check', () => {
+    it('accepts a bio inside the requested word range', () => {
+      const { bio, violations } = guardrails.check(englishBio(6), { length: 'medium' });
+
+      expect(violations).toEqual([]);
+      expect(bio).toBe(englishBio(6));
+    });
+
+    it('rejects a bio that is too short', () => {
+      const { violations } = guardrails.check(englishBio(2), { length: 'medium' });
+
+      expect(violations).toEqual([{ check: 'length', message: 'Bio has 40 words, expected at least 80' }]);
+    });
+
+    it('cuts an overlong bio back to whole sentences', () => {
+      const { bio, violations } = guardrails.check(englishBio(20), { length: 'medium' });
+
+      expect(violations).toEqual([]);
+      expect(bio).toBe(englishBio(12));
+    });
+
+    it('rejects an empty bio', () => {
+      expect(guardrails.check('```\n```').violations).toEqual([{ check: 'empty', message: 'Bio is empty after cleanup' }]);
+    });
+
+    it.each([
+      ['an email address', 'jane@example.com'],
+      ['a URL', 'https://example.com/jane'],
+      ['a phone number', '+1 (555) 123-4567']
+    ])('rejects a bio containing %s', (label, detail) => {
+      const { violations } = guardrails.check(`${englishBio(5)} Reach her at ${detail}.`, { length: 'medium' });
+
+      expect(violations).toEqual([{ check: 'personal_data', message: `Bio contains ${label}` }]);
+    });
+
+    it('rejects a bio containing a blocked term', () => {
+      const { violations } = guardrails.check(`${englishBio(5)} She believes in Synergy.`, { length: 'medium' });
+
+      expect(violations).toEqual([{ check: 'blocklist', message: 'Bio contains blocked terms: synergy' }]);
+    });
+
+    it('skips every check when disabled', () => {
+      guardrails = new BioGuardrails({ enabled: false });
+
+      expect(guardrails.check('  Short.  ')).toEqual({ bio: 'Short.', violations: [] });
+    });
+  });
+
+  describe('check with scripts written without spaces', () => {
+    it.each([
+      ['Chinese', CHINESE_BIO],
+      ['Japanese', JAPANESE_BIO]
+    ])('accepts a medium-length %s bio', (language, text) => {
+      const { bio, violations } = guardrails.check(text, { length: 'medium', language });
+
+      expect(violations).toEqual([]);
+      expect(bio).toBe(text);
+    });
+
+    it('still rejects a bio that is too short', () => {
+      const { violations } = guardrails.check('王伟是一名软件工程师。', { length: 'medium', language: 'Chinese' });
+
+      expect(violations).toEqual([{ check: 'length', message: 'Bio has 10 words, expected at least 80' }]);
+    });
+
+    it('cuts a bio over the character limit back to whole sentences', () => {
+      const { bio, violations } = guardrails.check(CHINESE_BIO.repeat(15), { length: 'long', language: 'Chinese' });
+
+      expect(violations).toEqual([]);
+      expect(bio.length).toBeLessThanOrEqual(2500);
+      expect(bio.endsWith('。')).toBe(true);
+    });
+  });
+
+  describe('checkTranslation', () => {
+    it('applies no word range', () => {
+      expect(guardrails.checkTranslation('王伟是一名软件工程师。')).toEqual({ bio: '王伟是一名软件工程师。', violations: [] });
+    });
+
+    it('rejects an empty translation', () => {
+      expect(guardrails.checkTranslation('  ').violations).toEqual([{ check: 'empty', message: 'Translation is empty after cleanup' }]);
+    });
+  });
+
+  describe('wordRange', () => {
+    it('widens the requested range by the tolerance', () => {
+      expect(guardrails.wordRange('short')).toEqual({ min: 40, max: 96 });
+      expect(guardrails.wordRange('unknown')).toEqual(guardrails.wordRange('medium'));
+    });
+  });
+});
@@ -0,0 +1,57 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const BulkRegeneration = require('../../src/models/BulkRegeneration');
+const bulkRegeneration = require('../../src/services/bulkRegeneration');
+
+describe('BulkRegenerationRunner.cancel', () => {
+  let operation;
+
+  beforeEach(() => {
+    operation = new BulkRegeneration({ runBy: 'other-host:4242', heartbeatAt: new Date() });
+  });
+
+  afterEach(() => {
+    bulkRegeneration.active.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('stops an operation running in this process and flags it for the others', async () => {
+    const state = { cancelled: false };
+    bulkRegeneration.active.set(String(operation._id), state);
+    const findByIdAndUpdate = jest.spyOn(BulkRegeneration, 'findByIdAndUpdate').mockResolvedValue(operation);
+
+    await bulkRegeneration.cancel(operation);
+
+    expect(state.cancelled).toBe(true);
+    expect(findByIdAndUpdate).toHaveBeenCalledWith(operation._id, { cancelRequested: true }, { new: true });
+  });
+
+  it('only requests cancellation of an operation another instance is still running', async () => {
+    const findOneAndUpdate = jest.spyOn(BulkRegeneration, 'findOneAndUpdate').mockResolvedValue(null);
+    const findByIdAndUpdate = jest.spyOn(BulkRegeneration, 'findByIdAndUpdate').mockResolvedValue(operation);
+
+    await expect(bulkRegeneration.cancel(operation)).resolves.toBe(operation);
+
+    expect(findOneAndUpdate.mock.calls[0][0]).toMatchObject({ _id: operation._id, status: 'running' });
+    expect(findByIdAndUpdate).toHaveBeenCalledWith(operation._id, { cancelRequested: true }, { new: true });
+  });
+
+  it('marks an operation cancelled once its instance has stopped sending heartbeats', async () => {
+    const cancelled = new BulkRegeneration({ status: 'cancelled', cancelRequested: true });
+    const findOneAndUpdate = jest.spyOn(BulkRegeneration, 'findOneAndUpdate').mockResolvedValue(cancelled);
+    const findByIdAndUpdate = jest.spyOn(BulkRegeneration, 'findByIdAndUpdate');
+
+    await expect(bulkRegeneration.cancel(operation)).resolves.toBe(cancelled);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    const staleBefore = filter.$or[1].heartbeatAt.$lte.getTime();
+    expect(Date.now() - staleBefore).toBeGreaterThanOrEqual(bulkRegeneration.staleAfterMs - 1000);
+    expect(update).toMatchObject({ cancelRequested: true, status: 'cancelled' });
+    expect(findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,158 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const CircuitBreaker = require('../../src/services/circuitBreaker');
+
+const { CLOSED, OPEN, HALF_OPEN } = CircuitBreaker.STATES;
+const failure = new Error('Simulated internal server error');
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    breaker = new CircuitBreaker('openai', { failureThreshold: 3, resetTimeoutMs: 30000, successThreshold: 2 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const fail = (times) => {
+    for (let i = 0; i < times; i++) {
+      breaker.recordFailure(failure);
+    }
+  };
+
+  it('opens after failureThreshold consecutive failures', () => {
+    fail(2);
+    expect(breaker.state).toBe(CLOSED);
+
+    fail(1);
+    expect(breaker.state).toBe(OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.getStatus()).toMatchObject({ failures: 3, lastError: failure.message });
+  });
+
+  it('counts only consecutive failures', () => {
+    fail(2);
+    breaker.recordSuccess();
+    fail(2);
+
+    expect(breaker.state).toBe(CLOSED);
+  });
+
+  it('lets a single trial call through once the reset timeout has passed', () => {
+    fail(3);
+    now += 29999;
+    expect(breaker.allowRequest()).toBe(false);
+
+    now += 1;
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe(HALF_OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+  });
+
+  it('closes after successThreshold successful trial calls', () => {
+    fail(3);
+    now += 30000;
+
+    breaker.allowRequest();
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(HALF_OPEN);
+
+    breaker.allowRequest();
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(CLOSED);
+    expect(breaker.getStatus()).toMatchObject({ failures: 0, openedAt: null, retryAt: null });
+  });
+
+  it('opens again when a trial call fails', () => {
+    fail(3);
+    now += 30000;
+
+    breaker.allowRequest();
+    fail(1);
+
+    expect(breaker.state).toBe(OPEN);
+    expect(breaker.getStatus().retryAt).toBe(new Date(now + 30000).toISOString());
+  });
+
+  it('frees the trial slot of an abandoned call', () => {
+    fail(3);
+    now += 30000;
+
+    breaker.allowRequest();
+    breaker.release();
+
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  it('closes and clears its counters on reset', () => {
+    fail(3);
+    breaker.reset();
+
+    expect(breaker.state).toBe(CLOSED);
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  it('raises a 503 for calls rejected by an open circuit', () => {
+    fail(3);
+
+    expect(breaker.createOpenError()).toMatchObject({ code: 'circuit_open', statusCode: 503, message: 'Circuit breaker for openai is open' });
+  });
+});
+
+describe('AIService with circuit breakers', () => {
+  let service;
+
+  beforeEach(() => {
+    process.env.AI_CACHE_ENABLED = 'false';
+    process.env.AI_PROVIDERS = JSON.stringify([
+      { name: 'openai', type: 'mock', priority: 1, retries: 3, retryDelayMs: 0, breaker: { failureThreshold: 2, resetTimeoutMs: 60000 } },
+      { name: 'gemini', type: 'mock', priority: 2, retries: 1, retryDelayMs: 0 }
+    ]);
+    jest.isolateModules(() => {
+      service = require('../../src/services/aiService');
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.AI_PROVIDERS;
+    delete process.env.AI_CACHE_ENABLED;
+  });
+
+  it('stops retrying once the breaker opens and skips the provider afterwards', async () => {
+    const primary = service.getProvider('openai');
+    const fallback = service.getProvider('gemini');
+    primary.setSimulation({ failure: 'server_error' });
+
+    const first = await service.generateWithChain(await service.buildBioRequest('Ada Lovelace', 'developer'));
+    expect(first.provider).toBe('gemini');
+    expect(primary.calls).toBe(2);
+    expect(service.getBreaker('openai').state).toBe(OPEN);
+
+    const second = await service.generateWithChain(await service.buildBioRequest('Grace Hopper', 'developer'));
+    expect(second.provider).toBe('gemini');
+    expect(primary.calls).toBe(2);
+    expect(fallback.calls).toBe(2);
+  });
+
+  it('uses the provider again after a manual reset', async () => {
+    const primary = service.getProvider('openai');
+    primary.setSimulation({ failure: 'server_error' });
+    await service.generateBio('Ada Lovelace', 'developer');
+
+    primary.setSimulation();
+    expect(service.resetBreaker('openai')).toMatchObject({ state: CLOSED });
+
+    const result = await service.generateWithChain(await service.buildBioRequest('Grace Hopper', 'developer'));
+    expect(result.provider).toBe('openai');
+  });
+});
@@ -0,0 +1,58 @@
+const OpenAIProvider = require('../../../src/services/providers/openaiProvider');
+const OpenAICompatibleProvider = require('../../../src/services/providers/openaiCompatibleProvider');
+const { PROFILE_SCHEMA, PROFILE_SCHEMA_NAME } = require('../../../src/config/profileSchema');
+
+const structuredRequest = {
+  system: 'You write professional bios.',
+  prompt: 'Respond with a single JSON object.',
+  responseFormat: { name: PROFILE_SCHEMA_NAME, schema: PROFILE_SCHEMA }
+};
+
+const openai = (config = {}) => new OpenAIProvider({ name: 'openai', type: 'openai', apiKey: 'test-key', ...config });
+
+describe('OpenAIProvider response format', () => {
+  it.each(['gpt-4o', 'gpt-4o-mini', 'gpt-4o-2024-08-06', 'gpt-4.1-mini', 'gpt-5', 'o3-mini', 'ft:gpt-4o-mini-2024-07-18:acme::abc'])('uses json_schema with %s', (model) => {
+    const body = openai({ model }).buildCompletionRequest(structuredRequest);
+
+    expect(body.response_format).toEqual({
+      type: 'json_schema',
+      json_schema: { name: PROFILE_SCHEMA_NAME, schema: PROFILE_SCHEMA, strict: true }
+    });
+  });
+
+  it.each([undefined, 'gpt-3.5-turbo', 'gpt-4', 'gpt-4-turbo', 'gpt-4o-2024-05-13', 'o1-mini'])('falls back to json_object with %s', (model) => {
+    const body = openai({ model }).buildCompletionRequest(structuredRequest);
+
+    expect(body.response_format).toEqual({ type: 'json_object' });
+  });
+
+  it('lets the provider definition override the model check', () => {
+    expect(openai({ model: 'gpt-3.5-turbo', structuredOutputs: true }).supportsJsonSchema()).toBe(true);
+    expect(openai({ model: 'gpt-4o', structuredOutputs: false }).supportsJsonSchema()).toBe(false);
+  });
+
+  it('sends no response format for plain bios', () => {
+    const body = openai({ model: 'gpt-4o' }).buildCompletionRequest({ prompt: 'Write a bio.' });
+
+    expect(body).not.toHaveProperty('response_format');
+  });
+
+  it('reports the response format in its status', () => {
+    expect(openai().getStatus()).toMatchObject({ model: 'gpt-3.5-turbo', structuredOutputs: 'json_object' });
+  });
+});
+
+describe('OpenAICompatibleProvider response format', () => {
+  const local = (config = {}) => new OpenAICompatibleProvider({
+    name: 'local',
+    type: 'openai-compatible',
+    baseURL: 'http://localhost:11434/v1',
+    model: 'llama3',
+    ...config
+  });
+
+  it('uses json_schema unless the definition turns it off', () => {
+    expect(local().buildCompletionRequest(structuredRequest).response_format.type).toBe('json_schema');
+    expect(local({ structuredOutputs: false }).buildCompletionRequest(structuredRequest).response_format).toEqual({ type: 'json_object' });
+  });
+});